@@ -0,0 +1,426 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/database');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { getStore } = require('../utils/stores');
+const { formatAsset, getAsset } = require('../utils/assets');
+const { STORE_ACCESS_DENIED, canAccessStore, storeScope } = require('../utils/access');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate the writable asset fields present in body.
+// Returns an error message, or null when everything is valid.
+function validateAssetFields(body) {
+    const { purchase_date, warranty_expiry } = body;
+
+    for (const [field, value] of [['purchase_date', purchase_date], ['warranty_expiry', warranty_expiry]]) {
+        if (value !== undefined && value !== null && !DATE_REGEX.test(value)) {
+            return `Invalid ${field} format. Please use YYYY-MM-DD`;
+        }
+    }
+
+    if (purchase_date && warranty_expiry && warranty_expiry < purchase_date) {
+        return 'warranty_expiry cannot be before purchase_date';
+    }
+
+    return null;
+}
+
+// @route   GET /api/assets
+// @desc    List assets (active only unless include_inactive=true) with open problem counts
+// @access  Private (assets.view)
+router.get('/', requirePermission('assets.view'), async (req, res) => {
+    try {
+        const { store_id, asset_type } = req.query;
+        const includeInactive = req.query.include_inactive === 'true';
+
+        let query = `
+            SELECT
+                a.*,
+                s.store_name,
+                COUNT(gp.problem_id) AS total_problems,
+                COALESCE(SUM(ps.is_terminal = 0), 0) AS open_problems
+            FROM assets a
+            JOIN stores s ON a.store_id = s.store_id
+            LEFT JOIN game_problems gp ON gp.asset_id = a.asset_id
+            LEFT JOIN problem_statuses ps ON gp.status = ps.status_code
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (!includeInactive) {
+            query += ' AND a.is_active = 1';
+        }
+
+        if (store_id) {
+            query += ' AND a.store_id = ?';
+            params.push(store_id);
+        }
+
+        if (asset_type) {
+            query += ' AND a.asset_type = ?';
+            params.push(asset_type);
+        }
+
+        const scope = storeScope(req.user, 'a.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
+
+        query += ' GROUP BY a.asset_id ORDER BY s.store_name, a.asset_name';
+
+        const assets = await db.query(query, params);
+
+        res.json({
+            success: true,
+            count: assets.length,
+            data: assets.map(asset => ({
+                ...formatAsset(asset),
+                total_problems: Number(asset.total_problems),
+                open_problems: Number(asset.open_problems)
+            }))
+        });
+    } catch (error) {
+        console.error('Get assets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching assets'
+        });
+    }
+});
+
+// @route   POST /api/assets
+// @desc    Register a game/machine at a store. asset_type (e.g. "vr", "arcade")
+//          lets maintenance plans cover every machine of a kind.
+// @access  Private (assets.manage)
+router.post('/', requirePermission('assets.manage'), async (req, res) => {
+    try {
+        const {
+            store_id,
+            asset_name,
+            asset_tag,
+            asset_type = null,
+            vendor_name = null,
+            purchase_date = null,
+            warranty_expiry = null,
+            notes = null
+        } = req.body;
+
+        if (!store_id || !asset_name || !asset_tag) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_id, asset_name and asset_tag are required'
+            });
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        const validationError = validateAssetFields(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const store = await getStore(store_id);
+
+        if (!store || !store.is_active) {
+            return res.status(404).json({
+                success: false,
+                message: 'Store not found or inactive'
+            });
+        }
+
+        const existing = await db.query(
+            'SELECT asset_id FROM assets WHERE asset_tag = ?',
+            [asset_tag]
+        );
+
+        if (existing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'asset_tag already exists'
+            });
+        }
+
+        const result = await db.query(
+            `INSERT INTO assets (
+                store_id, asset_name, asset_tag, asset_type, vendor_name, purchase_date,
+                warranty_expiry, notes, created_by
+             ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                store_id,
+                asset_name,
+                asset_tag,
+                asset_type,
+                vendor_name,
+                purchase_date,
+                warranty_expiry,
+                notes,
+                req.user.user_id
+            ]
+        );
+
+        const asset = await getAsset(result.insertId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Asset registered successfully',
+            data: formatAsset(asset)
+        });
+    } catch (error) {
+        console.error('Create asset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error registering asset'
+        });
+    }
+});
+
+// @route   GET /api/assets/:id
+// @desc    Get a single asset
+// @access  Private (assets.view)
+router.get('/:id', requirePermission('assets.view'), async (req, res) => {
+    try {
+        const asset = await getAsset(req.params.id);
+
+        if (!asset || !canAccessStore(req.user, asset.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatAsset(asset)
+        });
+    } catch (error) {
+        console.error('Get asset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching asset'
+        });
+    }
+});
+
+// @route   GET /api/assets/:id/problems
+// @desc    Full fault history of an asset, newest first
+// @access  Private (assets.view)
+router.get('/:id/problems', requirePermission('assets.view'), async (req, res) => {
+    try {
+        const asset = await getAsset(req.params.id);
+
+        if (!asset || !canAccessStore(req.user, asset.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        const problems = await db.query(
+            `SELECT
+                gp.*,
+                ps.status_name,
+                ps.is_terminal,
+                u.full_name as reported_by,
+                fu.full_name as fixed_by_name
+             FROM game_problems gp
+             JOIN problem_statuses ps ON gp.status = ps.status_code
+             JOIN users u ON gp.user_id = u.user_id
+             LEFT JOIN users fu ON gp.fixed_by = fu.user_id
+             WHERE gp.asset_id = ?
+             ORDER BY gp.reported_datetime DESC`,
+            [asset.asset_id]
+        );
+
+        const resolved = problems.filter(p => p.is_terminal && p.fixed_datetime);
+        const totalRepairHours = resolved.reduce(
+            (sum, p) => sum + (new Date(p.fixed_datetime) - new Date(p.reported_datetime)) / 3600000,
+            0
+        );
+
+        res.json({
+            success: true,
+            asset: formatAsset(asset),
+            data: problems,
+            summary: {
+                total_problems: problems.length,
+                open_problems: problems.filter(p => !p.is_terminal).length,
+                resolved_problems: resolved.length,
+                average_hours_to_fix: resolved.length > 0
+                    ? parseFloat((totalRepairHours / resolved.length).toFixed(1))
+                    : null,
+                last_reported: problems[0]?.reported_datetime || null
+            }
+        });
+    } catch (error) {
+        console.error('Get asset problems error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching asset fault history'
+        });
+    }
+});
+
+// @route   PUT /api/assets/:id
+// @desc    Update an asset's details, move it to another store or (de)activate it
+// @access  Private (assets.manage)
+router.put('/:id', requirePermission('assets.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const {
+            store_id,
+            asset_name,
+            asset_tag,
+            asset_type,
+            vendor_name,
+            purchase_date,
+            warranty_expiry,
+            notes,
+            is_active
+        } = req.body;
+
+        const existingAsset = await getAsset(id);
+
+        if (!existingAsset || !canAccessStore(req.user, existingAsset.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        const validationError = validateAssetFields(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (store_id !== undefined) {
+            if (!canAccessStore(req.user, store_id)) {
+                return res.status(403).json({
+                    success: false,
+                    message: STORE_ACCESS_DENIED
+                });
+            }
+
+            const store = await getStore(store_id);
+            if (!store || !store.is_active) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Store not found or inactive'
+                });
+            }
+        }
+
+        if (asset_tag !== undefined && asset_tag !== existingAsset.asset_tag) {
+            const duplicate = await db.query(
+                'SELECT asset_id FROM assets WHERE asset_tag = ? AND asset_id <> ?',
+                [asset_tag, id]
+            );
+
+            if (duplicate.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'asset_tag already exists'
+                });
+            }
+        }
+
+        // Build update query dynamically
+        const updates = [];
+        const values = [];
+
+        const simpleFields = {
+            store_id,
+            asset_name,
+            asset_tag,
+            asset_type,
+            vendor_name,
+            purchase_date,
+            warranty_expiry,
+            notes
+        };
+        for (const [field, value] of Object.entries(simpleFields)) {
+            if (value !== undefined) {
+                updates.push(`${field} = ?`);
+                values.push(value);
+            }
+        }
+
+        if (is_active !== undefined) {
+            updates.push('is_active = ?');
+            values.push(is_active ? 1 : 0);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        values.push(id);
+
+        await db.query(
+            `UPDATE assets SET ${updates.join(', ')} WHERE asset_id = ?`,
+            values
+        );
+
+        const asset = await getAsset(id);
+
+        res.json({
+            success: true,
+            message: 'Asset updated successfully',
+            data: formatAsset(asset)
+        });
+    } catch (error) {
+        console.error('Update asset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating asset'
+        });
+    }
+});
+
+// @route   DELETE /api/assets/:id
+// @desc    Retire an asset. Assets are never hard-deleted because problem
+//          reports reference them.
+// @access  Private (assets.manage)
+router.delete('/:id', requirePermission('assets.manage'), async (req, res) => {
+    try {
+        const asset = await getAsset(req.params.id);
+
+        if (!asset || !canAccessStore(req.user, asset.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        await db.query('UPDATE assets SET is_active = 0 WHERE asset_id = ?', [asset.asset_id]);
+
+        res.json({
+            success: true,
+            message: 'Asset retired successfully'
+        });
+    } catch (error) {
+        console.error('Retire asset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retiring asset'
+        });
+    }
+});
+
+module.exports = router;
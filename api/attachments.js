@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { canModifyExpense, getExpense } = require('../utils/expenses');
+const { getStorage, requireStorage, getAttachment, deleteAttachment } = require('../utils/attachments');
+const { canAccessStore } = require('../utils/access');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Stream a stored file, answering 404 if it has gone missing from storage
+function sendFile(res, key, { contentType, filename }) {
+    const stream = getStorage().createReadStream(key);
+
+    stream.on('open', () => {
+        res.type(contentType);
+        if (filename) {
+            res.attachment(filename);
+        }
+        stream.pipe(res);
+    });
+
+    stream.on('error', (error) => {
+        console.error('Attachment read error:', error.message);
+        if (!res.headersSent) {
+            res.status(404).json({
+                success: false,
+                message: 'Attachment file not found'
+            });
+        } else {
+            res.end();
+        }
+    });
+}
+
+// @route   GET /api/attachments/:id/download
+// @desc    Download an attachment
+// @access  Private (attachments.view)
+router.get('/:id/download', requirePermission('attachments.view'), requireStorage, async (req, res) => {
+    try {
+        const attachment = await getAttachment(req.params.id);
+
+        if (!attachment || !canAccessStore(req.user, attachment.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        sendFile(res, attachment.storage_key, {
+            contentType: attachment.mime_type,
+            filename: attachment.original_name
+        });
+    } catch (error) {
+        console.error('Download attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error downloading attachment'
+        });
+    }
+});
+
+// @route   GET /api/attachments/:id/thumbnail
+// @desc    JPEG thumbnail of an image attachment
+// @access  Private (attachments.view)
+router.get('/:id/thumbnail', requirePermission('attachments.view'), requireStorage, async (req, res) => {
+    try {
+        const attachment = await getAttachment(req.params.id);
+
+        if (!attachment || !attachment.thumbnail_key || !canAccessStore(req.user, attachment.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Thumbnail not found'
+            });
+        }
+
+        sendFile(res, attachment.thumbnail_key, { contentType: 'image/jpeg' });
+    } catch (error) {
+        console.error('Attachment thumbnail error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching thumbnail'
+        });
+    }
+});
+
+// @route   DELETE /api/attachments/:id
+// @desc    Delete an attachment. Staff can only delete their own uploads, and
+//          on expenses only while the expense can still be edited.
+// @access  Private (attachments.delete)
+router.delete('/:id', requirePermission('attachments.delete'), requireStorage, async (req, res) => {
+    try {
+        const attachment = await getAttachment(req.params.id);
+
+        if (!attachment || !canAccessStore(req.user, attachment.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        const expense = attachment.expense_id ? await getExpense(attachment.expense_id) : null;
+
+        // Bill scans of a deleted expense are part of its audit trail
+        if (expense && expense.deleted_at) {
+            return res.status(409).json({
+                success: false,
+                message: 'Attachments of a deleted expense are kept for audit'
+            });
+        }
+
+        // Other people's files need the permission to manage the parent record
+        if (!req.user.permissions.includes(attachment.expense_id ? 'expenses.approve' : 'problems.edit')) {
+            let allowed = attachment.uploaded_by === req.user.user_id;
+
+            if (allowed && attachment.expense_id) {
+                allowed = !!expense && canModifyExpense(req.user, expense);
+            }
+
+            if (!allowed) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to delete this attachment'
+                });
+            }
+        }
+
+        await deleteAttachment(attachment);
+
+        res.json({
+            success: true,
+            message: 'Attachment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting attachment'
+        });
+    }
+});
+
+module.exports = router;
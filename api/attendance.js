@@ -1,21 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../utils/database');
-const { authMiddleware, authorize } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { compareWithShift, getPublishedShifts } = require('../utils/roster');
+const { checkGeofence, getStore } = require('../utils/stores');
+const { STORE_ACCESS_DENIED, canAccessStore, storeScope } = require('../utils/access');
+const {
+    OVERTIME_THRESHOLD_MINUTES,
+    REGULARIZATION_TYPES,
+    getOpenBreak,
+    finalizeAttendance,
+    getRegularization
+} = require('../utils/attendance');
+const { getApprovedLeaveMap } = require('../utils/leave');
+const { getLockedPeriod, lockedPeriodMessage } = require('../utils/payroll');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
 // @route   POST /api/attendance/clock-in
-// @desc    Clock in for attendance
-// @access  Private (Staff, Manager, Admin)
-router.post('/clock-in', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @desc    Clock in for attendance. The location is checked against the
+//          store's geofence: outside punches are rejected or flagged for review
+//          depending on the store's geofence_mode.
+// @access  Private (attendance.clock)
+router.post('/clock-in', requirePermission('attendance.clock'), async (req, res) => {
     try {
         const { store_id, latitude, longitude, login_time } = req.body;
         const user_id = req.user.user_id;
 
         // Check if user is already clocked in today
         const today = login_time.split('T')[0];
+
+        const lockedPeriod = await getLockedPeriod(today);
+        if (lockedPeriod) {
+            return res.status(423).json({
+                success: false,
+                message: lockedPeriodMessage(lockedPeriod)
+            });
+        }
+
         const existingAttendance = await db.query(
             'SELECT * FROM staff_attendance WHERE user_id = ? AND attendance_date = ? AND logout_time IS NULL',
             [user_id, today]
@@ -28,26 +51,61 @@ router.post('/clock-in', authorize('staff', 'manager', 'admin'), async (req, res
             });
         }
 
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        const store = await getStore(store_id);
+
+        if (!store || !store.is_active) {
+            return res.status(404).json({
+                success: false,
+                message: 'Store not found or inactive'
+            });
+        }
+
+        const geofence = checkGeofence(store, latitude, longitude);
+
+        if (geofence.outside && geofence.mode === 'reject') {
+            return res.status(403).json({
+                success: false,
+                message: geofence.distance_m === null
+                    ? 'Location is required to clock in at this store'
+                    : `You are ${geofence.distance_m} m from ${store.store_name}. Clock in from within ${store.geofence_radius_m} m of the store`,
+                distance_m: geofence.distance_m
+            });
+        }
+
         // Clock in
         const result = await db.query(
             `INSERT INTO staff_attendance (
-        user_id, store_id, login_latitude, login_longitude,login_time
-      ) VALUES (?, ?, ?, ?,?)`,
-            [user_id, store_id, latitude, longitude, login_time]
-        );
-
-        // Get store info
-        const [stores] = await db.query(
-            'SELECT store_name FROM stores WHERE store_id = ?',
-            [store_id]
+        user_id, store_id, login_latitude, login_longitude,login_time,
+        login_distance_m, login_outside_geofence
+      ) VALUES (?, ?, ?, ?,?, ?, ?)`,
+            [
+                user_id,
+                store_id,
+                latitude,
+                longitude,
+                login_time,
+                geofence.distance_m,
+                geofence.outside ? 1 : 0
+            ]
         );
 
         res.status(201).json({
             success: true,
-            message: 'Clocked in successfully',
+            message: geofence.outside
+                ? 'Clocked in successfully. This punch is outside the store geofence and has been flagged for review'
+                : 'Clocked in successfully',
             attendance_id: result.insertId,
-            store_name: stores[0]?.store_name,
-            login_time: login_time
+            store_name: store.store_name,
+            login_time: login_time,
+            distance_m: geofence.distance_m,
+            flagged: geofence.outside
         });
     } catch (error) {
         console.error('Clock in error:', error);
@@ -59,9 +117,9 @@ router.post('/clock-in', authorize('staff', 'manager', 'admin'), async (req, res
 });
 
 // @route   POST /api/attendance/clock-out
-// @desc    Clock out for attendance
-// @access  Private (Staff, Manager, Admin)
-router.post('/clock-out', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @desc    Clock out for attendance (geofence checked as for clock-in)
+// @access  Private (attendance.clock)
+router.post('/clock-out', requirePermission('attendance.clock'), async (req, res) => {
     try {
         const { latitude, longitude, date, logout_time } = req.body;
         const user_id = req.user.user_id;
@@ -81,29 +139,60 @@ router.post('/clock-out', authorize('staff', 'manager', 'admin'), async (req, re
         }
 
         const attendanceRecord = attendance[0];
+
+        const store = await getStore(attendanceRecord.store_id);
+        const geofence = checkGeofence(store, latitude, longitude);
+
+        if (geofence.outside && geofence.mode === 'reject') {
+            return res.status(403).json({
+                success: false,
+                message: geofence.distance_m === null
+                    ? 'Location is required to clock out at this store'
+                    : `You are ${geofence.distance_m} m from ${store.store_name}. Clock out from within ${store.geofence_radius_m} m of the store`,
+                distance_m: geofence.distance_m
+            });
+        }
+
         const loginTime = new Date(attendanceRecord.login_time);
         const logoutTime = logout_time;
 
-        // Calculate work duration in minutes
-        const workDurationMinutes = Math.round((logoutTime - loginTime) / (1000 * 60));
-
-        // Update attendance with clock out        work_duration_minutes = ?
+        // Update attendance with clock out
         await db.query(
             `UPDATE staff_attendance SET
         logout_time = ?,
         logout_latitude = ?,
-        logout_longitude = ?
+        logout_longitude = ?,
+        logout_distance_m = ?,
+        logout_outside_geofence = ?
         WHERE attendance_id = ?`,
-            [logoutTime, latitude, longitude, attendanceRecord.attendance_id]
+            [
+                logoutTime,
+                latitude,
+                longitude,
+                geofence.distance_m,
+                geofence.outside ? 1 : 0,
+                attendanceRecord.attendance_id
+            ]
         );
 
+        // Worked time is computed from the stored punches and breaks
+        const worked = await finalizeAttendance(attendanceRecord.attendance_id);
+        const workDurationMinutes = worked.work_duration_minutes;
+
         res.json({
             success: true,
-            message: 'Clocked out successfully',
+            message: geofence.outside
+                ? 'Clocked out successfully. This punch is outside the store geofence and has been flagged for review'
+                : 'Clocked out successfully',
+            distance_m: geofence.distance_m,
+            flagged: geofence.outside,
             login_time: loginTime,
             logout_time: logoutTime,
             work_duration_minutes: workDurationMinutes,
-            work_duration_hours: (workDurationMinutes / 60).toFixed(2)
+            work_duration_hours: (workDurationMinutes / 60).toFixed(2),
+            break_minutes: worked.break_minutes,
+            net_work_minutes: worked.net_work_minutes,
+            overtime_minutes: worked.overtime_minutes
         });
     } catch (error) {
         console.error('Clock out error:', error);
@@ -114,10 +203,464 @@ router.post('/clock-out', authorize('staff', 'manager', 'admin'), async (req, re
     }
 });
 
+// Shared handler for the break start and end endpoints
+const recordBreak = (action) => async (req, res) => {
+    try {
+        const { break_time } = req.body;
+        const user_id = req.user.user_id;
+
+        const sessions = await db.query(
+            `SELECT * FROM staff_attendance
+             WHERE user_id = ? AND logout_time IS NULL
+             ORDER BY login_time DESC LIMIT 1`,
+            [user_id]
+        );
+
+        if (sessions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are not clocked in'
+            });
+        }
+
+        const session = sessions[0];
+        const openBreak = await getOpenBreak(session.attendance_id);
+
+        if (action === 'start') {
+            if (openBreak) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You are already on a break',
+                    break_id: openBreak.break_id
+                });
+            }
+
+            const result = await db.query(
+                `INSERT INTO attendance_breaks (attendance_id, break_start)
+                 VALUES (?, COALESCE(?, NOW()))`,
+                [session.attendance_id, break_time || null]
+            );
+
+            return res.status(201).json({
+                success: true,
+                message: 'Break started',
+                break_id: result.insertId,
+                attendance_id: session.attendance_id
+            });
+        }
+
+        if (!openBreak) {
+            return res.status(409).json({
+                success: false,
+                message: 'You are not on a break'
+            });
+        }
+
+        await db.query(
+            'UPDATE attendance_breaks SET break_end = COALESCE(?, NOW()) WHERE break_id = ?',
+            [break_time || null, openBreak.break_id]
+        );
+
+        const breaks = await db.query(
+            `SELECT TIMESTAMPDIFF(MINUTE, break_start, break_end) as break_minutes
+             FROM attendance_breaks WHERE break_id = ?`,
+            [openBreak.break_id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Break ended',
+            break_id: openBreak.break_id,
+            attendance_id: session.attendance_id,
+            break_minutes: breaks[0]?.break_minutes
+        });
+    } catch (error) {
+        console.error(`Break ${action} error:`, error);
+        res.status(500).json({
+            success: false,
+            message: `Error ${action === 'start' ? 'starting' : 'ending'} break`
+        });
+    }
+};
+
+// @route   POST /api/attendance/break-start
+// @desc    Start a break in the current attendance session (break_time defaults to now)
+// @access  Private (attendance.clock)
+router.post('/break-start', requirePermission('attendance.clock'), recordBreak('start'));
+
+// @route   POST /api/attendance/break-end
+// @desc    End the current break (break_time defaults to now)
+// @access  Private (attendance.clock)
+router.post('/break-end', requirePermission('attendance.clock'), recordBreak('end'));
+
+// @route   POST /api/attendance/regularizations
+// @desc    Ask for a missed or wrong punch to be corrected. attendance_id is
+//          required except for missed_clock_in; times are 'YYYY-MM-DD HH:MM:SS'.
+// @access  Private (attendance.regularize)
+router.post('/regularizations', requirePermission('attendance.regularize'), async (req, res) => {
+    try {
+        const {
+            request_type,
+            attendance_id = null,
+            store_id,
+            requested_login_time,
+            requested_logout_time = null,
+            reason
+        } = req.body;
+        const user_id = req.user.user_id;
+
+        if (!REGULARIZATION_TYPES.includes(request_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `request_type must be one of: ${REGULARIZATION_TYPES.join(', ')}`
+            });
+        }
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'reason is required'
+            });
+        }
+
+        let attendance = null;
+        if (request_type !== 'missed_clock_in') {
+            if (!attendance_id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'attendance_id is required for this request type'
+                });
+            }
+
+            const records = await db.query(
+                `SELECT *,
+                    DATE_FORMAT(login_time, '%Y-%m-%d %H:%i:%s') as login_time_local
+                 FROM staff_attendance WHERE attendance_id = ? AND user_id = ?`,
+                [attendance_id, user_id]
+            );
+
+            if (records.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Attendance record not found'
+                });
+            }
+            attendance = records[0];
+
+            const pending = await db.query(
+                "SELECT request_id FROM attendance_regularizations WHERE attendance_id = ? AND status = 'pending'",
+                [attendance_id]
+            );
+
+            if (pending.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'There is already a pending request for this attendance record',
+                    request_id: pending[0].request_id
+                });
+            }
+        } else if (!store_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_id is required for a missed clock-in'
+            });
+        } else if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        // A missed clock-out keeps the recorded clock-in
+        const loginTime = request_type === 'missed_clock_out'
+            ? attendance.login_time_local
+            : requested_login_time;
+
+        if (!loginTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'requested_login_time is required'
+            });
+        }
+
+        if (request_type !== 'wrong_time' && !requested_logout_time) {
+            return res.status(400).json({
+                success: false,
+                message: 'requested_logout_time is required'
+            });
+        }
+
+        if (requested_logout_time && requested_logout_time <= loginTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'requested_logout_time must be after the clock-in time'
+            });
+        }
+
+        const lockedPeriod = await getLockedPeriod(loginTime.slice(0, 10)) ||
+            (attendance && await getLockedPeriod(attendance.login_time_local.slice(0, 10)));
+        if (lockedPeriod) {
+            return res.status(423).json({
+                success: false,
+                message: lockedPeriodMessage(lockedPeriod)
+            });
+        }
+
+        const result = await db.query(
+            `INSERT INTO attendance_regularizations (
+                user_id, attendance_id, store_id, request_type,
+                requested_login_time, requested_logout_time, reason
+             ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                user_id,
+                attendance ? attendance.attendance_id : null,
+                attendance ? attendance.store_id : store_id,
+                request_type,
+                loginTime,
+                requested_logout_time,
+                reason
+            ]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Regularization request submitted',
+            data: await getRegularization(result.insertId)
+        });
+    } catch (error) {
+        console.error('Create regularization error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error submitting regularization request'
+        });
+    }
+});
+
+// @route   GET /api/attendance/regularizations
+// @desc    List regularization requests. Without attendance.approve only your own are listed.
+// @access  Private (attendance.view)
+router.get('/regularizations', requirePermission('attendance.view'), async (req, res) => {
+    try {
+        const { status, user_id, store_id } = req.query;
+
+        let query = `
+            SELECT
+                r.*,
+                DATE_FORMAT(r.requested_login_time, '%Y-%m-%d %H:%i:%s') as requested_login_time,
+                DATE_FORMAT(r.requested_logout_time, '%Y-%m-%d %H:%i:%s') as requested_logout_time,
+                DATE_FORMAT(r.original_login_time, '%Y-%m-%d %H:%i:%s') as original_login_time,
+                DATE_FORMAT(r.original_logout_time, '%Y-%m-%d %H:%i:%s') as original_logout_time,
+                u.full_name,
+                s.store_name,
+                rv.full_name as reviewed_by_name
+            FROM attendance_regularizations r
+            JOIN users u ON r.user_id = u.user_id
+            JOIN stores s ON r.store_id = s.store_id
+            LEFT JOIN users rv ON r.reviewed_by = rv.user_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (!req.user.permissions.includes('attendance.approve')) {
+            query += ' AND r.user_id = ?';
+            params.push(req.user.user_id);
+        } else {
+            // Approvers see requests from their stores; everyone sees their own
+            const scope = storeScope(req.user, 'r.store_id');
+            query += scope.sql;
+            params.push(...scope.params);
+
+            if (user_id) {
+                query += ' AND r.user_id = ?';
+                params.push(user_id);
+            }
+        }
+
+        if (status) {
+            query += ' AND r.status = ?';
+            params.push(status);
+        }
+
+        if (store_id) {
+            query += ' AND r.store_id = ?';
+            params.push(store_id);
+        }
+
+        query += ' ORDER BY r.created_at DESC';
+
+        const requests = await db.query(query, params);
+
+        res.json({
+            success: true,
+            count: requests.length,
+            data: requests
+        });
+    } catch (error) {
+        console.error('Get regularizations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching regularization requests'
+        });
+    }
+});
+
+// Shared handler for the approve and reject endpoints
+const reviewRegularization = (decision) => async (req, res) => {
+    let conn;
+    try {
+        const { review_notes = null } = req.body;
+        const request = await getRegularization(req.params.id);
+
+        if (!request || !canAccessStore(req.user, request.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Regularization request not found'
+            });
+        }
+
+        if (request.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                message: `Request is already ${request.status}`
+            });
+        }
+
+        if (request.user_id === req.user.user_id) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot review your own regularization request'
+            });
+        }
+
+        if (decision === 'rejected' && !review_notes) {
+            return res.status(400).json({
+                success: false,
+                message: 'review_notes are required to reject a request'
+            });
+        }
+
+        let attendanceId = request.attendance_id;
+        let original = null;
+
+        if (decision === 'approved') {
+            const lockedPeriod = await getLockedPeriod(request.requested_login_time.slice(0, 10));
+            if (lockedPeriod) {
+                return res.status(423).json({
+                    success: false,
+                    message: lockedPeriodMessage(lockedPeriod)
+                });
+            }
+
+            if (attendanceId) {
+                const records = await db.query(
+                    `SELECT
+                        DATE_FORMAT(login_time, '%Y-%m-%d %H:%i:%s') as login_time,
+                        DATE_FORMAT(logout_time, '%Y-%m-%d %H:%i:%s') as logout_time
+                     FROM staff_attendance WHERE attendance_id = ?`,
+                    [attendanceId]
+                );
+                original = records[0];
+
+                // Moving a punch out of a locked period would still change it
+                const originalLockedPeriod = await getLockedPeriod(original.login_time.slice(0, 10));
+                if (originalLockedPeriod) {
+                    return res.status(423).json({
+                        success: false,
+                        message: lockedPeriodMessage(originalLockedPeriod)
+                    });
+                }
+            }
+        }
+
+        // Every write of the review lands together, or none does
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        // Conditional on the status so a concurrent review loses
+        const [claimed] = await conn.execute(
+            `UPDATE attendance_regularizations SET
+                status = ?, reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+             WHERE request_id = ? AND status = 'pending'`,
+            [decision, req.user.user_id, review_notes, request.request_id]
+        );
+
+        if (claimed.affectedRows === 0) {
+            await conn.rollback();
+            return res.status(409).json({
+                success: false,
+                message: 'Request was reviewed by someone else'
+            });
+        }
+
+        if (decision === 'approved') {
+            if (attendanceId) {
+                await conn.execute(
+                    `UPDATE attendance_regularizations SET original_login_time = ?, original_logout_time = ?
+                     WHERE request_id = ?`,
+                    [original.login_time, original.logout_time, request.request_id]
+                );
+
+                // The first recorded punches are kept even across several corrections
+                await conn.execute(
+                    `UPDATE staff_attendance SET
+                        original_login_time = IF(regularized = 1, original_login_time, login_time),
+                        original_logout_time = IF(regularized = 1, original_logout_time, logout_time),
+                        login_time = ?,
+                        logout_time = COALESCE(?, logout_time),
+                        regularized = 1
+                     WHERE attendance_id = ?`,
+                    [request.requested_login_time, request.requested_logout_time, attendanceId]
+                );
+            } else {
+                const [result] = await conn.execute(
+                    `INSERT INTO staff_attendance (user_id, store_id, login_time, logout_time, regularized)
+                     VALUES (?, ?, ?, ?, 1)`,
+                    [request.user_id, request.store_id, request.requested_login_time, request.requested_logout_time]
+                );
+                attendanceId = result.insertId;
+
+                await conn.execute(
+                    'UPDATE attendance_regularizations SET attendance_id = ? WHERE request_id = ?',
+                    [attendanceId, request.request_id]
+                );
+            }
+
+            await finalizeAttendance(attendanceId, conn);
+        }
+
+        await conn.commit();
+
+        res.json({
+            success: true,
+            message: `Regularization request ${decision}`,
+            data: await getRegularization(request.request_id)
+        });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Review regularization error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error reviewing regularization request'
+        });
+    } finally {
+        if (conn) conn.release();
+    }
+};
+
+// @route   POST /api/attendance/regularizations/:id/approve
+// @desc    Approve a request and apply it to the attendance record
+// @access  Private (attendance.approve)
+router.post('/regularizations/:id/approve', requirePermission('attendance.approve'), reviewRegularization('approved'));
+
+// @route   POST /api/attendance/regularizations/:id/reject
+// @desc    Reject a request (review_notes required)
+// @access  Private (attendance.approve)
+router.post('/regularizations/:id/reject', requirePermission('attendance.approve'), reviewRegularization('rejected'));
+
 // @route   GET /api/attendance/status
 // @desc    Get attendance status for a specific date (defaults to today)
-// @access  Private (Staff, Manager, Admin)
-router.get('/status', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @access  Private (attendance.clock)
+router.get('/status', requirePermission('attendance.clock'), async (req, res) => {
     try {
         const user_id = req.user.user_id;
 
@@ -183,8 +726,8 @@ router.get('/status', authorize('staff', 'manager', 'admin'), async (req, res) =
 });
 // @route   GET /api/attendance
 // @desc    Get attendance records with filters
-// @access  Private (Manager, Admin)
-router.get('/', authorize('manager', 'admin','staff'), async (req, res) => {
+// @access  Private (attendance.view)
+router.get('/', requirePermission('attendance.view'), async (req, res) => {
     try {
         const {
             user_id,
@@ -220,6 +763,10 @@ router.get('/', authorize('manager', 'admin','staff'), async (req, res) => {
             params.push(store_id);
         }
 
+        const scope = storeScope(req.user, 'a.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
+
         if (start_date) {
             query += ' AND a.attendance_date >= ?';
             params.push(start_date);
@@ -245,7 +792,18 @@ router.get('/', authorize('manager', 'admin','staff'), async (req, res) => {
             login_longitude: record.login_longitude,
             logout_latitude: record.logout_latitude,
             logout_longitude: record.logout_longitude,
+            login_distance_m: record.login_distance_m,
+            login_outside_geofence: !!record.login_outside_geofence,
+            logout_distance_m: record.logout_distance_m,
+            logout_outside_geofence: !!record.logout_outside_geofence,
             work_duration_minutes: record.work_duration_minutes,
+            break_minutes: record.break_minutes,
+            net_work_minutes: record.net_work_minutes,
+            overtime_minutes: record.overtime_minutes,
+            auto_closed: !!record.auto_closed,
+            regularized: !!record.regularized,
+            original_login_time: record.original_login_time,
+            original_logout_time: record.original_logout_time,
             attendance_date: record.attendance_date_formatted || record.attendance_date,
             store_name: record.store_name,
             full_name: record.full_name,
@@ -267,9 +825,11 @@ router.get('/', authorize('manager', 'admin','staff'), async (req, res) => {
 });
 
 // @route   GET /api/attendance/summary
-// @desc    Get attendance summary in matrix format for reporting
-// @access  Private (Manager, Admin)
-router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) => {
+// @desc    Get attendance summary in matrix format for reporting, compared
+//          against the published roster (late arrivals, early departures, no-shows).
+//          Days covered by approved leave are reported as on_leave, not absent.
+// @access  Private (attendance.view)
+router.get('/summary', requirePermission('attendance.view'), async (req, res) => {
     try {
         const { store_id, start_date, end_date, user_id } = req.query;
 
@@ -281,6 +841,13 @@ router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) =
             });
         }
 
+        if (store_id && !canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
         // Generate all dates between start and end (INCLUSIVE)
         const dateList = [];
         const currentDate = new Date(start_date);
@@ -310,6 +877,13 @@ router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) =
             usersParams.push(store_id);
         }
 
+        // Only people assigned to one of the viewer's stores
+        if (req.user.store_ids !== null) {
+            const userScope = storeScope(req.user, 'store_id');
+            usersQuery += ` AND user_id IN (SELECT user_id FROM user_stores WHERE 1 = 1${userScope.sql})`;
+            usersParams.push(...userScope.params);
+        }
+
         usersQuery += ' ORDER BY full_name';
 
         const usersResult = await db.query(usersQuery, usersParams);
@@ -326,9 +900,19 @@ router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) =
                 DATE_FORMAT(a.login_time, '%Y-%m-%d %H:%i:%s') as login_time_local,
                 DATE_FORMAT(a.logout_time, '%Y-%m-%d %H:%i:%s') as logout_time_local,
                 a.attendance_id,
+                a.store_id,
+                a.login_distance_m,
+                a.login_outside_geofence,
+                a.logout_distance_m,
+                a.logout_outside_geofence,
+                a.break_minutes,
+                a.overtime_minutes,
+                a.auto_closed,
+                a.regularized,
+                -- Net of breaks once the session has been closed
                 CASE 
                     WHEN a.logout_time IS NOT NULL 
-                    THEN TIMESTAMPDIFF(MINUTE, a.login_time, a.logout_time)
+                    THEN COALESCE(a.net_work_minutes, TIMESTAMPDIFF(MINUTE, a.login_time, a.logout_time))
                     ELSE 0 
                 END as work_duration_minutes
             FROM users u
@@ -345,6 +929,10 @@ router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) =
             attendanceParams.push(store_id);
         }
 
+        const attendanceScope = storeScope(req.user, 'a.store_id');
+        attendanceQuery += attendanceScope.sql;
+        attendanceParams.push(...attendanceScope.params);
+
         if (user_id) {
             attendanceQuery += ' AND u.user_id = ?';
             attendanceParams.push(user_id);
@@ -355,6 +943,14 @@ router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) =
         const attendanceResult = await db.query(attendanceQuery, attendanceParams);
         const attendanceData = Array.isArray(attendanceResult) ? attendanceResult : (attendanceResult[0] || []);
 
+        // Published roster for the period, keyed by `${user_id}:${date}`
+        const shiftMap = await getPublishedShifts(start_date, end_date, {
+            storeId: store_id,
+            userId: user_id
+        });
+        const leaveMap = await getApprovedLeaveMap(start_date, end_date, { userId: user_id });
+        const [{ now }] = await db.query("SELECT DATE_FORMAT(NOW(), '%Y-%m-%d %H:%i:%s') as now");
+
         // Group attendance data by user_id and date
         const attendanceMap = {};
         attendanceData.forEach(record => {
@@ -400,10 +996,21 @@ router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) =
                 status,
                 hours: parseFloat(hours.toFixed(2)),
                 minutes: workMinutes,
+                break_minutes: record.break_minutes || 0,
+                overtime_minutes: record.overtime_minutes || 0,
+                auto_closed: !!record.auto_closed,
+                regularized: !!record.regularized,
                 color,
                 attendance_id: record.attendance_id,
                 login_time: record.login_time_local || record.login_time, // Use local format
-                logout_time: record.logout_time_local || record.logout_time // Use local format
+                logout_time: record.logout_time_local || record.logout_time, // Use local format
+                flagged_punch: record.login_outside_geofence || record.logout_outside_geofence ? {
+                    store_id: record.store_id,
+                    login_outside_geofence: !!record.login_outside_geofence,
+                    login_distance_m: record.login_distance_m,
+                    logout_outside_geofence: !!record.logout_outside_geofence,
+                    logout_distance_m: record.logout_distance_m
+                } : null
             };
         });
 
@@ -415,20 +1022,38 @@ router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) =
                         status: 'absent',
                         hours: 0,
                         minutes: 0,
+                        break_minutes: 0,
+                        overtime_minutes: 0,
                         color: 'red',
                         attendance_id: null,
                         login_time: null,
                         logout_time: null
                     };
 
+                const shift = shiftMap[`${user.user_id}:${date}`];
+                const leave = leaveMap[`${user.user_id}:${date}`] || null;
+
+                // A half day of leave still expects a clock-in for the other half
+                if (leave && !leave.half_day && !dayData.attendance_id) {
+                    dayData.status = 'on_leave';
+                    dayData.color = 'blue';
+                }
+
                 return {
                     date,
                     status: dayData.status,
                     hours: dayData.hours,
+                    break_minutes: dayData.break_minutes,
+                    overtime_minutes: dayData.overtime_minutes,
+                    auto_closed: !!dayData.auto_closed,
+                    regularized: !!dayData.regularized,
                     color: dayData.color,
                     attendance_id: dayData.attendance_id,
                     login_time: dayData.login_time,
-                    logout_time: dayData.logout_time
+                    logout_time: dayData.logout_time,
+                    flagged_punch: dayData.flagged_punch || null,
+                    leave,
+                    shift: shift ? compareWithShift(shift, dayData, now) : null
                 };
             });
 
@@ -438,7 +1063,7 @@ router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) =
             let missingHours = 0;
 
             dateData.forEach(day => {
-                if (day.status !== 'absent') {
+                if (day.status !== 'absent' && day.status !== 'on_leave') {
                     presentDays++;
                     totalHours += day.hours;
                     if (day.hours > 0 && day.hours < 9) {
@@ -449,6 +1074,12 @@ router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) =
 
             const averageHours = presentDays > 0 ? (totalHours / presentDays).toFixed(2) : 0;
 
+            const leaveDays = dateData.filter(day => day.status === 'on_leave');
+
+            // Scheduled vs. actual
+            const shifts = dateData.filter(day => day.shift).map(day => day.shift);
+            const scheduledMinutes = shifts.reduce((acc, shift) => acc + shift.scheduled_minutes, 0);
+
             return {
                 user_id: user.user_id,
                 full_name: user.full_name,
@@ -457,23 +1088,55 @@ router.get('/summary', authorize('manager', 'admin','staff'), async (req, res) =
                 summary: {
                     present_days: presentDays,
                     total_hours: parseFloat(totalHours.toFixed(2)),
+                    break_hours: parseFloat(
+                        (dateData.reduce((acc, day) => acc + day.break_minutes, 0) / 60).toFixed(2)
+                    ),
+                    overtime_hours: parseFloat(
+                        (dateData.reduce((acc, day) => acc + day.overtime_minutes, 0) / 60).toFixed(2)
+                    ),
                     missing_hours: parseFloat(missingHours.toFixed(2)),
                     average_hours: parseFloat(averageHours),
                     total_days: dateList.length,
-                    absent_days: dateList.length - presentDays
+                    // Unexplained absences only; approved leave is counted separately
+                    absent_days: dateList.length - presentDays - leaveDays.length,
+                    leave_days: leaveDays.length,
+                    paid_leave_days: leaveDays.filter(day => day.leave.is_paid).length,
+                    half_day_leaves: dateData.filter(day => day.leave && day.leave.half_day).length,
+                    scheduled_shifts: shifts.length,
+                    scheduled_hours: parseFloat((scheduledMinutes / 60).toFixed(2)),
+                    late_arrivals: shifts.filter(shift => shift.is_late).length,
+                    late_minutes: shifts.reduce((acc, shift) => acc + shift.late_minutes, 0),
+                    early_departures: shifts.filter(shift => shift.left_early).length,
+                    no_shows: dateData.filter(day => day.shift && day.shift.no_show && !day.leave).length,
+                    flagged_punches: dateData.filter(day => day.flagged_punch).length
                 }
             };
         });
 
+        // Punches outside a store geofence, for manager review
+        const flaggedPunches = result.flatMap(user => user.dates
+            .filter(day => day.flagged_punch)
+            .map(day => ({
+                user_id: user.user_id,
+                full_name: user.full_name,
+                date: day.date,
+                attendance_id: day.attendance_id,
+                login_time: day.login_time,
+                logout_time: day.logout_time,
+                ...day.flagged_punch
+            })));
+
         res.json({
             success: true,
             data: result,
             columns: dateList,
+            flagged_punches: flaggedPunches,
             meta: {
                 start_date,
                 end_date,
                 total_days: dateList.length,
                 total_employees: result.length,
+                overtime_threshold_minutes: OVERTIME_THRESHOLD_MINUTES,
                 store_id: store_id || 'all'
             }
         });
@@ -1,12 +1,55 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const db = require('../utils/database');
-const { authMiddleware, authorize } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions,
+    getSession
+} = require('../utils/sessions');
+const {
+    getActiveLockout,
+    registerFailure,
+    clearFailures,
+    unlock,
+    recordLoginAttempt
+} = require('../utils/lockout');
+const {
+    getEffectivePermissions,
+    getUserPermissions,
+    getPermissionOverrides,
+    findUnknownPermissions,
+    getRole
+} = require('../utils/permissions');
+const {
+    getUserStoreIds,
+    getStoreAssignments,
+    findUnknownStores,
+    setUserStores,
+    loadStoreScope
+} = require('../utils/access');
+
+// Returns an error message for a bad store_ids array, or null
+async function validateStoreList(storeIds) {
+    if (!Array.isArray(storeIds)) {
+        return 'store_ids must be an array of store ids';
+    }
+
+    const unknown = await findUnknownStores(storeIds);
+    if (unknown.length > 0) {
+        return `Unknown stores: ${unknown.join(', ')}`;
+    }
+
+    return null;
+}
 
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user. Returns a short-lived access token and a refresh token.
+//          Repeated failures lock the username or IP for a growing period.
 // @access  Public
 router.post('/login', async (req, res) => {
     try {
@@ -20,50 +63,62 @@ router.post('/login', async (req, res) => {
             });
         }
 
+        const lockout = await getActiveLockout(username, req.ip);
+        if (lockout) {
+            await recordLoginAttempt({ username, req, success: false, failureReason: 'locked' });
+            res.set('Retry-After', String(lockout.retry_after_seconds));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed login attempts. Try again later.',
+                retry_after_seconds: lockout.retry_after_seconds
+            });
+        }
+
         // Check if user exists - CHANGED: removed [] from db.query()
         const users = await db.query(
             'SELECT * FROM users WHERE username = ? AND is_active = 1',
             [username]
         );
 
-        console.log('Users found:', users ? users.length : 0); // Debug log
-        console.log('JWT_SECRET=' + require('crypto').randomBytes(64).toString('hex'));
-        if (!users || users.length === 0) {
-            console.log('No user found for username:', username);
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
-        }
+        const user = users && users.length > 0 ? users[0] : null;
 
-        const user = users[0];
-        console.log(user); // Debug log
-        const hashss = await bcrypt.hash('admin123', 10);
-        console.log(hashss); 
-        // Check password
-        const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+        // Check password. Unknown users and wrong passwords get the same answer.
+        const isPasswordValid = user ? await bcrypt.compare(password, user.password_hash) : false;
         if (!isPasswordValid) {
+            await registerFailure(username, req.ip);
+            await recordLoginAttempt({
+                username,
+                userId: user ? user.user_id : null,
+                req,
+                success: false,
+                failureReason: user ? 'bad_password' : 'unknown_user'
+            });
             return res.status(401).json({
                 success: false,
-                message: 'Invalid credentials1'
+                message: 'Invalid credentials'
             });
         }
 
-        // Create token
-        const token = jwt.sign(
-            { userId: user.user_id, userType: user.user_type },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-        );
+        await clearFailures(username, req.ip);
+        await recordLoginAttempt({ username, userId: user.user_id, req, success: true });
+
+        // Start a session and issue its tokens
+        const tokens = await createSession(user, req);
 
         // Remove password from response
         const { password_hash, ...userWithoutPassword } = user;
+        const permissions = await getUserPermissions(user.user_id);
 
         res.json({
             success: true,
             message: 'Login successful',
-            token,
-            user: userWithoutPassword
+            ...tokens,
+            user: {
+                ...userWithoutPassword,
+                permissions,
+                // null when the user works across every store
+                store_ids: await loadStoreScope({ user_id: user.user_id, permissions })
+            }
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -74,8 +129,123 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token. The refresh token
+//          is rotated: the one sent can't be used again.
+// @access  Public
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+
+        if (!refresh_token) {
+            return res.status(400).json({
+                success: false,
+                message: 'refresh_token is required'
+            });
+        }
+
+        const { tokens, error } = await rotateRefreshToken(refresh_token);
+
+        if (error) {
+            return res.status(401).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.json({
+            success: true,
+            ...tokens
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', authMiddleware, async (req, res) => {
+    try {
+        await revokeSession(req.sessionId, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Active sessions of the logged-in user (users.manage can pass user_id)
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.permissions.includes('users.manage') && req.query.user_id
+            ? req.query.user_id
+            : req.user.user_id;
+
+        const sessions = await listActiveSessions(userId);
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(session => ({
+                ...session,
+                current: session.session_id === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching sessions'
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one session (your own, or any session with users.manage)
+// @access  Private
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+        const session = await getSession(req.params.id);
+
+        if (!session || (session.user_id !== req.user.user_id && !req.user.permissions.includes('users.manage'))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const reason = session.user_id === req.user.user_id ? 'revoked_by_user' : 'revoked_by_admin';
+        await revokeSession(session.session_id, reason);
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking session'
+        });
+    }
+});
+
 // @route   POST /api/auth/change-password
-// @desc    Change password
+// @desc    Change password. Other sessions of the user are signed out.
 // @access  Private
 router.post('/change-password', authMiddleware, async (req, res) => {
     try {
@@ -127,6 +297,7 @@ router.post('/change-password', authMiddleware, async (req, res) => {
             'UPDATE users SET password_hash = ? WHERE user_id = ?',
             [hashedPassword, userId]
         );
+        await revokeUserSessions(userId, 'password_changed', { exceptSessionId: req.sessionId });
 
         res.json({
             success: true,
@@ -142,22 +313,24 @@ router.post('/change-password', authMiddleware, async (req, res) => {
 });
 
 // @route   POST /api/auth/create-user
-// @desc    Create new user (Admin only)
-// @access  Private (Admin only)
-router.post('/create-user', authMiddleware, authorize('admin'), async (req, res) => {
+// @desc    Create new user. Setting role_code also needs roles.manage.
+// @access  Private (users.manage)
+router.post('/create-user', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+    let conn;
     try {
         const {
             username,
             password,
             full_name,
             user_type,
-            assigned_store
+            role_code = null,
+            store_ids = []
         } = req.body;
         // Validation
-        if (!username || !password || !full_name || !user_type || !assigned_store) {
+        if (!username || !password || !full_name || !user_type) {
             return res.status(400).json({
                 success: false,
-                message: 'All fields are required: username, password, full_name, user_type, assigned_store'
+                message: 'All fields are required: username, password, full_name, user_type'
             });
         }
 
@@ -170,12 +343,27 @@ router.post('/create-user', authMiddleware, authorize('admin'), async (req, res)
             });
         }
 
-        // Validate assigned_store
-        const validStores = ['arcade', 'dreamcube', 'toys_merch', 'all'];
-        if (!validStores.includes(assigned_store)) {
+        const storeError = await validateStoreList(store_ids);
+        if (storeError) {
             return res.status(400).json({
                 success: false,
-                message: 'assigned_store must be one of: arcade, dreamcube, toys_merch, all'
+                message: storeError
+            });
+        }
+
+        // Handing out a role is role management, not just user management
+        if (role_code !== null && !req.user.permissions.includes('roles.manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Assigning a role requires the roles.manage permission'
+            });
+        }
+
+        // Without a role_code the user gets the built-in role for their user_type
+        if (role_code !== null && !(await getRole(role_code))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role not found'
             });
         }
 
@@ -196,18 +384,25 @@ router.post('/create-user', authMiddleware, authorize('admin'), async (req, res)
         const salt = await bcrypt.genSalt(10);
         const password_hash = await bcrypt.hash(password, salt);
 
-        // Insert new user
-        const result = await db.query(
+        // The user and their store assignments land together
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        const [result] = await conn.execute(
             `INSERT INTO users (
                 username, 
                 password_hash, 
                 full_name, 
                 user_type, 
-                assigned_store
+                role_code
             ) VALUES (?, ?, ?, ?, ?)`,
-            [username, password_hash, full_name, user_type, assigned_store]
+            [username, password_hash, full_name, user_type, role_code]
         );
 
+        await setUserStores(result.insertId, store_ids, conn);
+
+        await conn.commit();
+
         // Get the created user (excluding password) - CHANGED: removed []
         const newUser = await db.query(
             `SELECT 
@@ -215,7 +410,7 @@ router.post('/create-user', authMiddleware, authorize('admin'), async (req, res)
                 username,
                 full_name,
                 user_type,
-                assigned_store,
+                role_code,
                 is_active,
                 created_at
             FROM users 
@@ -226,21 +421,27 @@ router.post('/create-user', authMiddleware, authorize('admin'), async (req, res)
         res.status(201).json({
             success: true,
             message: 'User created successfully',
-            user: newUser[0]
+            user: {
+                ...newUser[0],
+                store_ids: await getUserStoreIds(result.insertId)
+            }
         });
     } catch (error) {
+        if (conn) await conn.rollback();
         console.error('Create user error:', error);
         res.status(500).json({
             success: false,
             message: 'Error creating user'
         });
+    } finally {
+        if (conn) conn.release();
     }
 });
 
 // @route   GET /api/auth/users
-// @desc    Get all users (Admin only)
-// @access  Private (Admin only)
-router.get('/users', authMiddleware, authorize('admin'), async (req, res) => {
+// @desc    Get all users with their effective permissions, overrides and stores
+// @access  Private (users.manage)
+router.get('/users', authMiddleware, requirePermission('users.manage'), async (req, res) => {
     try {
         // CHANGED: removed []
         const users = await db.query(
@@ -249,16 +450,26 @@ router.get('/users', authMiddleware, authorize('admin'), async (req, res) => {
                 username,
                 full_name,
                 user_type,
-                assigned_store,
+                role_code,
                 is_active,
                 created_at
             FROM users 
             ORDER BY created_at DESC`
         );
 
+        const permissions = await getEffectivePermissions();
+        const overrides = await getPermissionOverrides();
+        const stores = await getStoreAssignments();
+
         res.json({
             success: true,
-            users
+            users: users.map(user => ({
+                ...user,
+                role: user.role_code || user.user_type,
+                permissions: permissions[user.user_id] || [],
+                permission_overrides: overrides[user.user_id] || {},
+                store_ids: stores[user.user_id] || []
+            }))
         });
     } catch (error) {
         console.error('Get users error:', error);
@@ -270,15 +481,15 @@ router.get('/users', authMiddleware, authorize('admin'), async (req, res) => {
 });
 
 // @route   PUT /api/auth/users/:id
-// @desc    Update user (Admin only)
-// @access  Private (Admin only)
-router.put('/users/:id', authMiddleware, authorize('admin'), async (req, res) => {
+// @desc    Update user. Setting role_code also needs roles.manage.
+// @access  Private (users.manage)
+router.put('/users/:id', authMiddleware, requirePermission('users.manage'), async (req, res) => {
     try {
         const { id } = req.params;
         const {
             full_name,
             user_type,
-            assigned_store,
+            role_code,
             is_active,
             password
         } = req.body;
@@ -317,16 +528,22 @@ router.put('/users/:id', authMiddleware, authorize('admin'), async (req, res) =>
             values.push(user_type);
         }
 
-        if (assigned_store !== undefined) {
-            const validStores = ['arcade', 'dreamcube', 'toys_merch', 'all'];
-            if (!validStores.includes(assigned_store)) {
+        // null puts the user back on the built-in role for their user_type
+        if (role_code !== undefined) {
+            if (!req.user.permissions.includes('roles.manage')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Assigning a role requires the roles.manage permission'
+                });
+            }
+            if (role_code !== null && !(await getRole(role_code))) {
                 return res.status(400).json({
                     success: false,
-                    message: 'assigned_store must be one of: arcade, dreamcube, toys_merch, all'
+                    message: 'Role not found'
                 });
             }
-            updates.push('assigned_store = ?');
-            values.push(assigned_store);
+            updates.push('role_code = ?');
+            values.push(role_code);
         }
 
         if (is_active !== undefined) {
@@ -360,6 +577,11 @@ router.put('/users/:id', authMiddleware, authorize('admin'), async (req, res) =>
             values
         );
 
+        // A deactivated user or a reset password signs out every session
+        if (password !== undefined || (is_active !== undefined && !is_active)) {
+            await revokeUserSessions(id, 'revoked_by_admin');
+        }
+
         // Get updated user - CHANGED: removed []
         const updatedUser = await db.query(
             `SELECT 
@@ -367,7 +589,7 @@ router.put('/users/:id', authMiddleware, authorize('admin'), async (req, res) =>
                 username,
                 full_name,
                 user_type,
-                assigned_store,
+                role_code,
                 is_active,
                 created_at
             FROM users 
@@ -389,10 +611,339 @@ router.put('/users/:id', authMiddleware, authorize('admin'), async (req, res) =>
     }
 });
 
+// @route   PUT /api/auth/users/:id/permissions
+// @desc    Per-user overrides on top of the role, e.g.
+//          { "overrides": { "cash.close": true, "sales.edit": false, "problems.fix": null } }
+//          true grants, false revokes, null removes the override
+// @access  Private (roles.manage)
+router.put('/users/:id/permissions', authMiddleware, requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { overrides } = req.body;
+
+        if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+            return res.status(400).json({
+                success: false,
+                message: 'overrides must be an object of permission codes to true, false or null'
+            });
+        }
+
+        const invalid = Object.entries(overrides).filter(([, value]) => ![true, false, null].includes(value));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Override values must be true, false or null: ${invalid.map(([code]) => code).join(', ')}`
+            });
+        }
+
+        const unknown = await findUnknownPermissions(Object.keys(overrides));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown permissions: ${unknown.join(', ')}`
+            });
+        }
+
+        const existingUsers = await db.query(
+            'SELECT user_id FROM users WHERE user_id = ?',
+            [id]
+        );
+
+        if (!existingUsers || existingUsers.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        for (const [permission, granted] of Object.entries(overrides)) {
+            if (granted === null) {
+                await db.query(
+                    'DELETE FROM user_permission_overrides WHERE user_id = ? AND permission_code = ?',
+                    [id, permission]
+                );
+            } else {
+                await db.query(
+                    `INSERT INTO user_permission_overrides (user_id, permission_code, is_granted, granted_by)
+                     VALUES (?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE is_granted = VALUES(is_granted), granted_by = VALUES(granted_by)`,
+                    [id, permission, granted ? 1 : 0, req.user.user_id]
+                );
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Permission overrides updated',
+            permissions: await getUserPermissions(id),
+            permission_overrides: (await getPermissionOverrides(id))[id] || {}
+        });
+    } catch (error) {
+        console.error('Update permission overrides error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating permission overrides'
+        });
+    }
+});
+
+// @route   GET /api/auth/users/:id/stores
+// @desc    Stores a user is assigned to
+// @access  Private (users.manage)
+router.get('/users/:id/stores', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingUsers = await db.query(
+            'SELECT user_id FROM users WHERE user_id = ?',
+            [id]
+        );
+
+        if (!existingUsers || existingUsers.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const stores = await db.query(
+            `SELECT s.store_id, s.store_code, s.store_name, s.is_active
+             FROM user_stores us
+             JOIN stores s ON us.store_id = s.store_id
+             WHERE us.user_id = ?
+             ORDER BY s.store_id`,
+            [id]
+        );
+
+        res.json({
+            success: true,
+            count: stores.length,
+            data: stores
+        });
+    } catch (error) {
+        console.error('Get user stores error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching user stores'
+        });
+    }
+});
+
+// @route   PUT /api/auth/users/:id/stores
+// @desc    Replace a user's store assignments, e.g. { "store_ids": [1, 3] }.
+//          Takes effect on the user's next request.
+// @access  Private (users.manage)
+router.put('/users/:id/stores', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { store_ids } = req.body;
+
+        const storeError = await validateStoreList(store_ids);
+        if (storeError) {
+            return res.status(400).json({
+                success: false,
+                message: storeError
+            });
+        }
+
+        const existingUsers = await db.query(
+            'SELECT user_id FROM users WHERE user_id = ?',
+            [id]
+        );
+
+        if (!existingUsers || existingUsers.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        await setUserStores(id, store_ids);
+
+        res.json({
+            success: true,
+            message: 'Store assignments updated',
+            store_ids: await getUserStoreIds(id)
+        });
+    } catch (error) {
+        console.error('Update user stores error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating user stores'
+        });
+    }
+});
+
+// @route   POST /api/auth/users/:id/revoke-sessions
+// @desc    Sign a user out everywhere, e.g. after a lost phone
+// @access  Private (users.manage)
+router.post('/users/:id/revoke-sessions', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingUsers = await db.query(
+            'SELECT user_id FROM users WHERE user_id = ?',
+            [id]
+        );
+
+        if (!existingUsers || existingUsers.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const revoked = await revokeUserSessions(id, 'revoked_by_admin');
+
+        res.json({
+            success: true,
+            message: `${revoked} session(s) revoked`,
+            revoked
+        });
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking sessions'
+        });
+    }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    Login attempts, newest first. Filters: username, user_id, ip_address,
+//          success (true/false), start_date, end_date; paged with page and limit.
+// @access  Private (users.security)
+router.get('/login-history', authMiddleware, requirePermission('users.security'), async (req, res) => {
+    try {
+        const { username, user_id, ip_address, success, start_date, end_date, page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let where = 'WHERE 1=1';
+        const params = [];
+
+        if (username) {
+            where += ' AND la.username = ?';
+            params.push(username);
+        }
+
+        if (user_id) {
+            where += ' AND la.user_id = ?';
+            params.push(user_id);
+        }
+
+        if (ip_address) {
+            where += ' AND la.ip_address = ?';
+            params.push(ip_address);
+        }
+
+        if (success === 'true' || success === 'false') {
+            where += ' AND la.success = ?';
+            params.push(success === 'true' ? 1 : 0);
+        }
+
+        if (start_date) {
+            where += ' AND la.created_at >= ?';
+            params.push(start_date);
+        }
+
+        if (end_date) {
+            where += ' AND la.created_at < ? + INTERVAL 1 DAY';
+            params.push(end_date);
+        }
+
+        const attempts = await db.query(
+            `SELECT la.*, u.full_name
+             FROM login_attempts la
+             LEFT JOIN users u ON la.user_id = u.user_id
+             ${where}
+             ORDER BY la.created_at DESC, la.attempt_id DESC LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), parseInt(offset)]
+        );
+
+        const [{ total }] = await db.query(
+            `SELECT COUNT(*) as total FROM login_attempts la ${where}`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: attempts,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get login history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching login history'
+        });
+    }
+});
+
+// @route   GET /api/auth/lockouts
+// @desc    Usernames and IPs that are currently locked out
+// @access  Private (users.security)
+router.get('/lockouts', authMiddleware, requirePermission('users.security'), async (req, res) => {
+    try {
+        const lockouts = await db.query(
+            `SELECT *, TIMESTAMPDIFF(SECOND, NOW(), locked_until) as retry_after_seconds
+             FROM login_lockouts
+             WHERE locked_until > NOW()
+             ORDER BY locked_until DESC`
+        );
+
+        res.json({
+            success: true,
+            count: lockouts.length,
+            data: lockouts
+        });
+    } catch (error) {
+        console.error('Get lockouts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching lockouts'
+        });
+    }
+});
+
+// @route   POST /api/auth/unlock
+// @desc    Clear the lockout and failure count for a username and/or an IP
+// @access  Private (users.security)
+router.post('/unlock', authMiddleware, requirePermission('users.security'), async (req, res) => {
+    try {
+        const { username, ip_address } = req.body;
+
+        if (!username && !ip_address) {
+            return res.status(400).json({
+                success: false,
+                message: 'username or ip_address is required'
+            });
+        }
+
+        const cleared = await unlock({ username, ip: ip_address });
+
+        res.json({
+            success: true,
+            message: cleared > 0 ? 'Lockout cleared' : 'Nothing to unlock',
+            cleared
+        });
+    } catch (error) {
+        console.error('Unlock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error clearing lockout'
+        });
+    }
+});
+
 // @route   POST /api/auth/change-password/:id
-// @desc    Change user password (Admin only)
-// @access  Private (Admin only)
-router.post('/change-password/:id', authMiddleware, authorize('admin'), async (req, res) => {
+// @desc    Change user password and sign the user out everywhere
+// @access  Private (users.manage)
+router.post('/change-password/:id', authMiddleware, requirePermission('users.manage'), async (req, res) => {
     try {
         const { id } = req.params;
         const { new_password } = req.body;
@@ -426,6 +977,7 @@ router.post('/change-password/:id', authMiddleware, authorize('admin'), async (r
             'UPDATE users SET password_hash = ? WHERE user_id = ?',
             [password_hash, id]
         );
+        await revokeUserSessions(id, 'password_changed');
 
         res.json({
             success: true,
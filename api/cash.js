@@ -2,50 +2,86 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../utils/database');
-const { authMiddleware, authorize } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+    MOVEMENT_TYPES,
+    RECORDABLE_MOVEMENT_TYPES,
+    round2,
+    parseDenominations,
+    calculateExpectedCash,
+    recordCloseReview,
+    getPendingCloser,
+    saveRegisterVersion
+} = require('../utils/cash');
+const { getStore } = require('../utils/stores');
+const { STORE_ACCESS_DENIED, canAccessStore, storeScope } = require('../utils/access');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
 // @route   POST /api/cash/open
 // @desc    Open cash register for the day
-// @access  Private (Staff, Manager, Admin)
-router.post('/open', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @access  Private (cash.operate)
+router.post('/open', requirePermission('cash.operate'), async (req, res) => {
     try {
-        const { store_id, opening_cash, date } = req.body;
+        const { store_id, opening_cash, opening_denominations, date } = req.body;
         const user_id = req.user.user_id;
         const today = date;
         const notes = null;
+
+        // Either a counted drawer, a declared total, or both (which must agree)
+        let openingCash = opening_cash;
+        let denominations = null;
+        if (opening_denominations !== undefined) {
+            const count = parseDenominations(opening_denominations, opening_cash);
+            if (count.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: count.error
+                });
+            }
+            openingCash = count.total;
+            denominations = count.denominations;
+        }
+
+        if (!store_id || !today || openingCash === undefined || isNaN(parseFloat(openingCash))) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_id, date and opening_cash (or opening_denominations) are required'
+            });
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
         // Check if register is already opened today
         const existingRegister = await db.query(
             'SELECT * FROM cash_register WHERE store_id = ? AND register_date = ?',
             [store_id, today]
         );
-        //,notes = CONCAT_WS(' | ', notes, ?)
+        // Opening amounts are only changed through the correction endpoint
         if (existingRegister.length > 0) {
-            await db.query(
-                `UPDATE cash_register SET
-        opening_cash = ?
-        
-      WHERE store_id = ? AND register_date = ?`,
-                [opening_cash, store_id, today]
-            );
-            return res.status(400).json({
+            return res.status(409).json({
                 success: false,
-                message: 'Cash register already opened for today and it updated'
+                message: 'Cash register already opened for this date; a manager can correct it via PUT /api/cash/:register_id',
+                register_id: existingRegister[0].register_id
             });
         }
 
         // Open cash register
         const result = await db.query(
             `INSERT INTO cash_register (
-        store_id, user_id, register_date, opening_cash, notes
-      ) VALUES (?, ?, ?, ?, ?)`,
-            [store_id, user_id, today, opening_cash, notes]
+        store_id, user_id, register_date, opening_cash, opening_denominations, notes
+      ) VALUES (?, ?, ?, ?, ?, ?)`,
+            [store_id, user_id, today, openingCash, denominations && JSON.stringify(denominations), notes]
         );
 
         // Get store info
-        const [stores] = await db.query(
+        const stores = await db.query(
             'SELECT store_name FROM stores WHERE store_id = ?',
             [store_id]
         );
@@ -56,7 +92,8 @@ router.post('/open', authorize('staff', 'manager', 'admin'), async (req, res) =>
             register_id: result.insertId,
             store_name: stores[0]?.store_name,
             date: today,
-            opening_cash: parseFloat(opening_cash)
+            opening_cash: parseFloat(openingCash),
+            opening_denominations: denominations
         });
     } catch (error) {
         console.error('Open cash register error:', error);
@@ -69,13 +106,42 @@ router.post('/open', authorize('staff', 'manager', 'admin'), async (req, res) =>
 
 // @route   POST /api/cash/close
 // @desc    Close cash register for the day
-// @access  Private (Staff, Manager, Admin)
-router.post('/close', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @access  Private (cash.close)
+router.post('/close', requirePermission('cash.close'), async (req, res) => {
+    let conn;
     try {
-        const { store_id, closing_cash, notes, date } = req.body;
+        const { store_id, closing_denominations, notes, date } = req.body;
+        let { closing_cash } = req.body;
         const user_id = req.user.user_id;
         const today = date;
 
+        let denominations = null;
+        if (closing_denominations !== undefined) {
+            const count = parseDenominations(closing_denominations, closing_cash);
+            if (count.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: count.error
+                });
+            }
+            closing_cash = count.total;
+            denominations = count.denominations;
+        }
+
+        if (!store_id || !today || closing_cash === undefined || isNaN(parseFloat(closing_cash))) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_id, date and closing_cash (or closing_denominations) are required'
+            });
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
         // Check if register is opened today
         const register = await db.query(
             'SELECT * FROM cash_register WHERE store_id = ? AND register_date = ?',
@@ -89,71 +155,798 @@ router.post('/close', authorize('staff', 'manager', 'admin'), async (req, res) =
             });
         }
 
-        if (register[0].closing_cash !== null) {
-            return res.status(400).json({
+        if (!['open', 'recount_requested'].includes(register[0].close_status)) {
+            return res.status(409).json({
                 success: false,
-                message: 'Cash register already closed for today'
+                message: register[0].close_status === 'pending_review'
+                    ? 'Cash register close is awaiting manager review'
+                    : 'Cash register already closed for today; a manager can reopen it',
+                register_id: register[0].register_id
             });
         }
 
-        // Get today's cash sales
-        const cashSales = await db.query(
-            'SELECT COALESCE(SUM(cash_amount), 0) as total_cash_sales FROM sales WHERE store_id  IN (1,2,3,4) AND sale_date = ?',
-            [today]
-        );
+        // Expected cash is reconciled against this register's own store only
+        const breakdown = await calculateExpectedCash({
+            ...register[0],
+            register_date: today
+        });
+
+        const calculated_cash = breakdown.expected_cash;
+        const cash_difference = round2(parseFloat(closing_cash) - calculated_cash);
 
-        const total_cash_sales = parseFloat(cashSales[0]?.total_cash_sales || 0);
-        const opening_cash = parseFloat(register[0].opening_cash);
-        const calculated_cash = opening_cash + total_cash_sales;
-        const cash_difference = parseFloat(closing_cash) - calculated_cash;
+        // A variance outside the store's tolerance needs a manager's sign-off
+        const store = await getStore(store_id);
+        const tolerance = parseFloat(store?.cash_variance_tolerance) || 0;
+        const withinTolerance = Math.abs(cash_difference) <= tolerance;
+        const close_status = withinTolerance ? 'closed' : 'pending_review';
 
-        // Close cash register ,notes = CONCAT_WS(' | ', notes, ?)
-        await db.query(
+        // Conditional on the status so a concurrent close or reopen loses
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        const [result] = await conn.execute(
             `UPDATE cash_register SET
         closing_cash = ?,
         calculated_cash = ?,
         cash_difference = ?,
+        closing_denominations = ?,
+        calculation_breakdown = ?,
+        close_status = ?,
         closing_time = NOW()
-       
-      WHERE store_id = ? AND register_date = ?`,
-            [closing_cash, calculated_cash, cash_difference, store_id, today]
+      WHERE register_id = ? AND close_status IN ('open', 'recount_requested')`,
+            [closing_cash, calculated_cash, cash_difference, denominations && JSON.stringify(denominations), JSON.stringify(breakdown), close_status, register[0].register_id]
         );
 
-        // Get store info
-        const [stores] = await db.query(
-            'SELECT store_name FROM stores WHERE store_id = ?',
-            [store_id]
+        if (result.affectedRows === 0) {
+            await conn.rollback();
+            return res.status(409).json({
+                success: false,
+                message: 'Cash register was closed by someone else',
+                register_id: register[0].register_id
+            });
+        }
+
+        await recordCloseReview(
+            { register_id: register[0].register_id, closing_cash, calculated_cash, cash_difference },
+            withinTolerance ? 'auto_approved' : 'submitted_for_review',
+            { reason: notes || null, userId: user_id, tolerance },
+            conn
         );
 
+        await conn.commit();
+
         res.json({
             success: true,
-            message: 'Cash register closed successfully',
-            store_name: stores[0]?.store_name,
+            message: withinTolerance
+                ? 'Cash register closed successfully'
+                : 'Cash difference is outside the allowed variance; close sent for manager review',
+            close_status,
+            variance_tolerance: tolerance,
+            store_name: store?.store_name,
             date: today,
-            opening_cash,
+            opening_cash: breakdown.opening_cash,
             closing_cash: parseFloat(closing_cash),
-            total_cash_sales,
+            closing_denominations: denominations,
+            total_cash_sales: breakdown.cash_sales,
             calculated_cash,
-            cash_difference
+            cash_difference,
+            breakdown
         });
     } catch (error) {
+        if (conn) await conn.rollback();
         console.error('Close cash register error:', error);
         res.status(500).json({
             success: false,
             message: 'Error closing cash register'
         });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// @route   POST /api/cash/movements
+// @desc    Record a mid-day cash movement (drop, pay-in, pay-out or transfer to
+//          another store) against an open register
+// @access  Private (cash.operate)
+router.post('/movements', requirePermission('cash.operate'), async (req, res) => {
+    let conn;
+    try {
+        const { store_id, date, movement_type, amount, reason, to_store_id } = req.body;
+        const user_id = req.user.user_id;
+
+        if (!store_id || !date || !movement_type || !amount || !reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_id, date, movement_type, amount and reason are required'
+            });
+        }
+
+        // Only the sending store needs to be accessible; a transfer may go to any store
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        if (!RECORDABLE_MOVEMENT_TYPES.includes(movement_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `movement_type must be one of: ${RECORDABLE_MOVEMENT_TYPES.join(', ')}`
+            });
+        }
+
+        if (isNaN(amount) || parseFloat(amount) <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Amount must be a positive number'
+            });
+        }
+
+        const isTransfer = movement_type === 'transfer_out';
+        if (isTransfer && (!to_store_id || Number(to_store_id) === Number(store_id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'to_store_id is required for transfers and must be a different store'
+            });
+        }
+
+        // Both sides of a transfer need a register that is open on that date
+        const storeIds = isTransfer ? [store_id, to_store_id] : [store_id];
+        const registers = await db.query(
+            `SELECT register_id, store_id, closing_cash FROM cash_register
+             WHERE register_date = ? AND store_id IN (${storeIds.map(() => '?').join(',')})`,
+            [date, ...storeIds]
+        );
+
+        const source = registers.find(r => Number(r.store_id) === Number(store_id));
+        const target = isTransfer && registers.find(r => Number(r.store_id) === Number(to_store_id));
+
+        for (const [label, register] of [['This store', source], ['Receiving store', target]]) {
+            if (register === false) continue;
+            if (!register) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${label}'s cash register is not opened for this date`
+                });
+            }
+            if (register.closing_cash !== null) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${label}'s cash register is already closed for this date`
+                });
+            }
+        }
+
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        const [result] = await conn.execute(
+            `INSERT INTO cash_movements (
+                register_id, store_id, counterpart_store_id, movement_type, amount, reason, user_id
+             ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                source.register_id,
+                store_id,
+                isTransfer ? to_store_id : null,
+                movement_type,
+                parseFloat(amount),
+                reason,
+                user_id
+            ]
+        );
+
+        let linkedMovementId = null;
+        if (isTransfer) {
+            const [incoming] = await conn.execute(
+                `INSERT INTO cash_movements (
+                    register_id, store_id, counterpart_store_id, movement_type, amount, reason, user_id, linked_movement_id
+                 ) VALUES (?, ?, ?, 'transfer_in', ?, ?, ?, ?)`,
+                [target.register_id, to_store_id, store_id, parseFloat(amount), reason, user_id, result.insertId]
+            );
+            linkedMovementId = incoming.insertId;
+
+            await conn.execute(
+                'UPDATE cash_movements SET linked_movement_id = ? WHERE movement_id = ?',
+                [linkedMovementId, result.insertId]
+            );
+        }
+
+        await conn.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Cash movement recorded',
+            movement_id: result.insertId,
+            linked_movement_id: linkedMovementId
+        });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Record cash movement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error recording cash movement'
+        });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// @route   GET /api/cash/movements
+// @desc    List cash movements for a store's register on a date
+// @access  Private (cash.view)
+router.get('/movements', requirePermission('cash.view'), async (req, res) => {
+    try {
+        const { store_id, date } = req.query;
+
+        if (!store_id || !date) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_id and date are required'
+            });
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        const movements = await db.query(
+            `SELECT
+                cm.*,
+                u.full_name AS recorded_by_name,
+                cs.store_name AS counterpart_store_name
+             FROM cash_movements cm
+             JOIN cash_register cr ON cm.register_id = cr.register_id
+             JOIN users u ON cm.user_id = u.user_id
+             LEFT JOIN stores cs ON cm.counterpart_store_id = cs.store_id
+             WHERE cr.store_id = ? AND cr.register_date = ?
+             ORDER BY cm.created_at`,
+            [store_id, date]
+        );
+
+        const totals = MOVEMENT_TYPES.reduce((acc, type) => ({
+            ...acc,
+            [type]: round2(movements
+                .filter(m => m.movement_type === type)
+                .reduce((sum, m) => sum + parseFloat(m.amount), 0))
+        }), {});
+
+        res.json({
+            success: true,
+            count: movements.length,
+            totals,
+            data: movements
+        });
+    } catch (error) {
+        console.error('Get cash movements error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching cash movements'
+        });
+    }
+});
+
+// @route   GET /api/cash/reviews/pending
+// @desc    List register closes waiting for manager review
+// @access  Private (cash.review)
+router.get('/reviews/pending', requirePermission('cash.review'), async (req, res) => {
+    try {
+        const scope = storeScope(req.user, 'cr.store_id');
+        const registers = await db.query(
+            `SELECT
+                cr.*,
+                s.store_name,
+                s.cash_variance_tolerance,
+                u.full_name as opened_by_name
+             FROM cash_register cr
+             JOIN stores s ON cr.store_id = s.store_id
+             JOIN users u ON cr.user_id = u.user_id
+             WHERE cr.close_status = 'pending_review'${scope.sql}
+             ORDER BY cr.register_date, s.store_name`,
+            scope.params
+        );
+
+        res.json({
+            success: true,
+            count: registers.length,
+            data: registers
+        });
+    } catch (error) {
+        console.error('Get pending cash reviews error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching pending cash reviews'
+        });
+    }
+});
+
+// Load a register with its store's tolerance for the review and correction endpoints
+async function getRegisterWithStore(registerId) {
+    const registers = await db.query(
+        `SELECT
+            cr.*,
+            DATE_FORMAT(cr.register_date, '%Y-%m-%d') AS register_day,
+            s.cash_variance_tolerance
+         FROM cash_register cr
+         JOIN stores s ON cr.store_id = s.store_id
+         WHERE cr.register_id = ?`,
+        [registerId]
+    );
+    return registers[0] || null;
+}
+
+// @route   POST /api/cash/:register_id/approve
+// @desc    Approve a register close that is pending review
+// @access  Private (cash.review)
+router.post('/:register_id/approve', requirePermission('cash.review'), async (req, res) => {
+    let conn;
+    try {
+        const { register_id } = req.params;
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'reason is required to approve a variance'
+            });
+        }
+
+        const register = await getRegisterWithStore(register_id);
+
+        if (!register || !canAccessStore(req.user, register.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cash register not found'
+            });
+        }
+
+        if (register.close_status !== 'pending_review') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cash register is not pending review'
+            });
+        }
+
+        // The variance needs a second pair of eyes
+        if (await getPendingCloser(register.register_id) === req.user.user_id) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot review a register close you submitted'
+            });
+        }
+
+        // Conditional on the status so a concurrent approve or recount loses
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        const [result] = await conn.execute(
+            "UPDATE cash_register SET close_status = 'closed' WHERE register_id = ? AND close_status = 'pending_review'",
+            [register.register_id]
+        );
+
+        if (result.affectedRows === 0) {
+            await conn.rollback();
+            return res.status(409).json({
+                success: false,
+                message: 'Cash register was reviewed by someone else'
+            });
+        }
+
+        await recordCloseReview(register, 'approved', {
+            reason,
+            userId: req.user.user_id,
+            tolerance: register.cash_variance_tolerance
+        }, conn);
+
+        await conn.commit();
+
+        res.json({
+            success: true,
+            message: 'Cash register close approved'
+        });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Approve cash register error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error approving cash register'
+        });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// @route   POST /api/cash/:register_id/recount
+// @desc    Send a pending register close back to staff for a recount.
+//          The submitted count stays in the review trail.
+// @access  Private (cash.review)
+router.post('/:register_id/recount', requirePermission('cash.review'), async (req, res) => {
+    let conn;
+    try {
+        const { register_id } = req.params;
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'reason is required to request a recount'
+            });
+        }
+
+        const register = await getRegisterWithStore(register_id);
+
+        if (!register || !canAccessStore(req.user, register.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cash register not found'
+            });
+        }
+
+        if (register.close_status !== 'pending_review') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cash register is not pending review'
+            });
+        }
+
+        // The variance needs a second pair of eyes
+        if (await getPendingCloser(register.register_id) === req.user.user_id) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot review a register close you submitted'
+            });
+        }
+
+        // Conditional on the status so a concurrent approve or recount loses
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        const [result] = await conn.execute(
+            `UPDATE cash_register SET
+                close_status = 'recount_requested',
+                closing_cash = NULL,
+                calculated_cash = NULL,
+                cash_difference = NULL,
+                closing_denominations = NULL,
+                calculation_breakdown = NULL,
+                closing_time = NULL
+             WHERE register_id = ? AND close_status = 'pending_review'`,
+            [register.register_id]
+        );
+
+        if (result.affectedRows === 0) {
+            await conn.rollback();
+            return res.status(409).json({
+                success: false,
+                message: 'Cash register was reviewed by someone else'
+            });
+        }
+
+        // The review keeps the count that was sent back
+        await recordCloseReview(register, 'recount_requested', {
+            reason,
+            userId: req.user.user_id,
+            tolerance: register.cash_variance_tolerance
+        }, conn);
+
+        await conn.commit();
+
+        res.json({
+            success: true,
+            message: 'Recount requested; the register can be closed again'
+        });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Request recount error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error requesting recount'
+        });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// @route   GET /api/cash/:register_id/reviews
+// @desc    Get the close review trail for a register
+// @access  Private (cash.review)
+router.get('/:register_id/reviews', requirePermission('cash.review'), async (req, res) => {
+    try {
+        const register = await getRegisterWithStore(req.params.register_id);
+
+        if (!register || !canAccessStore(req.user, register.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cash register not found'
+            });
+        }
+
+        const reviews = await db.query(
+            `SELECT r.*, u.full_name AS decided_by_name
+             FROM cash_register_reviews r
+             JOIN users u ON r.user_id = u.user_id
+             WHERE r.register_id = ?
+             ORDER BY r.created_at, r.review_id`,
+            [req.params.register_id]
+        );
+
+        res.json({
+            success: true,
+            count: reviews.length,
+            data: reviews
+        });
+    } catch (error) {
+        console.error('Get cash register reviews error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching cash register reviews'
+        });
+    }
+});
+
+// @route   POST /api/cash/:register_id/reopen
+// @desc    Reopen a closed register so it can be counted and closed again
+// @access  Private (cash.correct)
+router.post('/:register_id/reopen', requirePermission('cash.correct'), async (req, res) => {
+    let conn;
+    try {
+        const { register_id } = req.params;
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'reason is required to reopen a register'
+            });
+        }
+
+        const register = await getRegisterWithStore(register_id);
+
+        if (!register || !canAccessStore(req.user, register.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cash register not found'
+            });
+        }
+
+        if (register.closing_cash === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cash register is not closed'
+            });
+        }
+
+        // The version and the change land together
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        await saveRegisterVersion(register, 'reopen', { reason, userId: req.user.user_id }, conn);
+
+        await conn.execute(
+            `UPDATE cash_register SET
+                close_status = 'open',
+                closing_cash = NULL,
+                calculated_cash = NULL,
+                cash_difference = NULL,
+                closing_denominations = NULL,
+                calculation_breakdown = NULL,
+                closing_time = NULL
+             WHERE register_id = ?`,
+            [register.register_id]
+        );
+
+        await conn.commit();
+
+        res.json({
+            success: true,
+            message: 'Cash register reopened'
+        });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Reopen cash register error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error reopening cash register'
+        });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// @route   PUT /api/cash/:register_id
+// @desc    Correct a register's opening and/or closing amounts. The previous
+//          row is kept as a version and a closed register is reconciled again.
+// @access  Private (cash.correct)
+router.put('/:register_id', requirePermission('cash.correct'), async (req, res) => {
+    let conn;
+    try {
+        const { register_id } = req.params;
+        const { reason, opening_denominations, closing_denominations } = req.body;
+        let { opening_cash, closing_cash } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'reason is required to correct a register'
+            });
+        }
+
+        const register = await getRegisterWithStore(register_id);
+
+        if (!register || !canAccessStore(req.user, register.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cash register not found'
+            });
+        }
+
+        const updates = {};
+
+        if (opening_denominations !== undefined) {
+            const count = parseDenominations(opening_denominations, opening_cash);
+            if (count.error) {
+                return res.status(400).json({ success: false, message: count.error });
+            }
+            opening_cash = count.total;
+            updates.opening_denominations = JSON.stringify(count.denominations);
+        } else if (opening_cash !== undefined) {
+            // The old count no longer adds up to the corrected amount
+            updates.opening_denominations = null;
+        }
+        if (opening_cash !== undefined) {
+            if (isNaN(parseFloat(opening_cash))) {
+                return res.status(400).json({ success: false, message: 'opening_cash must be a number' });
+            }
+            updates.opening_cash = parseFloat(opening_cash);
+        }
+
+        if (closing_denominations !== undefined || closing_cash !== undefined) {
+            if (register.closing_cash === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cash register is not closed; close it instead of correcting the closing amount'
+                });
+            }
+            if (closing_denominations !== undefined) {
+                const count = parseDenominations(closing_denominations, closing_cash);
+                if (count.error) {
+                    return res.status(400).json({ success: false, message: count.error });
+                }
+                closing_cash = count.total;
+                updates.closing_denominations = JSON.stringify(count.denominations);
+            } else {
+                updates.closing_denominations = null;
+            }
+            if (isNaN(parseFloat(closing_cash))) {
+                return res.status(400).json({ success: false, message: 'closing_cash must be a number' });
+            }
+            updates.closing_cash = parseFloat(closing_cash);
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide opening_cash, closing_cash or their denominations to correct'
+            });
+        }
+
+        // Whoever submitted a close still pending review can't settle it by correcting it
+        const pendingCloser = register.close_status === 'pending_review'
+            ? await getPendingCloser(register.register_id)
+            : null;
+
+        // A closed register is reconciled again with the corrected figures
+        let reconciled = null;
+        let review = null;
+        if (register.closing_cash !== null) {
+            const breakdown = await calculateExpectedCash({
+                ...register,
+                opening_cash: updates.opening_cash ?? register.opening_cash,
+                register_date: register.register_day
+            });
+            const newClosing = updates.closing_cash ?? parseFloat(register.closing_cash);
+            const tolerance = parseFloat(register.cash_variance_tolerance) || 0;
+
+            reconciled = {
+                calculated_cash: breakdown.expected_cash,
+                cash_difference: round2(newClosing - breakdown.expected_cash),
+                calculation_breakdown: JSON.stringify(breakdown)
+            };
+            reconciled.close_status = Math.abs(reconciled.cash_difference) <= tolerance &&
+                pendingCloser !== req.user.user_id
+                ? 'closed'
+                : 'pending_review';
+            review = { register_id: register.register_id, closing_cash: newClosing, tolerance };
+        }
+
+        // The version, the review and the change land together
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        await saveRegisterVersion(register, 'correction', { reason, userId: req.user.user_id }, conn);
+
+        if (review) {
+            await recordCloseReview(
+                { register_id: review.register_id, closing_cash: review.closing_cash, ...reconciled },
+                reconciled.close_status === 'closed' ? 'auto_approved' : 'submitted_for_review',
+                { reason, userId: req.user.user_id, tolerance: review.tolerance },
+                conn
+            );
+        }
+
+        const fields = { ...updates, ...reconciled };
+        await conn.execute(
+            `UPDATE cash_register SET ${Object.keys(fields).map(f => `${f} = ?`).join(', ')}
+             WHERE register_id = ?`,
+            [...Object.values(fields), register.register_id]
+        );
+
+        await conn.commit();
+
+        const corrected = await getRegisterWithStore(register_id);
+
+        res.json({
+            success: true,
+            message: 'Cash register corrected',
+            data: corrected
+        });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Correct cash register error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error correcting cash register'
+        });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// @route   GET /api/cash/:register_id/versions
+// @desc    Get every prior version of a register kept by reopen and correction
+// @access  Private (cash.correct)
+router.get('/:register_id/versions', requirePermission('cash.correct'), async (req, res) => {
+    try {
+        const register = await getRegisterWithStore(req.params.register_id);
+
+        if (!register || !canAccessStore(req.user, register.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cash register not found'
+            });
+        }
+
+        const versions = await db.query(
+            `SELECT v.*, u.full_name AS changed_by_name
+             FROM cash_register_versions v
+             JOIN users u ON v.user_id = u.user_id
+             WHERE v.register_id = ?
+             ORDER BY v.created_at, v.version_id`,
+            [req.params.register_id]
+        );
+
+        res.json({
+            success: true,
+            count: versions.length,
+            data: versions
+        });
+    } catch (error) {
+        console.error('Get cash register versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching cash register versions'
+        });
     }
 });
 
 // @route   GET /api/cash/today
 // @desc    Get today's cash register status
-// @access  Private (Staff, Manager, Admin)
-// @route   GET /api/cash/today
-// @desc    Get today's cash register status
-// @access  Private (Staff, Manager, Admin)
-router.get('/today', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @access  Private (cash.view)
+router.get('/today', requirePermission('cash.view'), async (req, res) => {
     try {
-        const user = req.user;
         const today = req.query.date; // Extract the date parameter
 
         if (!today) {
@@ -175,21 +968,11 @@ router.get('/today', authorize('staff', 'manager', 'admin'), async (req, res) =>
     `;
 
         const params = [today];
- ////&& user.assigned_store !== 'all'
- //       if (user.user_type === 'staff') {
- //           const stores = await db.query(
- //               'SELECT store_id FROM stores WHERE store_type = ?',
- //               [user.assigned_store]
- //           );
-
- //           if (stores.length > 0) {
- //               query += ' AND cr.store_id IN (?)';
- //               params.push(stores.map(s => 1));
- //           }
- //       }
+        const scope = storeScope(req.user, 'cr.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
 
         query += ' ORDER BY s.store_name';
-        console.log("Query:", query, "Params:", params);
 
         const registers = await db.query(query, params);
 
@@ -217,8 +1000,8 @@ router.get('/today', authorize('staff', 'manager', 'admin'), async (req, res) =>
 });
 // @route   GET /api/cash/history
 // @desc    Get cash register history
-// @access  Private (Manager, Admin)
-router.get('/history', authorize('manager', 'admin'), async (req, res) => {
+// @access  Private (cash.review)
+router.get('/history', requirePermission('cash.review'), async (req, res) => {
     try {
         const {
             store_id,
@@ -241,38 +1024,37 @@ router.get('/history', authorize('manager', 'admin'), async (req, res) => {
       WHERE 1=1
     `;
 
-        const params = [];
+        const scope = storeScope(req.user, 'cr.store_id');
+        let filters = scope.sql;
+        const params = [...scope.params];
 
         if (store_id) {
-            query += ' AND cr.store_id = ?';
+            filters += ' AND cr.store_id = ?';
             params.push(store_id);
         }
 
         if (start_date) {
-            query += ' AND cr.register_date >= ?';
+            filters += ' AND cr.register_date >= ?';
             params.push(start_date);
         }
 
         if (end_date) {
-            query += ' AND cr.register_date <= ?';
+            filters += ' AND cr.register_date <= ?';
             params.push(end_date);
         }
 
+        query += filters;
         query += ' ORDER BY cr.register_date DESC, s.store_name LIMIT ? OFFSET ?';
         params.push(parseInt(limit), parseInt(offset));
 
         const registers = await db.query(query, params);
 
         // Get total count
-        let countQuery = 'SELECT COUNT(*) as total FROM cash_register cr WHERE 1=1';
-        const countParams = params.slice(0, -2);
-
-        if (store_id) countQuery += ' AND cr.store_id = ?';
-        if (start_date) countQuery += ' AND cr.register_date >= ?';
-        if (end_date) countQuery += ' AND cr.register_date <= ?';
-
-        const [countResult] = await db.query(countQuery, countParams);
-        const total = countResult[0]?.total || 0;
+        const [countResult] = await db.query(
+            `SELECT COUNT(*) as total FROM cash_register cr WHERE 1=1${filters}`,
+            params.slice(0, -2)
+        );
+        const total = countResult?.total || 0;
 
         res.json({
             success: true,
@@ -298,10 +1080,9 @@ module.exports = router;
 
 // @route   GET /api/cash/monthly
 // @desc    Get cash registers by month and year
-// @access  Private (Staff, Manager, Admin)
-router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @access  Private (cash.view)
+router.get('/monthly', requirePermission('cash.view'), async (req, res) => {
     try {
-        const user = req.user;
         const { year, month, store_id } = req.query;
 
         // Validate required parameters
@@ -340,12 +1121,28 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
                 s.store_name,
                 s.store_type,
                 u.full_name as opened_by_name,
-                COALESCE(SUM(sales.cash_amount), 0) as total_cash_sales
+                COALESCE(SUM(sales.cash_amount), 0) as total_cash_sales,
+                COALESCE(MAX(mv.total_drops), 0) as total_drops,
+                COALESCE(MAX(mv.total_pay_ins), 0) as total_pay_ins,
+                COALESCE(MAX(mv.total_pay_outs), 0) as total_pay_outs,
+                COALESCE(MAX(mv.total_transfers_out), 0) as total_transfers_out,
+                COALESCE(MAX(mv.total_transfers_in), 0) as total_transfers_in
             FROM cash_register cr
             JOIN stores s ON cr.store_id = s.store_id
             JOIN users u ON cr.user_id = u.user_id
             LEFT JOIN sales ON sales.store_id = cr.store_id 
                 AND DATE(sales.sale_date) = cr.register_date
+            LEFT JOIN (
+                SELECT
+                    register_id,
+                    SUM(CASE WHEN movement_type = 'drop' THEN amount ELSE 0 END) as total_drops,
+                    SUM(CASE WHEN movement_type = 'pay_in' THEN amount ELSE 0 END) as total_pay_ins,
+                    SUM(CASE WHEN movement_type = 'pay_out' THEN amount ELSE 0 END) as total_pay_outs,
+                    SUM(CASE WHEN movement_type = 'transfer_out' THEN amount ELSE 0 END) as total_transfers_out,
+                    SUM(CASE WHEN movement_type = 'transfer_in' THEN amount ELSE 0 END) as total_transfers_in
+                FROM cash_movements
+                GROUP BY register_id
+            ) mv ON mv.register_id = cr.register_id
             WHERE cr.register_date >= ? 
                 AND cr.register_date <= ?
         `;
@@ -358,35 +1155,16 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
             params.push(store_id);
         }
 
-        // Add user permission filter
-        //if (user.user_type === 'staff' && user.assigned_store !== 'all') {
-        //    const stores = await db.query(
-        //        'SELECT store_id FROM stores WHERE store_type = ?',
-        //        [user.assigned_store]
-        //    );
-
-        //    if (stores.length > 0) {
-        //        const storeIds = stores.map(s => s.store_id);
-        //        if (store_id && !storeIds.includes(parseInt(store_id))) {
-        //            return res.status(403).json({
-        //                success: false,
-        //                message: 'You are not authorized to view this store'
-        //            });
-        //        }
-
-        //        if (!store_id) {
-        //            query += ' AND cr.store_id IN (?)';
-        //            params.push(storeIds);
-        //        }
-        //    }
-        //}
+        // Add store access filter
+        const scope = storeScope(req.user, 'cr.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
 
         query += `
             GROUP BY cr.register_id, s.store_name, s.store_type, u.full_name
             ORDER BY cr.register_date DESC, s.store_name
         `;
 
-        console.log("Monthly Query:", query, "Params:", params);
 
         const registers = await db.query(query, params);
 
@@ -413,6 +1191,14 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
 });
 
 // Helper function to calculate monthly statistics
+const MOVEMENT_STAT_FIELDS = [
+    'total_drops',
+    'total_pay_ins',
+    'total_pay_outs',
+    'total_transfers_out',
+    'total_transfers_in'
+];
+
 function calculateMonthlyStats(registers) {
     const stats = {
         total_opening_cash: 0,
@@ -420,6 +1206,7 @@ function calculateMonthlyStats(registers) {
         total_calculated_cash: 0,
         total_cash_difference: 0,
         total_cash_sales: 0,
+        ...Object.fromEntries(MOVEMENT_STAT_FIELDS.map(field => [field, 0])),
         days_opened: 0,
         days_closed: 0,
         perfect_matches: 0, // cash_difference = 0
@@ -438,6 +1225,7 @@ function calculateMonthlyStats(registers) {
                 total_calculated_cash: 0,
                 total_cash_difference: 0,
                 total_cash_sales: 0,
+                ...Object.fromEntries(MOVEMENT_STAT_FIELDS.map(field => [field, 0])),
                 days_opened: 0,
                 days_closed: 0
             };
@@ -464,6 +1252,12 @@ function calculateMonthlyStats(registers) {
         stats.store_breakdown[storeType].total_cash_difference += cashDifference;
         stats.store_breakdown[storeType].total_cash_sales += cashSales;
 
+        MOVEMENT_STAT_FIELDS.forEach(field => {
+            const amount = parseFloat(register[field]) || 0;
+            stats[field] += amount;
+            stats.store_breakdown[storeType][field] += amount;
+        });
+
         // Count days
         stats.days_opened++;
         stats.store_breakdown[storeType].days_opened++;
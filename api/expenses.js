@@ -2,16 +2,189 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../utils/database');
-const { authMiddleware, authorize } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { getStore } = require('../utils/stores');
+const { STORE_ACCESS_DENIED, canAccessStore, storeScope } = require('../utils/access');
+const {
+    PAYMENT_SOURCES,
+    EXPENSE_STATUSES,
+    RECURRING_FREQUENCIES,
+    canModifyExpense,
+    getCategory,
+    getExpense,
+    getRecurringTemplate,
+    postDueRecurringExpenses,
+    buildBudgetReport
+} = require('../utils/expenses');
+const {
+    acceptFiles,
+    saveAttachments,
+    listAttachments
+} = require('../utils/attachments');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
+// @route   GET /api/expenses/categories
+// @desc    List expense categories (active only unless include_inactive=true)
+// @access  Private (expenses.view)
+router.get('/categories', requirePermission('expenses.view'), async (req, res) => {
+    try {
+        const includeInactive = req.query.include_inactive === 'true';
+
+        const categories = await db.query(
+            `SELECT * FROM expense_categories
+             ${includeInactive ? '' : 'WHERE is_active = 1'}
+             ORDER BY category_name`
+        );
+
+        res.json({
+            success: true,
+            count: categories.length,
+            data: categories
+        });
+    } catch (error) {
+        console.error('Get expense categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching expense categories'
+        });
+    }
+});
+
+// @route   POST /api/expenses/categories
+// @desc    Create an expense category
+// @access  Private (expenses.categories)
+router.post('/categories', requirePermission('expenses.categories'), async (req, res) => {
+    try {
+        const { category_name, description = null } = req.body;
+
+        if (!category_name) {
+            return res.status(400).json({
+                success: false,
+                message: 'category_name is required'
+            });
+        }
+
+        const existing = await db.query(
+            'SELECT category_id FROM expense_categories WHERE category_name = ?',
+            [category_name]
+        );
+
+        if (existing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expense category already exists'
+            });
+        }
+
+        const result = await db.query(
+            'INSERT INTO expense_categories (category_name, description) VALUES (?, ?)',
+            [category_name, description]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Expense category created successfully',
+            data: await getCategory(result.insertId)
+        });
+    } catch (error) {
+        console.error('Create expense category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating expense category'
+        });
+    }
+});
+
+// @route   PUT /api/expenses/categories/:id
+// @desc    Rename, describe or (de)activate an expense category
+// @access  Private (expenses.categories)
+router.put('/categories/:id', requirePermission('expenses.categories'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { category_name, description, is_active } = req.body;
+
+        const category = await getCategory(id);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense category not found'
+            });
+        }
+
+        const updates = [];
+        const values = [];
+
+        if (category_name !== undefined) {
+            const duplicate = await db.query(
+                'SELECT category_id FROM expense_categories WHERE category_name = ? AND category_id <> ?',
+                [category_name, id]
+            );
+            if (duplicate.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Expense category already exists'
+                });
+            }
+            updates.push('category_name = ?');
+            values.push(category_name);
+        }
+
+        if (description !== undefined) {
+            updates.push('description = ?');
+            values.push(description);
+        }
+
+        if (is_active !== undefined) {
+            updates.push('is_active = ?');
+            values.push(is_active ? 1 : 0);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        values.push(id);
+
+        await db.query(
+            `UPDATE expense_categories SET ${updates.join(', ')} WHERE category_id = ?`,
+            values
+        );
+
+        res.json({
+            success: true,
+            message: 'Expense category updated successfully',
+            data: await getCategory(id)
+        });
+    } catch (error) {
+        console.error('Update expense category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating expense category'
+        });
+    }
+});
+
 // @route   POST /api/expenses
-// @desc    Create a new expense
-// @access  Private (Staff, Manager, Admin)
-router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @desc    Create a new expense. Accepts JSON, or multipart form data with
+//          bill scans in the "files" field.
+// @access  Private (expenses.create)
+router.post('/', requirePermission('expenses.create'), acceptFiles, async (req, res) => {
     try {
-        const { store_id, expense_date, amount, description } = req.body;
+        const {
+            store_id,
+            expense_date,
+            amount,
+            description,
+            category_id = null,
+            payment_source = 'drawer_cash',
+            vendor_name = null,
+            receipt_number = null
+        } = req.body;
         const user_id = req.user.user_id;
 
         // Validate required fields
@@ -22,6 +195,13 @@ router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
             });
         }
 
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
         // Validate amount is a positive number
         if (isNaN(amount) || parseFloat(amount) <= 0) {
             return res.status(400).json({
@@ -30,6 +210,13 @@ router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
             });
         }
 
+        if (!PAYMENT_SOURCES.includes(payment_source)) {
+            return res.status(400).json({
+                success: false,
+                message: `payment_source must be one of: ${PAYMENT_SOURCES.join(', ')}`
+            });
+        }
+
         // Validate date format (YYYY-MM-DD)
         const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
         if (!dateRegex.test(expense_date)) {
@@ -39,40 +226,63 @@ router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
             });
         }
 
-        // Check if store exists and user has access to it
-        const [store] = await db.query(
-            'SELECT store_id FROM stores WHERE store_id = ?',
-            [store_id]
-        );
+        // Check if store exists and is still trading
+        const store = await getStore(store_id);
 
-        if (store.length === 0) {
+        if (!store || !store.is_active) {
             return res.status(404).json({
                 success: false,
-                message: 'Store not found'
+                message: 'Store not found or inactive'
             });
         }
 
+        if (category_id) {
+            const category = await getCategory(category_id);
+            if (!category || !category.is_active) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Expense category not found or inactive'
+                });
+            }
+        }
+
         // Insert expense
         const result = await db.query(
-            `INSERT INTO expenses (store_id, user_id, expense_date, amount, description) 
-             VALUES (?, ?, ?, ?, ?)`,
-            [store_id, user_id, expense_date, parseFloat(amount), description]
+            `INSERT INTO expenses (
+                store_id, category_id, user_id, expense_date, amount, description,
+                payment_source, vendor_name, receipt_number
+             ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                store_id,
+                category_id || null,
+                user_id,
+                expense_date,
+                parseFloat(amount),
+                description,
+                payment_source,
+                vendor_name,
+                receipt_number
+            ]
         );
 
+        // Don't leave an expense behind that a retry would duplicate
+        try {
+            await saveAttachments(req.files, { expenseId: result.insertId }, user_id);
+        } catch (error) {
+            await db.query('DELETE FROM expenses WHERE expense_id = ?', [result.insertId]);
+            throw error;
+        }
+
         // Get created expense details
-        const [expense] = await db.query(
-            `SELECT e.*, s.store_name, u.full_name 
-             FROM expenses e
-             JOIN stores s ON e.store_id = s.store_id
-             JOIN users u ON e.user_id = u.user_id
-             WHERE e.expense_id = ?`,
-            [result.insertId]
-        );
+        const expense = await getExpense(result.insertId);
 
         res.status(201).json({
             success: true,
             message: 'Expense created successfully',
-            data: expense[0]
+            data: {
+                ...expense,
+                attachments: await listAttachments({ expenseId: expense.expense_id })
+            }
         });
 
     } catch (error) {
@@ -86,13 +296,10 @@ router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
 
 // @route   GET /api/expenses/monthly
 // @desc    Get expenses for a specific month and year
-// @access  Private (Staff, Manager, Admin)
-router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @access  Private (expenses.view)
+router.get('/monthly', requirePermission('expenses.view'), async (req, res) => {
     try {
-        const { month, year, store_id } = req.query;
-        const user_id = req.user.user_id;
-        const user_role = req.user.role;
-
+        const { month, year, store_id, category_id, payment_source, status } = req.query;
         // Validate required parameters
         if (!month || !year) {
             return res.status(400).json({
@@ -119,7 +326,6 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
             });
         }
 
-        // Build query based on user role
         let query = `
             SELECT 
                 e.expense_id,
@@ -128,24 +334,31 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
                 e.expense_date,
                 e.amount,
                 e.description,
+                e.category_id,
+                e.payment_source,
+                e.vendor_name,
+                e.receipt_number,
+                e.status,
                 e.created_at,
                 s.store_name,
+                c.category_name,
                 u.full_name,
                 u.username
             FROM expenses e
             JOIN stores s ON e.store_id = s.store_id
             JOIN users u ON e.user_id = u.user_id
+            LEFT JOIN expense_categories c ON e.category_id = c.category_id
             WHERE YEAR(e.expense_date) = ? 
             AND MONTH(e.expense_date) = ?
+            AND e.deleted_at IS NULL
         `;
 
         const params = [yearNum, monthNum];
 
-        // For staff users, only show their own expenses
-        if (user_role === 'staff') {
-            query += ' AND e.user_id = ?';
-            params.push(user_id);
-        }
+        // Only expenses from the user's stores
+        const scope = storeScope(req.user, 'e.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
 
         // Filter by store if provided
         if (store_id) {
@@ -153,14 +366,47 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
             params.push(store_id);
         }
 
+        if (category_id) {
+            query += ' AND e.category_id = ?';
+            params.push(category_id);
+        }
+
+        if (payment_source) {
+            query += ' AND e.payment_source = ?';
+            params.push(payment_source);
+        }
+
+        if (status && !EXPENSE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${EXPENSE_STATUSES.join(', ')}`
+            });
+        }
+
+        // Rejected expenses only show up when asked for explicitly
+        if (status) {
+            query += ' AND e.status = ?';
+            params.push(status);
+        } else {
+            query += " AND e.status <> 'rejected'";
+        }
+
         query += ' ORDER BY e.expense_date DESC, e.created_at DESC';
 
         const expenses = await db.query(query, params);
 
+        // Budget tracking is a management view
+        const budget = !req.user.permissions.includes('expenses.budgets')
+            ? undefined
+            : await buildBudgetReport({ year: yearNum, month: monthNum, storeId: store_id, user: req.user });
+
         // Calculate summary statistics
         let totalAmount = 0;
         const storeTotals = {};
         const dailyTotals = {};
+        const categoryTotals = {};
+        const paymentSourceTotals = {};
+        const statusTotals = {};
 
         expenses.forEach(expense => {
             totalAmount += parseFloat(expense.amount);
@@ -169,6 +415,12 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
             const storeName = expense.store_name;
             storeTotals[storeName] = (storeTotals[storeName] || 0) + parseFloat(expense.amount);
 
+            // Category and payment source totals
+            const categoryName = expense.category_name || 'Uncategorized';
+            categoryTotals[categoryName] = (categoryTotals[categoryName] || 0) + parseFloat(expense.amount);
+            paymentSourceTotals[expense.payment_source] = (paymentSourceTotals[expense.payment_source] || 0) + parseFloat(expense.amount);
+            statusTotals[expense.status] = (statusTotals[expense.status] || 0) + parseFloat(expense.amount);
+
             // Daily totals
             const dateStr = expense.expense_date.toISOString().split('T')[0];
             dailyTotals[dateStr] = (dailyTotals[dateStr] || 0) + parseFloat(expense.amount);
@@ -189,12 +441,19 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
             },
             breakdown: {
                 by_store: storeTotals,
-                by_day: dailyTotals
+                by_day: dailyTotals,
+                by_category: categoryTotals,
+                by_payment_source: paymentSourceTotals,
+                by_status: statusTotals
             },
+            budget,
             filters: {
                 month: monthNum,
                 year: yearNum,
-                store_id: store_id || 'all'
+                store_id: store_id || 'all',
+                category_id: category_id || 'all',
+                payment_source: payment_source || 'all',
+                status: status || 'submitted,approved'
             }
         });
 
@@ -206,4 +465,848 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
         });
     }
 });
-module.exports = router;
\ No newline at end of file
+
+// Validate the writable recurring template fields present in body.
+// Returns an error message, or null when everything is valid.
+function validateRecurringFields(body) {
+    const { amount, payment_source, frequency, start_date, end_date } = body;
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (amount !== undefined && (isNaN(amount) || parseFloat(amount) <= 0)) {
+        return 'Amount must be a positive number';
+    }
+
+    if (payment_source !== undefined && !PAYMENT_SOURCES.includes(payment_source)) {
+        return `payment_source must be one of: ${PAYMENT_SOURCES.join(', ')}`;
+    }
+
+    if (frequency !== undefined && !RECURRING_FREQUENCIES.includes(frequency)) {
+        return `frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}`;
+    }
+
+    for (const [field, value] of [['start_date', start_date], ['end_date', end_date]]) {
+        if (value !== undefined && value !== null && !dateRegex.test(value)) {
+            return `Invalid ${field} format. Please use YYYY-MM-DD`;
+        }
+    }
+
+    return null;
+}
+
+// @route   GET /api/expenses/recurring
+// @desc    List recurring expense templates (active only unless include_inactive=true)
+// @access  Private (expenses.recurring)
+router.get('/recurring', requirePermission('expenses.recurring'), async (req, res) => {
+    try {
+        const { store_id } = req.query;
+        const includeInactive = req.query.include_inactive === 'true';
+
+        let query = `
+            SELECT
+                r.*,
+                s.store_name,
+                c.category_name,
+                u.full_name AS created_by_name
+            FROM recurring_expenses r
+            JOIN stores s ON r.store_id = s.store_id
+            LEFT JOIN expense_categories c ON r.category_id = c.category_id
+            JOIN users u ON r.created_by = u.user_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (!includeInactive) {
+            query += ' AND r.is_active = 1';
+        }
+
+        if (store_id) {
+            query += ' AND r.store_id = ?';
+            params.push(store_id);
+        }
+
+        const scope = storeScope(req.user, 'r.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
+
+        query += ' ORDER BY r.next_run_date, s.store_name';
+
+        const templates = await db.query(query, params);
+
+        res.json({
+            success: true,
+            count: templates.length,
+            data: templates
+        });
+    } catch (error) {
+        console.error('Get recurring expenses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching recurring expenses'
+        });
+    }
+});
+
+// @route   POST /api/expenses/recurring
+// @desc    Create a recurring expense template (rent, subscriptions, ...).
+//          Occurrences are posted as approved expenses by the daily job.
+// @access  Private (expenses.recurring)
+router.post('/recurring', requirePermission('expenses.recurring'), async (req, res) => {
+    try {
+        const {
+            store_id,
+            amount,
+            description,
+            frequency,
+            start_date,
+            end_date = null,
+            category_id = null,
+            payment_source = 'company_card',
+            vendor_name = null
+        } = req.body;
+
+        if (!store_id || !amount || !description || !frequency || !start_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: store_id, amount, description, frequency and start_date are required'
+            });
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        const validationError = validateRecurringFields({ ...req.body, payment_source });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (end_date && end_date < start_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'end_date cannot be before start_date'
+            });
+        }
+
+        const store = await getStore(store_id);
+
+        if (!store || !store.is_active) {
+            return res.status(404).json({
+                success: false,
+                message: 'Store not found or inactive'
+            });
+        }
+
+        if (category_id) {
+            const category = await getCategory(category_id);
+            if (!category || !category.is_active) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Expense category not found or inactive'
+                });
+            }
+        }
+
+        const result = await db.query(
+            `INSERT INTO recurring_expenses (
+                store_id, category_id, amount, description, vendor_name, payment_source,
+                frequency, start_date, end_date, next_run_date, created_by
+             ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                store_id,
+                category_id,
+                parseFloat(amount),
+                description,
+                vendor_name,
+                payment_source,
+                frequency,
+                start_date,
+                end_date,
+                start_date,
+                req.user.user_id
+            ]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Recurring expense created successfully',
+            data: await getRecurringTemplate(result.insertId)
+        });
+    } catch (error) {
+        console.error('Create recurring expense error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating recurring expense'
+        });
+    }
+});
+
+// @route   POST /api/expenses/recurring/run
+// @desc    Post recurring expenses due up to today without waiting for the daily job
+// @access  Private (expenses.run_recurring)
+router.post('/recurring/run', requirePermission('expenses.run_recurring'), async (req, res) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const posted = await postDueRecurringExpenses(today);
+
+        res.json({
+            success: true,
+            message: `${posted} recurring expense(s) posted`,
+            posted
+        });
+    } catch (error) {
+        console.error('Run recurring expenses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error posting recurring expenses'
+        });
+    }
+});
+
+// @route   PUT /api/expenses/recurring/:id
+// @desc    Update or deactivate a recurring expense template. Changes apply to
+//          future occurrences; expenses already posted are left as they are.
+// @access  Private (expenses.recurring)
+router.put('/recurring/:id', requirePermission('expenses.recurring'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const {
+            amount,
+            description,
+            category_id,
+            payment_source,
+            vendor_name,
+            end_date,
+            is_active
+        } = req.body;
+
+        const template = await getRecurringTemplate(id);
+
+        if (!template || !canAccessStore(req.user, template.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring expense not found'
+            });
+        }
+
+        // The schedule is anchored on start_date, so it cannot be changed
+        // once occurrences have been posted
+        if (template.posted_count > 0 &&
+            (req.body.frequency !== undefined || req.body.start_date !== undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'frequency and start_date cannot be changed after expenses have been posted. Create a new template instead'
+            });
+        }
+
+        const validationError = validateRecurringFields(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (category_id) {
+            const category = await getCategory(category_id);
+            if (!category || !category.is_active) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Expense category not found or inactive'
+                });
+            }
+        }
+
+        const updates = [];
+        const values = [];
+
+        const simpleFields = {
+            amount: amount !== undefined ? parseFloat(amount) : undefined,
+            description,
+            category_id,
+            payment_source,
+            vendor_name,
+            end_date
+        };
+        for (const [field, value] of Object.entries(simpleFields)) {
+            if (value !== undefined) {
+                updates.push(`${field} = ?`);
+                values.push(value);
+            }
+        }
+
+        if (req.body.frequency !== undefined) {
+            updates.push('frequency = ?');
+            values.push(req.body.frequency);
+        }
+
+        if (req.body.start_date !== undefined) {
+            updates.push('start_date = ?', 'next_run_date = ?');
+            values.push(req.body.start_date, req.body.start_date);
+        }
+
+        if (is_active !== undefined) {
+            updates.push('is_active = ?');
+            values.push(is_active ? 1 : 0);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        values.push(id);
+
+        await db.query(
+            `UPDATE recurring_expenses SET ${updates.join(', ')} WHERE template_id = ?`,
+            values
+        );
+
+        res.json({
+            success: true,
+            message: 'Recurring expense updated successfully',
+            data: await getRecurringTemplate(id)
+        });
+    } catch (error) {
+        console.error('Update recurring expense error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating recurring expense'
+        });
+    }
+});
+
+// @route   GET /api/expenses/budgets
+// @desc    Budget vs. actual and projected month-end spend per store and category
+// @access  Private (expenses.budgets)
+router.get('/budgets', requirePermission('expenses.budgets'), async (req, res) => {
+    try {
+        const { month, year, store_id } = req.query;
+
+        const monthNum = parseInt(month);
+        const yearNum = parseInt(year);
+
+        if (isNaN(monthNum) || monthNum < 1 || monthNum > 12 ||
+            isNaN(yearNum) || yearNum < 2000 || yearNum > 2100) {
+            return res.status(400).json({
+                success: false,
+                message: 'month (1-12) and year are required parameters'
+            });
+        }
+
+        const report = await buildBudgetReport({ year: yearNum, month: monthNum, storeId: store_id, user: req.user });
+
+        res.json({
+            success: true,
+            data: report,
+            filters: {
+                month: monthNum,
+                year: yearNum,
+                store_id: store_id || 'all'
+            }
+        });
+    } catch (error) {
+        console.error('Get expense budgets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching expense budgets'
+        });
+    }
+});
+
+// @route   PUT /api/expenses/budgets
+// @desc    Set the monthly budget for a store and category
+// @access  Private (expenses.budgets)
+router.put('/budgets', requirePermission('expenses.budgets'), async (req, res) => {
+    try {
+        const { store_id, category_id, month, year, amount } = req.body;
+
+        const monthNum = parseInt(month);
+        const yearNum = parseInt(year);
+
+        if (!store_id || !category_id || amount === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: store_id, category_id, month, year and amount are required'
+            });
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        if (isNaN(monthNum) || monthNum < 1 || monthNum > 12 ||
+            isNaN(yearNum) || yearNum < 2000 || yearNum > 2100) {
+            return res.status(400).json({
+                success: false,
+                message: 'month must be between 1 and 12 and year must be a valid year'
+            });
+        }
+
+        if (isNaN(amount) || parseFloat(amount) < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Amount must be a non-negative number'
+            });
+        }
+
+        const store = await getStore(store_id);
+        if (!store) {
+            return res.status(404).json({
+                success: false,
+                message: 'Store not found'
+            });
+        }
+
+        const category = await getCategory(category_id);
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense category not found'
+            });
+        }
+
+        const budgetMonth = `${yearNum}-${String(monthNum).padStart(2, '0')}-01`;
+
+        await db.query(
+            `INSERT INTO expense_budgets (store_id, category_id, budget_month, amount, set_by)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE amount = VALUES(amount), set_by = VALUES(set_by)`,
+            [store_id, category_id, budgetMonth, parseFloat(amount), req.user.user_id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Budget saved successfully',
+            data: {
+                store_id: Number(store_id),
+                store_name: store.store_name,
+                category_id: Number(category_id),
+                category_name: category.category_name,
+                month: monthNum,
+                year: yearNum,
+                amount: parseFloat(amount)
+            }
+        });
+    } catch (error) {
+        console.error('Set expense budget error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error saving expense budget'
+        });
+    }
+});
+
+// @route   GET /api/expenses/audit
+// @desc    Audit view of expenses including rejected and deleted records
+// @access  Private (expenses.audit)
+router.get('/audit', requirePermission('expenses.audit'), async (req, res) => {
+    try {
+        const { start_date, end_date, store_id, status, deleted } = req.query;
+
+        if (!start_date || !end_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'start_date and end_date are required parameters'
+            });
+        }
+
+        let query = `
+            SELECT
+                e.*,
+                s.store_name,
+                c.category_name,
+                u.full_name,
+                ru.full_name AS reviewed_by_name,
+                du.full_name AS deleted_by_name
+            FROM expenses e
+            JOIN stores s ON e.store_id = s.store_id
+            JOIN users u ON e.user_id = u.user_id
+            LEFT JOIN expense_categories c ON e.category_id = c.category_id
+            LEFT JOIN users ru ON e.reviewed_by = ru.user_id
+            LEFT JOIN users du ON e.deleted_by = du.user_id
+            WHERE e.expense_date BETWEEN ? AND ?
+        `;
+
+        const params = [start_date, end_date];
+
+        if (store_id) {
+            query += ' AND e.store_id = ?';
+            params.push(store_id);
+        }
+
+        const scope = storeScope(req.user, 'e.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
+
+        if (status) {
+            query += ' AND e.status = ?';
+            params.push(status);
+        }
+
+        if (deleted === 'true') {
+            query += ' AND e.deleted_at IS NOT NULL';
+        } else if (deleted === 'false') {
+            query += ' AND e.deleted_at IS NULL';
+        }
+
+        query += ' ORDER BY e.expense_date DESC, e.created_at DESC';
+
+        const expenses = await db.query(query, params);
+
+        res.json({
+            success: true,
+            count: expenses.length,
+            data: expenses
+        });
+    } catch (error) {
+        console.error('Get expense audit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching expense audit'
+        });
+    }
+});
+
+// @route   GET /api/expenses/:id
+// @desc    Get a single expense
+// @access  Private (expenses.view)
+router.get('/:id', requirePermission('expenses.view'), async (req, res) => {
+    try {
+        const expense = await getExpense(req.params.id);
+
+        if (!expense || !canAccessStore(req.user, expense.store_id) ||
+            (expense.deleted_at && !req.user.permissions.includes('expenses.audit'))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...expense,
+                attachments: await listAttachments({ expenseId: expense.expense_id })
+            }
+        });
+    } catch (error) {
+        console.error('Get expense error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching expense'
+        });
+    }
+});
+
+// @route   POST /api/expenses/:id/attachments
+// @desc    Attach bill scans (multipart field "files") to an expense
+// @access  Private (expenses.create)
+router.post('/:id/attachments', requirePermission('expenses.create'), acceptFiles, async (req, res) => {
+    try {
+        const expense = await getExpense(req.params.id);
+
+        if (!expense || expense.deleted_at || !canAccessStore(req.user, expense.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found'
+            });
+        }
+
+        if (!canModifyExpense(req.user, expense)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only add files to your own expenses before they are approved'
+            });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No files uploaded. Send them as multipart form data in the "files" field'
+            });
+        }
+
+        await saveAttachments(req.files, { expenseId: expense.expense_id }, req.user.user_id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Attachments uploaded successfully',
+            data: await listAttachments({ expenseId: expense.expense_id })
+        });
+    } catch (error) {
+        console.error('Upload expense attachments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error uploading attachments'
+        });
+    }
+});
+
+// @route   PUT /api/expenses/:id
+// @desc    Update an expense. Editing a rejected expense resubmits it.
+// @access  Private (expenses.edit)
+router.put('/:id', requirePermission('expenses.edit'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const {
+            expense_date,
+            amount,
+            description,
+            category_id,
+            payment_source,
+            vendor_name,
+            receipt_number
+        } = req.body;
+
+        const expense = await getExpense(id);
+
+        if (!expense || expense.deleted_at || !canAccessStore(req.user, expense.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found'
+            });
+        }
+
+        if (!canModifyExpense(req.user, expense)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own expenses before they are approved'
+            });
+        }
+
+        // Build update query dynamically
+        const updates = [];
+        const values = [];
+
+        if (expense_date !== undefined) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(expense_date)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid expense_date format. Please use YYYY-MM-DD'
+                });
+            }
+            updates.push('expense_date = ?');
+            values.push(expense_date);
+        }
+
+        if (amount !== undefined) {
+            if (isNaN(amount) || parseFloat(amount) <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Amount must be a positive number'
+                });
+            }
+            updates.push('amount = ?');
+            values.push(parseFloat(amount));
+        }
+
+        if (payment_source !== undefined) {
+            if (!PAYMENT_SOURCES.includes(payment_source)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `payment_source must be one of: ${PAYMENT_SOURCES.join(', ')}`
+                });
+            }
+            updates.push('payment_source = ?');
+            values.push(payment_source);
+        }
+
+        if (category_id !== undefined) {
+            if (category_id !== null) {
+                const category = await getCategory(category_id);
+                if (!category || !category.is_active) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Expense category not found or inactive'
+                    });
+                }
+            }
+            updates.push('category_id = ?');
+            values.push(category_id);
+        }
+
+        for (const [field, value] of Object.entries({ description, vendor_name, receipt_number })) {
+            if (value !== undefined) {
+                updates.push(`${field} = ?`);
+                values.push(value);
+            }
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        if (expense.status === 'rejected') {
+            updates.push("status = 'submitted'", 'reviewed_by = NULL', 'reviewed_at = NULL');
+        }
+
+        updates.push('updated_at = NOW()');
+        values.push(id);
+
+        await db.query(
+            `UPDATE expenses SET ${updates.join(', ')} WHERE expense_id = ?`,
+            values
+        );
+
+        res.json({
+            success: true,
+            message: 'Expense updated successfully',
+            data: await getExpense(id)
+        });
+    } catch (error) {
+        console.error('Update expense error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating expense'
+        });
+    }
+});
+
+// @route   DELETE /api/expenses/:id
+// @desc    Soft-delete an expense. It stays visible in the audit view.
+// @access  Private (expenses.delete)
+router.delete('/:id', requirePermission('expenses.delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'reason is required to delete an expense'
+            });
+        }
+
+        const expense = await getExpense(id);
+
+        if (!expense || expense.deleted_at || !canAccessStore(req.user, expense.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found'
+            });
+        }
+
+        if (!canModifyExpense(req.user, expense)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only delete your own expenses before they are approved'
+            });
+        }
+
+        await db.query(
+            `UPDATE expenses SET
+                deleted_at = NOW(),
+                deleted_by = ?,
+                delete_reason = ?
+             WHERE expense_id = ?`,
+            [req.user.user_id, reason, id]
+        );
+
+        // The row and its bill scans are kept for the audit view
+
+        res.json({
+            success: true,
+            message: 'Expense deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete expense error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting expense'
+        });
+    }
+});
+
+// Shared handler for the approve and reject endpoints
+const reviewExpense = (decision) => async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { review_notes = null } = req.body;
+
+        if (decision === 'rejected' && !review_notes) {
+            return res.status(400).json({
+                success: false,
+                message: 'review_notes are required to reject an expense'
+            });
+        }
+
+        const expense = await getExpense(id);
+
+        if (!expense || expense.deleted_at || !canAccessStore(req.user, expense.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found'
+            });
+        }
+
+        if (expense.status !== 'submitted') {
+            return res.status(400).json({
+                success: false,
+                message: `Expense is already ${expense.status}`
+            });
+        }
+
+        if (expense.user_id === req.user.user_id) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot review an expense you submitted'
+            });
+        }
+
+        // Conditional on the status so a concurrent review loses
+        const result = await db.query(
+            `UPDATE expenses SET
+                status = ?,
+                reviewed_by = ?,
+                reviewed_at = NOW(),
+                review_notes = ?
+             WHERE expense_id = ? AND status = 'submitted'`,
+            [decision, req.user.user_id, review_notes, expense.expense_id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Expense was reviewed by someone else'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Expense ${decision}`,
+            data: await getExpense(id)
+        });
+    } catch (error) {
+        console.error('Review expense error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error reviewing expense'
+        });
+    }
+};
+
+// @route   POST /api/expenses/:id/approve
+// @desc    Approve an expense so it counts in reports
+// @access  Private (expenses.approve)
+router.post('/:id/approve', requirePermission('expenses.approve'), reviewExpense('approved'));
+
+// @route   POST /api/expenses/:id/reject
+// @desc    Reject an expense with a reason
+// @access  Private (expenses.approve)
+router.post('/:id/reject', requirePermission('expenses.approve'), reviewExpense('rejected'));
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { cronAuth } = require('../middleware/auth');
+const { postDueRecurringExpenses } = require('../utils/expenses');
+const { generateMaintenanceTasks } = require('../utils/maintenance');
+const { autoCloseStaleSessions } = require('../utils/attendance');
+
+// Scheduled jobs (see "crons" in vercel.json)
+router.use(cronAuth);
+
+// @route   GET /api/jobs/recurring-expenses
+// @desc    Post recurring expenses that are due up to today
+// @access  Scheduler (CRON_SECRET)
+router.get('/recurring-expenses', async (req, res) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const posted = await postDueRecurringExpenses(today);
+
+        res.json({
+            success: true,
+            posted
+        });
+    } catch (error) {
+        console.error('Recurring expenses job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error posting recurring expenses'
+        });
+    }
+});
+
+// @route   GET /api/jobs/maintenance-tasks
+// @desc    Create preventive maintenance tasks that are due up to today
+// @access  Scheduler (CRON_SECRET)
+router.get('/maintenance-tasks', async (req, res) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const created = await generateMaintenanceTasks(today);
+
+        res.json({
+            success: true,
+            created
+        });
+    } catch (error) {
+        console.error('Maintenance tasks job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error generating maintenance tasks'
+        });
+    }
+});
+
+// @route   GET /api/jobs/auto-close-attendance
+// @desc    Close attendance sessions that were left open (flagged auto_closed)
+// @access  Scheduler (CRON_SECRET)
+router.get('/auto-close-attendance', async (req, res) => {
+    try {
+        const closed = await autoCloseStaleSessions();
+
+        res.json({
+            success: true,
+            closed
+        });
+    } catch (error) {
+        console.error('Auto-close attendance job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error auto-closing attendance sessions'
+        });
+    }
+});
+
+module.exports = router;
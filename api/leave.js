@@ -0,0 +1,550 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/database');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { DATE_REGEX } = require('../utils/roster');
+const {
+    LEAVE_STATUSES,
+    countLeaveDays,
+    getLeaveType,
+    getLeaveRequest,
+    getLeaveBalances
+} = require('../utils/leave');
+const { getLockedPeriod, lockedPeriodMessage } = require('../utils/payroll');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// @route   GET /api/leave/types
+// @desc    List leave types (active only unless include_inactive=true)
+// @access  Private (leave.view)
+router.get('/types', requirePermission('leave.view'), async (req, res) => {
+    try {
+        const includeInactive = req.query.include_inactive === 'true';
+
+        const types = await db.query(
+            `SELECT * FROM leave_types ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY leave_name`
+        );
+
+        res.json({
+            success: true,
+            count: types.length,
+            data: types
+        });
+    } catch (error) {
+        console.error('Get leave types error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching leave types'
+        });
+    }
+});
+
+// @route   POST /api/leave/types
+// @desc    Create a leave type. Leave annual_quota out for unlimited types.
+// @access  Private (leave.types)
+router.post('/types', requirePermission('leave.types'), async (req, res) => {
+    try {
+        const { leave_code, leave_name, is_paid = true, annual_quota = null } = req.body;
+
+        if (!leave_code || !leave_name) {
+            return res.status(400).json({
+                success: false,
+                message: 'leave_code and leave_name are required'
+            });
+        }
+
+        if (annual_quota !== null && (isNaN(annual_quota) || annual_quota < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'annual_quota must be a non-negative number'
+            });
+        }
+
+        const existing = await db.query(
+            'SELECT leave_type_id FROM leave_types WHERE leave_code = ?',
+            [leave_code]
+        );
+
+        if (existing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A leave type with this code already exists'
+            });
+        }
+
+        const result = await db.query(
+            'INSERT INTO leave_types (leave_code, leave_name, is_paid, annual_quota) VALUES (?, ?, ?, ?)',
+            [leave_code, leave_name, is_paid ? 1 : 0, annual_quota]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Leave type created successfully',
+            data: await getLeaveType(result.insertId)
+        });
+    } catch (error) {
+        console.error('Create leave type error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating leave type'
+        });
+    }
+});
+
+// @route   PUT /api/leave/types/:id
+// @desc    Update a leave type
+// @access  Private (leave.types)
+router.put('/types/:id', requirePermission('leave.types'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { leave_name, is_paid, annual_quota, is_active } = req.body;
+
+        const type = await getLeaveType(id);
+
+        if (!type) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave type not found'
+            });
+        }
+
+        if (annual_quota !== undefined && annual_quota !== null && (isNaN(annual_quota) || annual_quota < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'annual_quota must be a non-negative number'
+            });
+        }
+
+        const updates = [];
+        const values = [];
+
+        for (const [field, value] of Object.entries({ leave_name, annual_quota })) {
+            if (value !== undefined) {
+                updates.push(`${field} = ?`);
+                values.push(value);
+            }
+        }
+
+        for (const [field, value] of Object.entries({ is_paid, is_active })) {
+            if (value !== undefined) {
+                updates.push(`${field} = ?`);
+                values.push(value ? 1 : 0);
+            }
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        values.push(id);
+
+        await db.query(
+            `UPDATE leave_types SET ${updates.join(', ')} WHERE leave_type_id = ?`,
+            values
+        );
+
+        res.json({
+            success: true,
+            message: 'Leave type updated successfully',
+            data: await getLeaveType(id)
+        });
+    } catch (error) {
+        console.error('Update leave type error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating leave type'
+        });
+    }
+});
+
+// @route   GET /api/leave/balances
+// @desc    Leave balances for a year (defaults to the current year). Only
+//          users with leave.approve can pass user_id to see someone else's.
+// @access  Private (leave.view)
+router.get('/balances', requirePermission('leave.view'), async (req, res) => {
+    try {
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+        const userId = !req.user.permissions.includes('leave.approve') ? req.user.user_id : (req.query.user_id || req.user.user_id);
+
+        res.json({
+            success: true,
+            user_id: Number(userId),
+            year,
+            data: await getLeaveBalances(userId, year)
+        });
+    } catch (error) {
+        console.error('Get leave balances error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching leave balances'
+        });
+    }
+});
+
+// @route   PUT /api/leave/balances
+// @desc    Set a user's allowance for a leave type and year, overriding the
+//          type's annual_quota
+// @access  Private (leave.balances)
+router.put('/balances', requirePermission('leave.balances'), async (req, res) => {
+    try {
+        const { user_id, leave_type_id, year, allotted_days } = req.body;
+
+        if (!user_id || !leave_type_id || !year || allotted_days === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'user_id, leave_type_id, year and allotted_days are required'
+            });
+        }
+
+        if (isNaN(allotted_days) || allotted_days < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'allotted_days must be a non-negative number'
+            });
+        }
+
+        if (!(await getLeaveType(leave_type_id))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave type not found'
+            });
+        }
+
+        await db.query(
+            `INSERT INTO leave_balances (user_id, leave_type_id, leave_year, allotted_days, updated_by)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE allotted_days = VALUES(allotted_days), updated_by = VALUES(updated_by)`,
+            [user_id, leave_type_id, year, allotted_days, req.user.user_id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Leave balance updated successfully',
+            data: await getLeaveBalances(user_id, year)
+        });
+    } catch (error) {
+        console.error('Update leave balance error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating leave balance'
+        });
+    }
+});
+
+// @route   POST /api/leave
+// @desc    Apply for leave. Users with leave.approve can pass user_id to
+//          record leave for someone else.
+// @access  Private (leave.apply)
+router.post('/', requirePermission('leave.apply'), async (req, res) => {
+    try {
+        const { leave_type_id, start_date, end_date = start_date, half_day = false, reason = null } = req.body;
+        const userId = !req.user.permissions.includes('leave.approve') ? req.user.user_id : (req.body.user_id || req.user.user_id);
+
+        if (!leave_type_id || !start_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'leave_type_id and start_date are required'
+            });
+        }
+
+        if (!DATE_REGEX.test(start_date) || !DATE_REGEX.test(end_date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+
+        if (end_date < start_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'end_date cannot be before start_date'
+            });
+        }
+
+        if (start_date.slice(0, 4) !== end_date.slice(0, 4)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Leave cannot span two years; submit one request per year'
+            });
+        }
+
+        if (half_day && start_date !== end_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'half_day is only allowed for a single day'
+            });
+        }
+
+        const type = await getLeaveType(leave_type_id);
+
+        if (!type || !type.is_active) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave type not found'
+            });
+        }
+
+        const overlapping = await db.query(
+            `SELECT leave_id FROM leave_requests
+             WHERE user_id = ? AND status IN ('pending', 'approved')
+               AND start_date <= ? AND end_date >= ?`,
+            [userId, end_date, start_date]
+        );
+
+        if (overlapping.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'There is already a leave request for some of these days',
+                leave_id: overlapping[0].leave_id
+            });
+        }
+
+        const days = countLeaveDays(start_date, end_date, half_day);
+        const balances = await getLeaveBalances(userId, parseInt(start_date.slice(0, 4)));
+        const balance = balances.find(b => b.leave_type_id === type.leave_type_id);
+
+        // Pending requests are held against the balance so it can't be over-booked
+        if (balance && balance.remaining_days !== null && days > balance.remaining_days - balance.pending_days) {
+            return res.status(400).json({
+                success: false,
+                message: `Not enough ${type.leave_name} left: ${balance.remaining_days - balance.pending_days} day(s) available`
+            });
+        }
+
+        const result = await db.query(
+            `INSERT INTO leave_requests (user_id, leave_type_id, start_date, end_date, half_day, days, reason)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, leave_type_id, start_date, end_date, half_day ? 1 : 0, days, reason]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Leave request submitted',
+            data: await getLeaveRequest(result.insertId)
+        });
+    } catch (error) {
+        console.error('Apply leave error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error submitting leave request'
+        });
+    }
+});
+
+// @route   GET /api/leave
+// @desc    List leave requests overlapping start_date/end_date. Without
+//          leave.approve only your own are listed.
+// @access  Private (leave.view)
+router.get('/', requirePermission('leave.view'), async (req, res) => {
+    try {
+        const { status, user_id, leave_type_id, start_date, end_date } = req.query;
+
+        if (status && !LEAVE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${LEAVE_STATUSES.join(', ')}`
+            });
+        }
+
+        let query = `
+            SELECT
+                l.*,
+                DATE_FORMAT(l.start_date, '%Y-%m-%d') as start_date,
+                DATE_FORMAT(l.end_date, '%Y-%m-%d') as end_date,
+                t.leave_code,
+                t.leave_name,
+                t.is_paid,
+                u.full_name,
+                rv.full_name as reviewed_by_name
+            FROM leave_requests l
+            JOIN leave_types t ON l.leave_type_id = t.leave_type_id
+            JOIN users u ON l.user_id = u.user_id
+            LEFT JOIN users rv ON l.reviewed_by = rv.user_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (!req.user.permissions.includes('leave.approve')) {
+            query += ' AND l.user_id = ?';
+            params.push(req.user.user_id);
+        } else if (user_id) {
+            query += ' AND l.user_id = ?';
+            params.push(user_id);
+        }
+
+        if (status) {
+            query += ' AND l.status = ?';
+            params.push(status);
+        }
+
+        if (leave_type_id) {
+            query += ' AND l.leave_type_id = ?';
+            params.push(leave_type_id);
+        }
+
+        if (start_date) {
+            query += ' AND l.end_date >= ?';
+            params.push(start_date);
+        }
+
+        if (end_date) {
+            query += ' AND l.start_date <= ?';
+            params.push(end_date);
+        }
+
+        query += ' ORDER BY l.start_date DESC, l.created_at DESC';
+
+        const requests = await db.query(query, params);
+
+        res.json({
+            success: true,
+            count: requests.length,
+            data: requests
+        });
+    } catch (error) {
+        console.error('Get leave requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching leave requests'
+        });
+    }
+});
+
+// Shared handler for the approve and reject endpoints
+const reviewLeave = (decision) => async (req, res) => {
+    try {
+        const { review_notes = null } = req.body;
+        const request = await getLeaveRequest(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave request not found'
+            });
+        }
+
+        if (request.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                message: `Request is already ${request.status}`
+            });
+        }
+
+        if (request.user_id === req.user.user_id) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot review a leave request you submitted'
+            });
+        }
+
+        if (decision === 'rejected' && !review_notes) {
+            return res.status(400).json({
+                success: false,
+                message: 'review_notes are required to reject a request'
+            });
+        }
+
+        if (decision === 'approved') {
+            // Approved leave shows up on the timesheet, so it can't land in a locked period
+            const lockedPeriod = await getLockedPeriod(request.start_date, request.end_date);
+            if (lockedPeriod) {
+                return res.status(423).json({
+                    success: false,
+                    message: lockedPeriodMessage(lockedPeriod)
+                });
+            }
+
+            const balances = await getLeaveBalances(request.user_id, parseInt(request.start_date.slice(0, 4)));
+            const balance = balances.find(b => b.leave_type_id === request.leave_type_id);
+
+            if (balance && balance.remaining_days !== null && parseFloat(request.days) > balance.remaining_days) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Not enough ${request.leave_name} left: ${balance.remaining_days} day(s) available`
+                });
+            }
+        }
+
+        // Conditional on the status so a concurrent review or cancel loses
+        const result = await db.query(
+            `UPDATE leave_requests SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+             WHERE leave_id = ? AND status = 'pending'`,
+            [decision, req.user.user_id, review_notes, request.leave_id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Leave request was reviewed or cancelled by someone else'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Leave request ${decision}`,
+            data: await getLeaveRequest(request.leave_id)
+        });
+    } catch (error) {
+        console.error('Review leave error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error reviewing leave request'
+        });
+    }
+};
+
+// @route   POST /api/leave/:id/approve
+// @desc    Approve a leave request
+// @access  Private (leave.approve)
+router.post('/:id/approve', requirePermission('leave.approve'), reviewLeave('approved'));
+
+// @route   POST /api/leave/:id/reject
+// @desc    Reject a leave request (review_notes required)
+// @access  Private (leave.approve)
+router.post('/:id/reject', requirePermission('leave.approve'), reviewLeave('rejected'));
+
+// @route   POST /api/leave/:id/cancel
+// @desc    Withdraw your own pending request
+// @access  Private (leave.apply)
+router.post('/:id/cancel', requirePermission('leave.apply'), async (req, res) => {
+    try {
+        const request = await getLeaveRequest(req.params.id);
+
+        if (!request || request.user_id !== req.user.user_id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave request not found'
+            });
+        }
+
+        if (request.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                message: `Request is already ${request.status}`
+            });
+        }
+
+        await db.query(
+            "UPDATE leave_requests SET status = 'cancelled' WHERE leave_id = ?",
+            [request.leave_id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Leave request cancelled',
+            data: await getLeaveRequest(request.leave_id)
+        });
+    } catch (error) {
+        console.error('Cancel leave error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error cancelling leave request'
+        });
+    }
+});
+
+module.exports = router;
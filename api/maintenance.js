@@ -0,0 +1,426 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/database');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { getStore } = require('../utils/stores');
+const { getAsset } = require('../utils/assets');
+const { canAccessStore, storeScope } = require('../utils/access');
+const {
+    MAINTENANCE_FREQUENCIES,
+    TASK_STATUSES,
+    getPlan,
+    generateMaintenanceTasks
+} = require('../utils/maintenance');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// @route   GET /api/maintenance/plans
+// @desc    List maintenance plans (active only unless include_inactive=true)
+// @access  Private (maintenance.view)
+router.get('/plans', requirePermission('maintenance.view'), async (req, res) => {
+    try {
+        const { asset_id, asset_type, store_id } = req.query;
+        const includeInactive = req.query.include_inactive === 'true';
+
+        let query = `
+            SELECT
+                mp.*,
+                DATE_FORMAT(mp.start_date, '%Y-%m-%d') as start_date,
+                a.asset_name,
+                a.asset_tag,
+                s.store_name
+            FROM maintenance_plans mp
+            LEFT JOIN assets a ON mp.asset_id = a.asset_id
+            LEFT JOIN stores s ON mp.store_id = s.store_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (!includeInactive) {
+            query += ' AND mp.is_active = 1';
+        }
+
+        if (asset_id) {
+            query += ' AND mp.asset_id = ?';
+            params.push(asset_id);
+        }
+
+        if (asset_type) {
+            query += ' AND mp.asset_type = ?';
+            params.push(asset_type);
+        }
+
+        if (store_id) {
+            query += ' AND (mp.store_id = ? OR a.store_id = ?)';
+            params.push(store_id, store_id);
+        }
+
+        query += ' ORDER BY mp.plan_name';
+
+        const plans = await db.query(query, params);
+
+        res.json({
+            success: true,
+            count: plans.length,
+            data: plans
+        });
+    } catch (error) {
+        console.error('Get maintenance plans error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching maintenance plans'
+        });
+    }
+});
+
+// @route   POST /api/maintenance/plans
+// @desc    Create a maintenance plan for one asset (asset_id) or for every
+//          asset of a type (asset_type, optionally limited to store_id)
+// @access  Private (maintenance.plan)
+router.post('/plans', requirePermission('maintenance.plan'), async (req, res) => {
+    try {
+        const {
+            plan_name,
+            description = null,
+            asset_id = null,
+            asset_type = null,
+            store_id = null,
+            frequency,
+            start_date
+        } = req.body;
+
+        if (!plan_name || !frequency || !start_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'plan_name, frequency and start_date are required'
+            });
+        }
+
+        if (!asset_id === !asset_type) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide either asset_id or asset_type'
+            });
+        }
+
+        if (!MAINTENANCE_FREQUENCIES.includes(frequency)) {
+            return res.status(400).json({
+                success: false,
+                message: `frequency must be one of: ${MAINTENANCE_FREQUENCIES.join(', ')}`
+            });
+        }
+
+        if (!DATE_REGEX.test(start_date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid start_date format. Please use YYYY-MM-DD'
+            });
+        }
+
+        if (asset_id) {
+            const asset = await getAsset(asset_id);
+            if (!asset || !asset.is_active) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Asset not found or retired'
+                });
+            }
+        }
+
+        if (store_id) {
+            const store = await getStore(store_id);
+            if (!store || !store.is_active) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Store not found or inactive'
+                });
+            }
+        }
+
+        const result = await db.query(
+            `INSERT INTO maintenance_plans (
+                plan_name, description, asset_id, asset_type, store_id,
+                frequency, start_date, created_by
+             ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                plan_name,
+                description,
+                asset_id,
+                asset_id ? null : asset_type,
+                asset_id ? null : store_id,
+                frequency,
+                start_date,
+                req.user.user_id
+            ]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Maintenance plan created successfully',
+            data: await getPlan(result.insertId)
+        });
+    } catch (error) {
+        console.error('Create maintenance plan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating maintenance plan'
+        });
+    }
+});
+
+// @route   PUT /api/maintenance/plans/:id
+// @desc    Rename, reschedule or (de)activate a maintenance plan. Tasks
+//          already created are not changed.
+// @access  Private (maintenance.plan)
+router.put('/plans/:id', requirePermission('maintenance.plan'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { plan_name, description, frequency, start_date, is_active } = req.body;
+
+        const plan = await getPlan(id);
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Maintenance plan not found'
+            });
+        }
+
+        if (frequency !== undefined && !MAINTENANCE_FREQUENCIES.includes(frequency)) {
+            return res.status(400).json({
+                success: false,
+                message: `frequency must be one of: ${MAINTENANCE_FREQUENCIES.join(', ')}`
+            });
+        }
+
+        if (start_date !== undefined && !DATE_REGEX.test(start_date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid start_date format. Please use YYYY-MM-DD'
+            });
+        }
+
+        const updates = [];
+        const values = [];
+
+        for (const [field, value] of Object.entries({ plan_name, description, frequency, start_date })) {
+            if (value !== undefined) {
+                updates.push(`${field} = ?`);
+                values.push(value);
+            }
+        }
+
+        if (is_active !== undefined) {
+            updates.push('is_active = ?');
+            values.push(is_active ? 1 : 0);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        values.push(id);
+
+        await db.query(
+            `UPDATE maintenance_plans SET ${updates.join(', ')} WHERE plan_id = ?`,
+            values
+        );
+
+        res.json({
+            success: true,
+            message: 'Maintenance plan updated successfully',
+            data: await getPlan(id)
+        });
+    } catch (error) {
+        console.error('Update maintenance plan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating maintenance plan'
+        });
+    }
+});
+
+// @route   GET /api/maintenance/tasks
+// @desc    List maintenance tasks. overdue=true limits to pending tasks due before today.
+// @access  Private (maintenance.view)
+router.get('/tasks', requirePermission('maintenance.view'), async (req, res) => {
+    try {
+        const { store_id, asset_id, plan_id, status, overdue, start_date, end_date } = req.query;
+        const today = new Date().toISOString().split('T')[0];
+
+        if (status && !TASK_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${TASK_STATUSES.join(', ')}`
+            });
+        }
+
+        let query = `
+            SELECT
+                mt.*,
+                DATE_FORMAT(mt.due_date, '%Y-%m-%d') as due_date,
+                mp.plan_name,
+                mp.description as plan_description,
+                a.asset_name,
+                a.asset_tag,
+                s.store_name,
+                u.full_name as completed_by_name
+            FROM maintenance_tasks mt
+            JOIN maintenance_plans mp ON mt.plan_id = mp.plan_id
+            JOIN assets a ON mt.asset_id = a.asset_id
+            JOIN stores s ON mt.store_id = s.store_id
+            LEFT JOIN users u ON mt.completed_by = u.user_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (store_id) {
+            query += ' AND mt.store_id = ?';
+            params.push(store_id);
+        }
+
+        const scope = storeScope(req.user, 'mt.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
+
+        if (asset_id) {
+            query += ' AND mt.asset_id = ?';
+            params.push(asset_id);
+        }
+
+        if (plan_id) {
+            query += ' AND mt.plan_id = ?';
+            params.push(plan_id);
+        }
+
+        if (overdue === 'true') {
+            query += " AND mt.status = 'pending' AND mt.due_date < ?";
+            params.push(today);
+        } else if (status) {
+            query += ' AND mt.status = ?';
+            params.push(status);
+        }
+
+        if (start_date) {
+            query += ' AND mt.due_date >= ?';
+            params.push(start_date);
+        }
+
+        if (end_date) {
+            query += ' AND mt.due_date <= ?';
+            params.push(end_date);
+        }
+
+        query += ' ORDER BY mt.due_date, s.store_name, a.asset_name';
+
+        const tasks = await db.query(query, params);
+
+        res.json({
+            success: true,
+            count: tasks.length,
+            data: tasks.map(task => ({
+                ...task,
+                is_overdue: task.status === 'pending' && task.due_date < today
+            }))
+        });
+    } catch (error) {
+        console.error('Get maintenance tasks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching maintenance tasks'
+        });
+    }
+});
+
+// @route   POST /api/maintenance/tasks/generate
+// @desc    Create tasks that are due up to today without waiting for the daily job
+// @access  Private (maintenance.generate)
+router.post('/tasks/generate', requirePermission('maintenance.generate'), async (req, res) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const created = await generateMaintenanceTasks(today);
+
+        res.json({
+            success: true,
+            message: `${created} maintenance task(s) created`,
+            created
+        });
+    } catch (error) {
+        console.error('Generate maintenance tasks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error generating maintenance tasks'
+        });
+    }
+});
+
+// Close a pending task as done or skipped
+const closeTask = (status) => async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { notes } = req.body;
+
+        // Skipping needs a reason; completion notes are optional
+        if (status === 'skipped' && !notes) {
+            return res.status(400).json({
+                success: false,
+                message: 'notes are required to skip a maintenance task'
+            });
+        }
+
+        const tasks = await db.query(
+            'SELECT task_id, store_id, status FROM maintenance_tasks WHERE task_id = ?',
+            [id]
+        );
+
+        if (tasks.length === 0 || !canAccessStore(req.user, tasks[0].store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Maintenance task not found'
+            });
+        }
+
+        if (tasks[0].status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                message: `Maintenance task is already ${tasks[0].status}`
+            });
+        }
+
+        await db.query(
+            `UPDATE maintenance_tasks SET
+                status = ?, completed_at = NOW(), completed_by = ?, notes = ?
+             WHERE task_id = ?`,
+            [status, req.user.user_id, notes || null, id]
+        );
+
+        res.json({
+            success: true,
+            message: status === 'done' ? 'Maintenance task marked as done' : 'Maintenance task skipped'
+        });
+    } catch (error) {
+        console.error('Close maintenance task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating maintenance task'
+        });
+    }
+};
+
+// @route   POST /api/maintenance/tasks/:id/complete
+// @desc    Mark a maintenance task as done, with optional notes
+// @access  Private (maintenance.complete)
+router.post('/tasks/:id/complete', requirePermission('maintenance.complete'), closeTask('done'));
+
+// @route   POST /api/maintenance/tasks/:id/skip
+// @desc    Skip a maintenance task (notes required)
+// @access  Private (maintenance.skip)
+router.post('/tasks/:id/skip', requirePermission('maintenance.skip'), closeTask('skipped'));
+
+module.exports = router;
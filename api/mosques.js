@@ -1,14 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../utils/database');
-const { authMiddleware, authorize } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 
 router.use(authMiddleware);
 
 // @route   POST /api/mosques/import
 // @desc    Import mosques from Google Places API
-// @access  Private (Admin only) 
-router.post('/import', authorize('admin'), async (req, res) => {
+// @access  Private (mosques.import)
+router.post('/import', requirePermission('mosques.import'), async (req, res) => {
     try {
         const {
             latitude,
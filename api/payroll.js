@@ -0,0 +1,368 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/database');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { DATE_REGEX } = require('../utils/roster');
+const {
+    RATE_TYPES,
+    getPayrollPeriod,
+    getEffectiveRates,
+    buildTimesheet,
+    toCsv,
+    toXlsx
+} = require('../utils/payroll');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// @route   GET /api/payroll/rates
+// @desc    Pay rates in effect on a date (defaults to today); pass history=true
+//          with user_id for every rate a user has had
+// @access  Private (payroll.rates)
+router.get('/rates', requirePermission('payroll.rates'), async (req, res) => {
+    try {
+        const { user_id, as_of } = req.query;
+
+        if (req.query.history === 'true' && user_id) {
+            const rates = await db.query(
+                `SELECT r.*, DATE_FORMAT(r.effective_from, '%Y-%m-%d') as effective_from
+                 FROM pay_rates r WHERE r.user_id = ?
+                 ORDER BY r.effective_from DESC`,
+                [user_id]
+            );
+
+            return res.json({
+                success: true,
+                count: rates.length,
+                data: rates
+            });
+        }
+
+        const asOfDate = as_of || new Date().toISOString().split('T')[0];
+        const rates = Object.values(await getEffectiveRates(asOfDate))
+            .filter(rate => !user_id || rate.user_id === Number(user_id));
+
+        res.json({
+            success: true,
+            as_of: asOfDate,
+            count: rates.length,
+            data: rates
+        });
+    } catch (error) {
+        console.error('Get pay rates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching pay rates'
+        });
+    }
+});
+
+// @route   POST /api/payroll/rates
+// @desc    Set an hourly or monthly rate for a user from effective_from onwards
+// @access  Private (payroll.rates)
+router.post('/rates', requirePermission('payroll.rates'), async (req, res) => {
+    try {
+        const { user_id, rate_type, rate, overtime_multiplier = 1.5, effective_from } = req.body;
+
+        if (!user_id || !rate_type || rate === undefined || !effective_from) {
+            return res.status(400).json({
+                success: false,
+                message: 'user_id, rate_type, rate and effective_from are required'
+            });
+        }
+
+        if (!RATE_TYPES.includes(rate_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `rate_type must be one of: ${RATE_TYPES.join(', ')}`
+            });
+        }
+
+        if (isNaN(rate) || rate < 0 || isNaN(overtime_multiplier) || overtime_multiplier < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'rate must be non-negative and overtime_multiplier at least 1'
+            });
+        }
+
+        if (!DATE_REGEX.test(effective_from)) {
+            return res.status(400).json({
+                success: false,
+                message: 'effective_from must be in YYYY-MM-DD format'
+            });
+        }
+
+        await db.query(
+            `INSERT INTO pay_rates (user_id, rate_type, rate, overtime_multiplier, effective_from, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE
+                rate_type = VALUES(rate_type),
+                rate = VALUES(rate),
+                overtime_multiplier = VALUES(overtime_multiplier),
+                created_by = VALUES(created_by)`,
+            [user_id, rate_type, rate, overtime_multiplier, effective_from, req.user.user_id]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Pay rate saved successfully',
+            data: (await getEffectiveRates(effective_from))[user_id] || null
+        });
+    } catch (error) {
+        console.error('Save pay rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error saving pay rate'
+        });
+    }
+});
+
+// @route   GET /api/payroll/periods
+// @desc    List pay periods, latest first
+// @access  Private (payroll.view)
+router.get('/periods', requirePermission('payroll.view'), async (req, res) => {
+    try {
+        const periods = await db.query(
+            `SELECT
+                p.*,
+                DATE_FORMAT(p.start_date, '%Y-%m-%d') as start_date,
+                DATE_FORMAT(p.end_date, '%Y-%m-%d') as end_date,
+                u.full_name as locked_by_name
+             FROM payroll_periods p
+             LEFT JOIN users u ON p.locked_by = u.user_id
+             ORDER BY p.start_date DESC`
+        );
+
+        res.json({
+            success: true,
+            count: periods.length,
+            data: periods
+        });
+    } catch (error) {
+        console.error('Get payroll periods error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching payroll periods'
+        });
+    }
+});
+
+// @route   POST /api/payroll/periods
+// @desc    Create a pay period. Periods may not overlap.
+// @access  Private (payroll.periods)
+router.post('/periods', requirePermission('payroll.periods'), async (req, res) => {
+    try {
+        const { start_date, end_date } = req.body;
+
+        if (!DATE_REGEX.test(start_date || '') || !DATE_REGEX.test(end_date || '')) {
+            return res.status(400).json({
+                success: false,
+                message: 'start_date and end_date are required in YYYY-MM-DD format'
+            });
+        }
+
+        if (end_date < start_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'end_date cannot be before start_date'
+            });
+        }
+
+        const overlapping = await db.query(
+            'SELECT period_id FROM payroll_periods WHERE start_date <= ? AND end_date >= ?',
+            [end_date, start_date]
+        );
+
+        if (overlapping.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'This period overlaps an existing pay period',
+                period_id: overlapping[0].period_id
+            });
+        }
+
+        const result = await db.query(
+            'INSERT INTO payroll_periods (start_date, end_date, created_by) VALUES (?, ?, ?)',
+            [start_date, end_date, req.user.user_id]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Pay period created successfully',
+            data: await getPayrollPeriod(result.insertId)
+        });
+    } catch (error) {
+        console.error('Create payroll period error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating pay period'
+        });
+    }
+});
+
+// @route   POST /api/payroll/periods/:id/lock
+// @desc    Lock a period so its attendance can no longer change. Refused while
+//          sessions are still open or regularizations are pending in the period.
+// @access  Private (payroll.periods)
+router.post('/periods/:id/lock', requirePermission('payroll.periods'), async (req, res) => {
+    try {
+        const period = await getPayrollPeriod(req.params.id);
+
+        if (!period) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pay period not found'
+            });
+        }
+
+        if (period.status === 'locked') {
+            return res.status(409).json({
+                success: false,
+                message: 'Pay period is already locked'
+            });
+        }
+
+        const [{ open_sessions }] = await db.query(
+            `SELECT COUNT(*) as open_sessions FROM staff_attendance
+             WHERE attendance_date BETWEEN ? AND ? AND logout_time IS NULL`,
+            [period.start_date, period.end_date]
+        );
+        // A pending request blocks the lock if it moves a punch into or out of the period
+        const [{ pending_regularizations }] = await db.query(
+            `SELECT COUNT(*) as pending_regularizations
+             FROM attendance_regularizations r
+             LEFT JOIN staff_attendance sa ON sa.attendance_id = r.attendance_id
+             WHERE r.status = 'pending'
+               AND (DATE(r.requested_login_time) BETWEEN ? AND ?
+                    OR DATE(sa.login_time) BETWEEN ? AND ?)`,
+            [period.start_date, period.end_date, period.start_date, period.end_date]
+        );
+
+        if (open_sessions > 0 || pending_regularizations > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Close open sessions and review pending regularizations before locking',
+                open_sessions,
+                pending_regularizations
+            });
+        }
+
+        await db.query(
+            "UPDATE payroll_periods SET status = 'locked', locked_by = ?, locked_at = NOW() WHERE period_id = ?",
+            [req.user.user_id, period.period_id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Pay period locked',
+            data: await getPayrollPeriod(period.period_id)
+        });
+    } catch (error) {
+        console.error('Lock payroll period error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error locking pay period'
+        });
+    }
+});
+
+// @route   POST /api/payroll/periods/:id/unlock
+// @desc    Reopen a locked period for corrections
+// @access  Private (payroll.periods)
+router.post('/periods/:id/unlock', requirePermission('payroll.periods'), async (req, res) => {
+    try {
+        const period = await getPayrollPeriod(req.params.id);
+
+        if (!period) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pay period not found'
+            });
+        }
+
+        if (period.status !== 'locked') {
+            return res.status(409).json({
+                success: false,
+                message: 'Pay period is not locked'
+            });
+        }
+
+        await db.query(
+            "UPDATE payroll_periods SET status = 'open', locked_by = NULL, locked_at = NULL WHERE period_id = ?",
+            [period.period_id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Pay period unlocked',
+            data: await getPayrollPeriod(period.period_id)
+        });
+    } catch (error) {
+        console.error('Unlock payroll period error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error unlocking pay period'
+        });
+    }
+});
+
+// @route   GET /api/payroll/periods/:id/timesheet
+// @desc    Timesheet with gross pay per employee. format=csv or format=xlsx
+//          downloads it; optional user_id narrows it to one employee.
+// @access  Private (payroll.view)
+router.get('/periods/:id/timesheet', requirePermission('payroll.view'), async (req, res) => {
+    try {
+        const { format = 'json', user_id } = req.query;
+        const period = await getPayrollPeriod(req.params.id);
+
+        if (!period) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pay period not found'
+            });
+        }
+
+        if (!['json', 'csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'format must be one of: json, csv, xlsx'
+            });
+        }
+
+        const rows = await buildTimesheet(period, { userId: user_id });
+        const filename = `timesheet_${period.start_date}_${period.end_date}`;
+
+        if (format === 'csv') {
+            res.type('text/csv');
+            res.attachment(`${filename}.csv`);
+            return res.send(toCsv(rows));
+        }
+
+        if (format === 'xlsx') {
+            res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.attachment(`${filename}.xlsx`);
+            return res.send(Buffer.from(await toXlsx(rows, period)));
+        }
+
+        res.json({
+            success: true,
+            period,
+            data: rows,
+            totals: {
+                employees: rows.length,
+                worked_hours: parseFloat(rows.reduce((acc, row) => acc + row.worked_hours, 0).toFixed(2)),
+                overtime_hours: parseFloat(rows.reduce((acc, row) => acc + row.overtime_hours, 0).toFixed(2)),
+                gross_pay: parseFloat(rows.reduce((acc, row) => acc + row.gross_pay, 0).toFixed(2)),
+                without_rate: rows.filter(row => row.rate_type === null).length
+            }
+        });
+    } catch (error) {
+        console.error('Get timesheet error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error building timesheet'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,45 +1,123 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../utils/database');
-const { authMiddleware, authorize } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { getStore } = require('../utils/stores');
+const { STORE_ACCESS_DENIED, canAccessStore, storeScope } = require('../utils/access');
+const { getAsset } = require('../utils/assets');
+const {
+    PROBLEM_PRIORITIES,
+    STATUS_CODE_REGEX,
+    PRIORITY_ORDER_SQL,
+    getStatuses,
+    getStatus,
+    getProblem,
+    addProblemComment,
+    setOutOfService,
+    getSlaTargets,
+    changeProblemStatus,
+    getCommentThread
+} = require('../utils/problems');
+const {
+    acceptFiles,
+    saveAttachments,
+    listAttachments,
+    deleteAttachmentRowsFor,
+    removeAttachmentFiles
+} = require('../utils/attachments');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
 // @route   POST /api/problems
-// @desc    Report a game problem
-// @access  Private (Staff, Manager, Admin)
-router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @desc    Report a game problem. Accepts JSON, or multipart form data with
+//          photos in the "files" field.
+// @access  Private (problems.report)
+router.post('/', requirePermission('problems.report'), acceptFiles, async (req, res) => {
     try {
         const {
-            store_id,
-            game_description,
-            problem_description
+            asset_id = null,
+            problem_description,
+            priority = 'medium',
+            out_of_service = false
         } = req.body;
+        let { store_id, game_description } = req.body;
 
         const user_id = req.user.user_id;
 
+        // Problems are reported against a registered asset; the store and game
+        // description are taken from it. Free-text game_description is still
+        // accepted for machines that have not been registered yet.
+        if (asset_id) {
+            const asset = await getAsset(asset_id);
+
+            if (!asset || !asset.is_active) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Asset not found or retired'
+                });
+            }
+
+            if (store_id && Number(store_id) !== asset.store_id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Asset does not belong to this store'
+                });
+            }
+
+            store_id = asset.store_id;
+            game_description = game_description || asset.asset_name;
+        }
+
         // Validate required fields
         if (!store_id || !game_description || !problem_description) {
             return res.status(400).json({
                 success: false,
-                message: 'Store ID, game description, and problem description are required'
+                message: 'Problem description and either asset_id or store ID and game description are required'
+            });
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        if (!PROBLEM_PRIORITIES.includes(priority)) {
+            return res.status(400).json({
+                success: false,
+                message: `priority must be one of: ${PROBLEM_PRIORITIES.join(', ')}`
             });
         }
 
         // Report problem
         const result = await db.query(
             `INSERT INTO game_problems (
-        store_id, user_id, game_description, problem_description
-      ) VALUES (?, ?, ?, ?)`,
-            [store_id, user_id, game_description, problem_description]
+        store_id, asset_id, user_id, game_description, problem_description, priority
+      ) VALUES (?, ?, ?, ?, ?, ?)`,
+            [store_id, asset_id || null, user_id, game_description, problem_description, priority]
         );
 
+        // Files are saved before anything else references the problem, so a
+        // failed upload can drop it without leaving a report a retry would duplicate
+        let attachmentIds;
+        try {
+            attachmentIds = await saveAttachments(req.files, { problemId: result.insertId }, user_id);
+        } catch (error) {
+            await db.query('DELETE FROM game_problems WHERE problem_id = ?', [result.insertId]);
+            throw error;
+        }
+
+        // Form fields arrive as strings in multipart requests
+        const outOfService = out_of_service === true || out_of_service === 'true';
+
+        if (outOfService) {
+            await setOutOfService(await getProblem(result.insertId), true, { userId: user_id });
+        }
+
         // Get store info
-        const [stores] = await db.query(
-            'SELECT store_name FROM stores WHERE store_id = ?',
-            [store_id]
-        );
+        const store = await getStore(store_id);
 
         res.status(201).json({
             success: true,
@@ -47,9 +125,14 @@ router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
             problem_id: result.insertId,
             problem_data: {
                 store_id,
-                store_name: stores[0]?.store_name,
+                store_name: store?.store_name,
+                asset_id: asset_id || null,
                 game_description,
                 problem_description,
+                status: 'reported',
+                priority,
+                out_of_service: outOfService,
+                attachment_ids: attachmentIds,
                 reported_datetime: new Date()
             }
         });
@@ -63,13 +146,21 @@ router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
 });
 
 // @route   GET /api/problems
-// @desc    Get game problems with filters
-// @access  Private (Staff, Manager, Admin)
-router.get('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @desc    Get game problems with filters. status accepts a comma-separated
+//          list; assigned_to accepts a user id, "me" or "unassigned";
+//          open=true limits to non-terminal statuses and
+//          out_of_service=true to machines that are currently down.
+// @access  Private (problems.view)
+router.get('/', requirePermission('problems.view'), async (req, res) => {
     try {
         const {
             store_id,
+            asset_id,
             status,
+            priority,
+            assigned_to,
+            open,
+            out_of_service,
             start_date,
             end_date,
             page = 1,
@@ -79,69 +170,97 @@ router.get('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
         const user = req.user;
         const offset = (page - 1) * limit;
 
-        let query = `
-      SELECT 
-        gp.*,
-        s.store_name,
-        u.full_name as reported_by,
-        fu.full_name as fixed_by_name
-      FROM game_problems gp
-      JOIN stores s ON gp.store_id = s.store_id
-      JOIN users u ON gp.user_id = u.user_id
-      LEFT JOIN users fu ON gp.fixed_by = fu.user_id
-      WHERE 1=1
-    `;
-
+        let filters = '';
         const params = [];
 
         if (store_id) {
-            query += ' AND gp.store_id = ?';
+            filters += ' AND gp.store_id = ?';
             params.push(store_id);
         }
 
+        if (asset_id) {
+            filters += ' AND gp.asset_id = ?';
+            params.push(asset_id);
+        }
+
         if (status) {
-            query += ' AND gp.status = ?';
-            params.push(status);
+            const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+            filters += ` AND gp.status IN (${statuses.map(() => '?').join(', ')})`;
+            params.push(...statuses);
         }
 
-        // If user is staff, only show their store's problems
-        if (user.user_type === 'staff' && user.assigned_store !== 'all') {
-            const [stores] = await db.query(
-                'SELECT store_id FROM stores WHERE store_type = ?',
-                [user.assigned_store]
-            );
+        if (open === 'true') {
+            filters += ' AND ps.is_terminal = 0';
+        }
 
-            if (stores.length > 0) {
-                query += ' AND gp.store_id IN (?)';
-                params.push(stores.map(s => s.store_id));
+        if (out_of_service === 'true') {
+            filters += ' AND gp.out_of_service = 1';
+        }
+
+        if (priority) {
+            if (!PROBLEM_PRIORITIES.includes(priority)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `priority must be one of: ${PROBLEM_PRIORITIES.join(', ')}`
+                });
             }
+            filters += ' AND gp.priority = ?';
+            params.push(priority);
+        }
+
+        if (assigned_to === 'unassigned') {
+            filters += ' AND gp.assigned_to IS NULL';
+        } else if (assigned_to) {
+            filters += ' AND gp.assigned_to = ?';
+            params.push(assigned_to === 'me' ? user.user_id : assigned_to);
         }
 
+        // Only show problems from the user's stores
+        const scope = storeScope(user, 'gp.store_id');
+        filters += scope.sql;
+        params.push(...scope.params);
+
         if (start_date) {
-            query += ' AND DATE(gp.reported_datetime) >= ?';
+            filters += ' AND DATE(gp.reported_datetime) >= ?';
             params.push(start_date);
         }
 
         if (end_date) {
-            query += ' AND DATE(gp.reported_datetime) <= ?';
+            filters += ' AND DATE(gp.reported_datetime) <= ?';
             params.push(end_date);
         }
 
-        query += ' ORDER BY gp.reported_datetime DESC LIMIT ? OFFSET ?';
-        params.push(parseInt(limit), parseInt(offset));
-
-        const problems = await db.query(query, params);
+        const problems = await db.query(
+            `SELECT 
+        gp.*,
+        ps.status_name,
+        ps.is_terminal,
+        s.store_name,
+        a.asset_name,
+        a.asset_tag,
+        u.full_name as reported_by,
+        au.full_name as assigned_to_name,
+        fu.full_name as fixed_by_name
+      FROM game_problems gp
+      JOIN problem_statuses ps ON gp.status = ps.status_code
+      JOIN stores s ON gp.store_id = s.store_id
+      LEFT JOIN assets a ON gp.asset_id = a.asset_id
+      JOIN users u ON gp.user_id = u.user_id
+      LEFT JOIN users au ON gp.assigned_to = au.user_id
+      LEFT JOIN users fu ON gp.fixed_by = fu.user_id
+      WHERE 1=1${filters}
+      ORDER BY gp.reported_datetime DESC LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), parseInt(offset)]
+        );
 
         // Get total count
-        let countQuery = 'SELECT COUNT(*) as total FROM game_problems gp WHERE 1=1';
-        const countParams = params.slice(0, -2);
-
-        if (store_id) countQuery += ' AND gp.store_id = ?';
-        if (status) countQuery += ' AND gp.status = ?';
-        if (start_date) countQuery += ' AND DATE(gp.reported_datetime) >= ?';
-        if (end_date) countQuery += ' AND DATE(gp.reported_datetime) <= ?';
-
-        const [countResult] = await db.query(countQuery, countParams);
+        const countResult = await db.query(
+            `SELECT COUNT(*) as total
+      FROM game_problems gp
+      JOIN problem_statuses ps ON gp.status = ps.status_code
+      WHERE 1=1${filters}`,
+            params
+        );
         const total = countResult[0]?.total || 0;
 
         res.json({
@@ -164,39 +283,34 @@ router.get('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
 });
 
 // @route   GET /api/problems/open
-// @desc    Get open (unresolved) problems
-// @access  Private (Staff, Manager, Admin)
-router.get('/open', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @desc    Get open problems (every non-terminal status), most urgent first
+// @access  Private (problems.view)
+router.get('/open', requirePermission('problems.view'), async (req, res) => {
     try {
-        const user = req.user;
-
         let query = `
       SELECT 
         gp.*,
+        ps.status_name,
         s.store_name,
-        u.full_name as reported_by
+        a.asset_name,
+        a.asset_tag,
+        u.full_name as reported_by,
+        au.full_name as assigned_to_name
       FROM game_problems gp
+      JOIN problem_statuses ps ON gp.status = ps.status_code
       JOIN stores s ON gp.store_id = s.store_id
+      LEFT JOIN assets a ON gp.asset_id = a.asset_id
       JOIN users u ON gp.user_id = u.user_id
-      WHERE gp.status = 'reported'
+      LEFT JOIN users au ON gp.assigned_to = au.user_id
+      WHERE ps.is_terminal = 0
     `;
 
-        const params = [];
+        // Only show problems from the user's stores
+        const scope = storeScope(req.user, 'gp.store_id');
+        query += scope.sql;
+        const params = [...scope.params];
 
-        // If user is staff, only show their store's problems
-        if (user.user_type === 'staff' && user.assigned_store !== 'all') {
-            const [stores] = await db.query(
-                'SELECT store_id FROM stores WHERE store_type = ?',
-                [user.assigned_store]
-            );
-
-            if (stores.length > 0) {
-                query += ' AND gp.store_id IN (?)';
-                params.push(stores.map(s => s.store_id));
-            }
-        }
-
-        query += ' ORDER BY gp.reported_datetime DESC';
+        query += ` ORDER BY ${PRIORITY_ORDER_SQL}, gp.reported_datetime DESC`;
 
         const problems = await db.query(query, params);
 
@@ -214,38 +328,325 @@ router.get('/open', authorize('staff', 'manager', 'admin'), async (req, res) =>
     }
 });
 
+// @route   GET /api/problems/statuses
+// @desc    List problem statuses in workflow order (active only unless include_inactive=true)
+// @access  Private (problems.view)
+router.get('/statuses', requirePermission('problems.view'), async (req, res) => {
+    try {
+        const statuses = await getStatuses({ includeInactive: req.query.include_inactive === 'true' });
+
+        res.json({
+            success: true,
+            count: statuses.length,
+            data: statuses
+        });
+    } catch (error) {
+        console.error('Get problem statuses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching problem statuses'
+        });
+    }
+});
+
+// @route   POST /api/problems/statuses
+// @desc    Add a problem status
+// @access  Private (problems.configure)
+router.post('/statuses', requirePermission('problems.configure'), async (req, res) => {
+    try {
+        const { status_code, status_name, sort_order = 0, is_terminal = false } = req.body;
+
+        if (!status_code || !status_name) {
+            return res.status(400).json({
+                success: false,
+                message: 'status_code and status_name are required'
+            });
+        }
+
+        if (!STATUS_CODE_REGEX.test(status_code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'status_code must be 2-30 lowercase letters, digits or underscores, starting with a letter'
+            });
+        }
+
+        if (await getStatus(status_code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'status_code already exists'
+            });
+        }
+
+        await db.query(
+            `INSERT INTO problem_statuses (status_code, status_name, sort_order, is_terminal)
+             VALUES (?, ?, ?, ?)`,
+            [status_code, status_name, parseInt(sort_order) || 0, is_terminal ? 1 : 0]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Problem status created successfully',
+            data: await getStatus(status_code)
+        });
+    } catch (error) {
+        console.error('Create problem status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating problem status'
+        });
+    }
+});
+
+// @route   PUT /api/problems/statuses/:code
+// @desc    Rename, reorder or (de)activate a problem status
+// @access  Private (problems.configure)
+router.put('/statuses/:code', requirePermission('problems.configure'), async (req, res) => {
+    try {
+        const { code } = req.params;
+        const { status_name, sort_order, is_terminal, is_active } = req.body;
+
+        const status = await getStatus(code);
+
+        if (!status) {
+            return res.status(404).json({
+                success: false,
+                message: 'Problem status not found'
+            });
+        }
+
+        // New reports start as 'reported' and /fix moves them to 'fixed'
+        if (['reported', 'fixed'].includes(code) && (is_active === false || is_terminal !== undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: `The '${code}' status is built in and can only be renamed or reordered`
+            });
+        }
+
+        const updates = [];
+        const values = [];
+
+        if (status_name !== undefined) {
+            updates.push('status_name = ?');
+            values.push(status_name);
+        }
+
+        if (sort_order !== undefined) {
+            updates.push('sort_order = ?');
+            values.push(parseInt(sort_order) || 0);
+        }
+
+        if (is_terminal !== undefined) {
+            updates.push('is_terminal = ?');
+            values.push(is_terminal ? 1 : 0);
+        }
+
+        if (is_active !== undefined) {
+            updates.push('is_active = ?');
+            values.push(is_active ? 1 : 0);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        values.push(code);
+
+        await db.query(
+            `UPDATE problem_statuses SET ${updates.join(', ')} WHERE status_code = ?`,
+            values
+        );
+
+        res.json({
+            success: true,
+            message: 'Problem status updated successfully',
+            data: await getStatus(code)
+        });
+    } catch (error) {
+        console.error('Update problem status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating problem status'
+        });
+    }
+});
+
+// @route   GET /api/problems/sla
+// @desc    Resolution SLA per priority
+// @access  Private (problems.view)
+router.get('/sla', requirePermission('problems.view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await getSlaTargets()
+        });
+    } catch (error) {
+        console.error('Get problem SLA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching problem SLA'
+        });
+    }
+});
+
+// @route   PUT /api/problems/sla/:priority
+// @desc    Set the resolution SLA for a priority
+// @access  Private (problems.configure)
+router.put('/sla/:priority', requirePermission('problems.configure'), async (req, res) => {
+    try {
+        const { priority } = req.params;
+        const { resolution_hours, at_risk_percent } = req.body;
+
+        if (!PROBLEM_PRIORITIES.includes(priority)) {
+            return res.status(404).json({
+                success: false,
+                message: `priority must be one of: ${PROBLEM_PRIORITIES.join(', ')}`
+            });
+        }
+
+        const hours = resolution_hours !== undefined ? Number(resolution_hours) : undefined;
+        const riskPercent = at_risk_percent !== undefined ? Number(at_risk_percent) : undefined;
+
+        if (hours === undefined && riskPercent === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        if (hours !== undefined && (!Number.isInteger(hours) || hours <= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'resolution_hours must be a positive whole number'
+            });
+        }
+
+        if (riskPercent !== undefined && (!Number.isInteger(riskPercent) || riskPercent < 1 || riskPercent > 100)) {
+            return res.status(400).json({
+                success: false,
+                message: 'at_risk_percent must be a whole number between 1 and 100'
+            });
+        }
+
+        await db.query(
+            `UPDATE problem_sla SET
+                resolution_hours = COALESCE(?, resolution_hours),
+                at_risk_percent = COALESCE(?, at_risk_percent),
+                updated_by = ?
+             WHERE priority = ?`,
+            [hours ?? null, riskPercent ?? null, req.user.user_id, priority]
+        );
+
+        res.json({
+            success: true,
+            message: 'Problem SLA updated successfully',
+            data: await getSlaTargets()
+        });
+    } catch (error) {
+        console.error('Update problem SLA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating problem SLA'
+        });
+    }
+});
+
+// @route   PUT /api/problems/:id/status
+// @desc    Move a problem to another status (triage, waiting for parts, reopen, ...).
+//          Closing statuses also need problems.fix.
+// @access  Private (problems.update_status)
+router.put('/:id/status', requirePermission('problems.update_status'), async (req, res) => {
+    try {
+        const { status: statusCode, notes = null } = req.body;
+
+        const problem = await getProblem(req.params.id);
+
+        if (!problem || !canAccessStore(req.user, problem.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Problem not found'
+            });
+        }
+
+        if (!req.user.permissions.includes('problems.edit') && problem.assigned_to !== req.user.user_id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the assignee or a manager can change the status of this problem'
+            });
+        }
+
+        const status = statusCode ? await getStatus(statusCode) : null;
+
+        if (!status || !status.is_active) {
+            return res.status(400).json({
+                success: false,
+                message: 'status must be an active problem status'
+            });
+        }
+
+        if (status.status_code === problem.status) {
+            return res.status(400).json({
+                success: false,
+                message: `Problem is already ${problem.status_name}`
+            });
+        }
+
+        // Closing a problem (fixed, won't fix, ...) is the same call as /fix
+        if (status.is_terminal && !req.user.permissions.includes('problems.fix')) {
+            return res.status(403).json({
+                success: false,
+                message: `Moving a problem to ${status.status_name} requires the problems.fix permission`
+            });
+        }
+
+        await changeProblemStatus(problem, status, { notes, userId: req.user.user_id });
+
+        res.json({
+            success: true,
+            message: `Problem moved to ${status.status_name}`,
+            data: await getProblem(problem.problem_id)
+        });
+    } catch (error) {
+        console.error('Change problem status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error changing problem status'
+        });
+    }
+});
+
 // @route   PUT /api/problems/:id/fix
 // @desc    Mark problem as fixed
-// @access  Private (Manager, Admin only)
-router.put('/:id/fix', authorize('manager', 'admin'), async (req, res) => {
+// @access  Private (problems.fix)
+router.put('/:id/fix', requirePermission('problems.fix'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { fixed_notes } = req.body;
-        const user_id = req.user.user_id;
+        const { fixed_notes = null } = req.body;
 
         // Check if problem exists
-        const [problems] = await db.query(
-            'SELECT * FROM game_problems WHERE problem_id = ?',
-            [id]
-        );
+        const problem = await getProblem(id);
 
-        if (problems.length === 0) {
+        if (!problem || !canAccessStore(req.user, problem.store_id)) {
             return res.status(404).json({
                 success: false,
                 message: 'Problem not found'
             });
         }
 
+        if (problem.status === 'fixed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Problem is already fixed'
+            });
+        }
+
         // Mark as fixed
-        await db.query(
-            `UPDATE game_problems SET
-        status = 'fixed',
-        fixed_datetime = NOW(),
-        fixed_by = ?,
-        fixed_notes = ?
-      WHERE problem_id = ?`,
-            [user_id, fixed_notes, id]
-        );
+        await changeProblemStatus(problem, await getStatus('fixed'), {
+            notes: fixed_notes,
+            userId: req.user.user_id
+        });
 
         res.json({
             success: true,
@@ -260,38 +661,252 @@ router.put('/:id/fix', authorize('manager', 'admin'), async (req, res) => {
     }
 });
 
-// @route   GET /api/problems/:id
-// @desc    Get single problem by ID
-// @access  Private (Staff, Manager, Admin)
-router.get('/:id', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @route   PUT /api/problems/:id
+// @desc    Update a problem's priority, assignee, description or out-of-service flag
+// @access  Private (problems.edit)
+router.put('/:id', requirePermission('problems.edit'), async (req, res) => {
     try {
-        const { id } = req.params;
+        const { priority, assigned_to, problem_description, out_of_service } = req.body;
+        const userId = req.user.user_id;
 
-        const [problems] = await db.query(
-            `SELECT 
-        gp.*,
-        s.store_name,
-        s.store_type,
-        u.full_name as reported_by,
-        fu.full_name as fixed_by_name
-      FROM game_problems gp
-      JOIN stores s ON gp.store_id = s.store_id
-      JOIN users u ON gp.user_id = u.user_id
-      LEFT JOIN users fu ON gp.fixed_by = fu.user_id
-      WHERE gp.problem_id = ?`,
-            [id]
-        );
+        const problem = await getProblem(req.params.id);
 
-        if (problems.length === 0) {
+        if (!problem || !canAccessStore(req.user, problem.store_id)) {
             return res.status(404).json({
                 success: false,
                 message: 'Problem not found'
             });
         }
 
+        const updates = [];
+        const values = [];
+        const log = [];
+
+        if (priority !== undefined && priority !== problem.priority) {
+            if (!PROBLEM_PRIORITIES.includes(priority)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `priority must be one of: ${PROBLEM_PRIORITIES.join(', ')}`
+                });
+            }
+            updates.push('priority = ?');
+            values.push(priority);
+            log.push(['priority_change', `Priority: ${problem.priority} → ${priority}`]);
+        }
+
+        const assigneeId = assigned_to === null || assigned_to === undefined ? assigned_to : Number(assigned_to);
+
+        if (assigneeId !== undefined && assigneeId !== problem.assigned_to) {
+            if (assigneeId === null) {
+                log.push(['assignment', `Unassigned from ${problem.assigned_to_name}`]);
+            } else {
+                const assignees = await db.query(
+                    'SELECT user_id, full_name FROM users WHERE user_id = ? AND is_active = 1',
+                    [assigneeId]
+                );
+
+                if (assignees.length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Assignee not found or inactive'
+                    });
+                }
+                log.push(['assignment', `Assigned to ${assignees[0].full_name}`]);
+            }
+            updates.push('assigned_to = ?');
+            values.push(assigneeId);
+        }
+
+        if (problem_description !== undefined) {
+            updates.push('problem_description = ?');
+            values.push(problem_description);
+        }
+
+        if (updates.length === 0 && out_of_service === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        if (out_of_service && problem.is_terminal) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reopen the problem before taking the machine out of service'
+            });
+        }
+
+        if (updates.length > 0) {
+            values.push(problem.problem_id);
+
+            await db.query(
+                `UPDATE game_problems SET ${updates.join(', ')} WHERE problem_id = ?`,
+                values
+            );
+        }
+
+        if (out_of_service !== undefined) {
+            await setOutOfService(problem, !!out_of_service, { userId });
+        }
+
+        for (const [type, comment] of log) {
+            await addProblemComment(problem.problem_id, userId, comment, { type });
+        }
+
         res.json({
             success: true,
-            data: problems[0]
+            message: 'Problem updated successfully',
+            data: await getProblem(problem.problem_id)
+        });
+    } catch (error) {
+        console.error('Update problem error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating problem'
+        });
+    }
+});
+
+// @route   POST /api/problems/:id/attachments
+// @desc    Attach photos or files (multipart field "files") to a problem
+// @access  Private (problems.report)
+router.post('/:id/attachments', requirePermission('problems.report'), acceptFiles, async (req, res) => {
+    try {
+        const problem = await getProblem(req.params.id);
+
+        if (!problem || !canAccessStore(req.user, problem.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Problem not found'
+            });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No files uploaded. Send them as multipart form data in the "files" field'
+            });
+        }
+
+        await saveAttachments(req.files, { problemId: problem.problem_id }, req.user.user_id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Attachments uploaded successfully',
+            data: await listAttachments({ problemId: problem.problem_id })
+        });
+    } catch (error) {
+        console.error('Upload problem attachments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error uploading attachments'
+        });
+    }
+});
+
+// @route   GET /api/problems/:id/comments
+// @desc    Comment log of a problem as a thread
+// @access  Private (problems.view)
+router.get('/:id/comments', requirePermission('problems.view'), async (req, res) => {
+    try {
+        const problem = await getProblem(req.params.id);
+
+        if (!problem || !canAccessStore(req.user, problem.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Problem not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await getCommentThread(problem.problem_id)
+        });
+    } catch (error) {
+        console.error('Get problem comments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching problem comments'
+        });
+    }
+});
+
+// @route   POST /api/problems/:id/comments
+// @desc    Comment on a problem, or reply to a comment with parent_comment_id
+// @access  Private (problems.comment)
+router.post('/:id/comments', requirePermission('problems.comment'), async (req, res) => {
+    try {
+        const { comment, parent_comment_id = null } = req.body;
+
+        if (!comment || !comment.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'comment is required'
+            });
+        }
+
+        const problem = await getProblem(req.params.id);
+
+        if (!problem || !canAccessStore(req.user, problem.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Problem not found'
+            });
+        }
+
+        if (parent_comment_id) {
+            const parents = await db.query(
+                'SELECT comment_id FROM problem_comments WHERE comment_id = ? AND problem_id = ?',
+                [parent_comment_id, problem.problem_id]
+            );
+
+            if (parents.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'parent_comment_id does not belong to this problem'
+                });
+            }
+        }
+
+        const commentId = await addProblemComment(problem.problem_id, req.user.user_id, comment.trim(), {
+            parentId: parent_comment_id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Comment added successfully',
+            comment_id: commentId
+        });
+    } catch (error) {
+        console.error('Add problem comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error adding comment'
+        });
+    }
+});
+
+// @route   GET /api/problems/:id
+// @desc    Get single problem by ID with its comment thread and attachments
+// @access  Private (problems.view)
+router.get('/:id', requirePermission('problems.view'), async (req, res) => {
+    try {
+        const problem = await getProblem(req.params.id);
+
+        if (!problem || !canAccessStore(req.user, problem.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Problem not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...problem,
+                comments: await getCommentThread(problem.problem_id),
+                attachments: await listAttachments({ problemId: problem.problem_id })
+            }
         });
     } catch (error) {
         console.error('Get problem error:', error);
@@ -302,4 +917,58 @@ router.get('/:id', authorize('staff', 'manager', 'admin'), async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   DELETE /api/problems/:id
+// @desc    Delete a problem report (e.g. a duplicate) together with its
+//          comments, downtime records and attachments
+// @access  Private (problems.delete)
+router.delete('/:id', requirePermission('problems.delete'), async (req, res) => {
+    try {
+        const problem = await getProblem(req.params.id);
+
+        if (!problem || !canAccessStore(req.user, problem.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Problem not found'
+            });
+        }
+
+        let attachments;
+        const conn = await db.getConnection();
+        try {
+            await conn.beginTransaction();
+            attachments = await deleteAttachmentRowsFor(conn, { problemId: problem.problem_id });
+            // Replies reference their parent comment, so drop the links first
+            await conn.execute(
+                'UPDATE problem_comments SET parent_comment_id = NULL WHERE problem_id = ?',
+                [problem.problem_id]
+            );
+            await conn.execute('DELETE FROM problem_comments WHERE problem_id = ?', [problem.problem_id]);
+            await conn.execute('DELETE FROM problem_downtime WHERE problem_id = ?', [problem.problem_id]);
+            await conn.execute('DELETE FROM game_problems WHERE problem_id = ?', [problem.problem_id]);
+            await conn.commit();
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        } finally {
+            conn.release();
+        }
+
+        // Files only go once the rows are gone for good
+        for (const attachment of attachments) {
+            await removeAttachmentFiles(attachment);
+        }
+
+        res.json({
+            success: true,
+            message: 'Problem deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete problem error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting problem'
+        });
+    }
+});
+
+module.exports = router;
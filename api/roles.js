@@ -0,0 +1,282 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/database');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { ROLE_SQL, findUnknownPermissions, getRole } = require('../utils/permissions');
+
+const ROLE_CODE_REGEX = /^[a-z][a-z0-9_]{1,29}$/;
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Create a role or change its name, and replace its permission list, inside
+// one transaction. Leave roleName or permissions undefined to keep them.
+async function saveRole(roleCode, { roleName, permissions, create = false }) {
+    let conn;
+    try {
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        if (create) {
+            await conn.execute(
+                'INSERT INTO roles (role_code, role_name) VALUES (?, ?)',
+                [roleCode, roleName]
+            );
+        } else if (roleName !== undefined) {
+            await conn.execute('UPDATE roles SET role_name = ? WHERE role_code = ?', [roleName, roleCode]);
+        }
+
+        if (permissions !== undefined) {
+            await conn.execute('DELETE FROM role_permissions WHERE role_code = ?', [roleCode]);
+            for (const permission of new Set(permissions)) {
+                await conn.execute(
+                    'INSERT INTO role_permissions (role_code, permission_code) VALUES (?, ?)',
+                    [roleCode, permission]
+                );
+            }
+        }
+
+        await conn.commit();
+    } catch (error) {
+        if (conn) await conn.rollback();
+        throw error;
+    } finally {
+        if (conn) conn.release();
+    }
+}
+
+// Returns an error message for a bad permissions array, or null
+async function validatePermissionList(permissions) {
+    if (!Array.isArray(permissions)) {
+        return 'permissions must be an array of permission codes';
+    }
+
+    const unknown = await findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+        return `Unknown permissions: ${unknown.join(', ')}`;
+    }
+
+    return null;
+}
+
+// @route   GET /api/roles/permissions
+// @desc    All permission codes with their descriptions
+// @access  Private (roles.manage)
+router.get('/permissions', requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const permissions = await db.query('SELECT * FROM permissions ORDER BY permission_code');
+
+        res.json({
+            success: true,
+            count: permissions.length,
+            data: permissions
+        });
+    } catch (error) {
+        console.error('Get permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching permissions'
+        });
+    }
+});
+
+// @route   GET /api/roles
+// @desc    Roles with their permissions and how many users hold each
+// @access  Private (roles.manage)
+router.get('/', requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const roles = await db.query(
+            `SELECT r.*, COUNT(u.user_id) as user_count
+             FROM roles r
+             LEFT JOIN users u ON r.role_code = ${ROLE_SQL}
+             GROUP BY r.role_code
+             ORDER BY r.is_system DESC, r.role_name`
+        );
+        const rolePermissions = await db.query(
+            'SELECT role_code, permission_code FROM role_permissions ORDER BY permission_code'
+        );
+
+        res.json({
+            success: true,
+            count: roles.length,
+            data: roles.map(role => ({
+                ...role,
+                permissions: rolePermissions
+                    .filter(row => row.role_code === role.role_code)
+                    .map(row => row.permission_code)
+            }))
+        });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching roles'
+        });
+    }
+});
+
+// @route   POST /api/roles
+// @desc    Create a role from a list of permission codes
+// @access  Private (roles.manage)
+router.post('/', requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const { role_code, role_name, permissions = [] } = req.body;
+
+        if (!role_code || !role_name) {
+            return res.status(400).json({
+                success: false,
+                message: 'role_code and role_name are required'
+            });
+        }
+
+        if (!ROLE_CODE_REGEX.test(role_code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'role_code must be 2-30 lowercase letters, digits or underscores, starting with a letter'
+            });
+        }
+
+        const permissionError = await validatePermissionList(permissions);
+        if (permissionError) {
+            return res.status(400).json({
+                success: false,
+                message: permissionError
+            });
+        }
+
+        if (await getRole(role_code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A role with this code already exists'
+            });
+        }
+
+        await saveRole(role_code, { roleName: role_name, permissions, create: true });
+
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            data: await getRole(role_code)
+        });
+    } catch (error) {
+        console.error('Create role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating role'
+        });
+    }
+});
+
+// @route   PUT /api/roles/:code
+// @desc    Rename a role and/or replace its permission list. Takes effect on
+//          the next request of every user holding the role.
+// @access  Private (roles.manage)
+router.put('/:code', requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const { code } = req.params;
+        const { role_name, permissions } = req.body;
+
+        const role = await getRole(code);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role_name === undefined && permissions === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        if (permissions !== undefined) {
+            const permissionError = await validatePermissionList(permissions);
+            if (permissionError) {
+                return res.status(400).json({
+                    success: false,
+                    message: permissionError
+                });
+            }
+
+            // Don't let an admin lock everyone out of role management
+            if (!permissions.includes('roles.manage') && role.permissions.includes('roles.manage')) {
+                const [{ others }] = await db.query(
+                    `SELECT COUNT(*) as others
+                     FROM users u
+                     JOIN role_permissions rp ON rp.role_code = ${ROLE_SQL}
+                     WHERE u.is_active = 1 AND rp.permission_code = 'roles.manage' AND rp.role_code <> ?`,
+                    [code]
+                );
+
+                if (others === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'At least one other active role holder must keep roles.manage'
+                    });
+                }
+            }
+        }
+
+        await saveRole(code, { roleName: role_name, permissions });
+
+        res.json({
+            success: true,
+            message: 'Role updated successfully',
+            data: await getRole(code)
+        });
+    } catch (error) {
+        console.error('Update role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating role'
+        });
+    }
+});
+
+// @route   DELETE /api/roles/:code
+// @desc    Delete a custom role that no user holds
+// @access  Private (roles.manage)
+router.delete('/:code', requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const role = await getRole(req.params.code);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role.is_system) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted'
+            });
+        }
+
+        if (role.user_count > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Role is held by ${role.user_count} user(s); reassign them first`
+            });
+        }
+
+        await db.query('DELETE FROM roles WHERE role_code = ?', [role.role_code]);
+
+        res.json({
+            success: true,
+            message: 'Role deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting role'
+        });
+    }
+});
+
+module.exports = router;
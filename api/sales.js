@@ -9,31 +9,29 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../utils/database');
-const { authMiddleware, authorize } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { PAYMENT_FIELDS, toAmount, normalizeItems, refreshDailySale } = require('../utils/sales');
+const { acceptedChannels, getStore } = require('../utils/stores');
+const { STORE_ACCESS_DENIED, canAccessStore, storeScope } = require('../utils/access');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
 // @route   POST /api/sales
-// @desc    Create a new sale
-// @access  Private (Staff, Manager, Admin)
-// @route   POST /api/sales
-// @desc    Create or Update daily sale per store
-// @access  Private (Staff, Manager, Admin)
-router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @desc    Record a sale transaction (with optional line items) and refresh the store's daily totals
+// @access  Private (sales.create)
+router.post('/', requirePermission('sales.create'), async (req, res) => {
+    let conn;
     try {
         const {
             store_id,
-            cash_amount = 0,
-            upi_amount = 0,
-            card_amount = 0,
-            booking_amount = 0,
+            items = [],
             product_description = null,
             total_customers = 1,
             notes = null,
             sale_date,
-            sale_time,
-            sale_datetime
+            sale_time = null,
+            sale_datetime = null
         } = req.body;
 
         const user_id = req.user.user_id;
@@ -45,55 +43,73 @@ router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
             });
         }
 
-        const total_amount =
-            Number(cash_amount) +
-            Number(upi_amount) +
-            Number(card_amount) +
-            Number(booking_amount);
-
-        // 🔍 Check if sale already exists for store + date
-        const existing = await db.query(
-            `SELECT sale_id FROM sales 
-             WHERE store_id = ? AND sale_date = ?`,
-            [store_id, sale_date]
+        const payments = {};
+        for (const field of PAYMENT_FIELDS) {
+            payments[field] = toAmount(req.body[field]);
+            if (payments[field] < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${field} cannot be negative`
+                });
+            }
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        const store = await getStore(store_id);
+        if (!store || !store.is_active) {
+            return res.status(400).json({
+                success: false,
+                message: 'Store not found or inactive'
+            });
+        }
+
+        const channels = acceptedChannels(store);
+        const unsupported = PAYMENT_FIELDS.filter(field =>
+            payments[field] > 0 && !channels.includes(field.replace('_amount', ''))
         );
+        if (unsupported.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${store.store_name} does not accept: ${unsupported.join(', ')}`
+            });
+        }
 
-        // 🔁 UPDATE existing record
-        if (existing.length > 0) {
-            const saleId = existing[0].sale_id;
-
-            await db.query(
-                `UPDATE sales SET
-                    cash_amount =  ?,
-                    upi_amount =  ?,
-                    card_amount =  ?,
-                    booking_amount =  ?,
-                    total_customers =  ?,
-                    total_amount =  ?,
-                    notes = COALESCE(?, notes)
-                 WHERE sale_id = ?`,
-                [
-                    cash_amount,
-                    upi_amount,
-                    card_amount,
-                    booking_amount,
-                    total_customers,
-                    total_amount,
-                    notes,
-                    saleId
-                ]
-            );
+        const total_amount = toAmount(PAYMENT_FIELDS.reduce((sum, field) => sum + payments[field], 0));
 
-            return res.json({
-                success: true,
-                message: 'Sale updated for the day',
-                sale_id: saleId
+        const { error, items: lineItems, discountTotal, itemsTotal } = normalizeItems(items);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
             });
         }
 
-        // ➕ INSERT new record
-        const result = await db.query(
-            `INSERT INTO sales (
+        // With line items, the payment split has to cover the bill exactly
+        if (lineItems.length > 0 && Math.abs(itemsTotal - total_amount) > 0.01) {
+            return res.status(400).json({
+                success: false,
+                message: `Payment split (${total_amount}) does not match items total (${itemsTotal})`
+            });
+        }
+
+        if (total_amount <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Sale amount must be greater than zero'
+            });
+        }
+
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        const [result] = await conn.execute(
+            `INSERT INTO sale_transactions (
                 store_id,
                 user_id,
                 sale_date,
@@ -103,48 +119,77 @@ router.post('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
                 upi_amount,
                 card_amount,
                 booking_amount,
-                product_description,
-                total_customers,
+                discount_amount,
                 total_amount,
+                total_customers,
+                product_description,
                 notes
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 store_id,
                 user_id,
                 sale_date,
                 sale_time,
                 sale_datetime,
-                cash_amount,
-                upi_amount,
-                card_amount,
-                booking_amount,
-                product_description,
-                total_customers,
+                payments.cash_amount,
+                payments.upi_amount,
+                payments.card_amount,
+                payments.booking_amount,
+                discountTotal,
                 total_amount,
+                total_customers,
+                product_description,
                 notes
             ]
         );
+        const transactionId = result.insertId;
+
+        for (const item of lineItems) {
+            await conn.execute(
+                `INSERT INTO sale_items (
+                    transaction_id, item_type, item_name, quantity, unit_price, discount, line_total
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    transactionId,
+                    item.item_type,
+                    item.item_name,
+                    item.quantity,
+                    item.unit_price,
+                    item.discount,
+                    item.line_total
+                ]
+            );
+        }
+
+        const saleId = await refreshDailySale(conn, store_id, sale_date, user_id);
+
+        await conn.commit();
 
         res.status(201).json({
             success: true,
-            message: 'Sale created for the day',
-            sale_id: result.insertId
+            message: 'Sale recorded',
+            transaction_id: transactionId,
+            sale_id: saleId,
+            total_amount
         });
 
     } catch (error) {
-        console.error('Create/Update sale error:', error);
+        if (conn) await conn.rollback();
+        console.error('Create sale error:', error);
         res.status(500).json({
             success: false,
             message: 'Error saving sale'
         });
+    } finally {
+        if (conn) conn.release();
     }
 });
 
 
 // @route   GET /api/sales/day
 // @desc    Get sales data for a specific day
-// @access  Private (Staff, Manager, Admin)
-router.get('/day', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @access  Private (sales.view)
+router.get('/day', requirePermission('sales.view'), async (req, res) => {
     try {
         const { date } = req.query;
 
@@ -155,8 +200,6 @@ router.get('/day', authorize('staff', 'manager', 'admin'), async (req, res) => {
             });
         }
 
-        const user = req.user;
-
         let query = `
             SELECT
                 s.sale_id,
@@ -183,26 +226,10 @@ router.get('/day', authorize('staff', 'manager', 'admin'), async (req, res) => {
 
         const params = [date];
 
-        // 🔐 Restrict staff to their store only
-        if (user.user_type === 'staff' && user.assigned_store !== 'all') {
-            const stores = await db.query(
-                'SELECT store_id FROM stores WHERE store_type = ?',
-                [user.assigned_store]
-            );
-
-            if (stores.length === 0) {
-                return res.json({
-                    success: true,
-                    date,
-                    count: 0,
-                    data: []
-                });
-            }
-
-            const storeIds = stores.map(s => s.store_id);
-            query += ` AND s.store_id IN (${storeIds.map(() => '?').join(',')})`;
-            params.push(...storeIds);
-        }
+        // 🔐 Restrict to the user's stores
+        const scope = storeScope(req.user, 's.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
 
         query += ' ORDER BY st.store_id ASC, s.sale_time ASC';
 
@@ -224,7 +251,7 @@ router.get('/day', authorize('staff', 'manager', 'admin'), async (req, res) => {
     }
 });
 
-router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res) => {
+router.get('/monthly', requirePermission('sales.view'), async (req, res) => {
     try {
         const { date } = req.query;
 
@@ -235,6 +262,38 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
             });
         }
 
+        // One block of pivot columns per store, prefixed with its store_code.
+        // Stores closed since then still appear for months they traded in.
+        const scope = storeScope(req.user, 'store_id');
+        const stores = await db.query(
+            `SELECT * FROM stores
+             WHERE (is_active = 1
+                OR store_id IN (
+                    SELECT DISTINCT store_id FROM sales
+                    WHERE sale_date BETWEEN DATE_FORMAT(?, '%Y-%m-01') AND LAST_DAY(?)
+                ))${scope.sql}
+             ORDER BY store_id`,
+            [date, date, ...scope.params]
+        );
+
+        const storeColumns = stores.map(store => {
+            const storeId = Number(store.store_id);
+            const code = store.store_code;
+            const sumFor = (column, alias) =>
+                `COALESCE(SUM(CASE WHEN s.store_id = ${storeId} THEN s.${column} END), 0) AS \`${code}_${alias}\``;
+
+            const channels = acceptedChannels(store);
+
+            return [
+                ...channels.map(channel => sumFor(`${channel}_amount`, channel)),
+                sumFor('total_amount', 'total_sales'),
+                sumFor('total_customers', 'customers'),
+                // Legacy alias: the pivot used to report booking stores as <code>_total_amount
+                ...(channels.includes('booking') ? [sumFor('booking_amount', 'total_amount')] : [])
+            ].join(',\n            ');
+        });
+
+        const salesScope = storeScope(req.user, 's.store_id');
         const query = `
         WITH RECURSIVE calendar AS (
             SELECT DATE_FORMAT(?, '%Y-%m-01') AS sale_date
@@ -246,28 +305,7 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
         SELECT 
             c.sale_date,
 
-            /* ARCADE (1) */
-            COALESCE(SUM(CASE WHEN s.store_id = 1 THEN s.cash_amount END), 0) AS arcade_cash,
-            COALESCE(SUM(CASE WHEN s.store_id = 1 THEN s.upi_amount END), 0) AS arcade_upi,
-            COALESCE(SUM(CASE WHEN s.store_id = 1 THEN s.card_amount END), 0) AS arcade_card,
-            COALESCE(SUM(CASE WHEN s.store_id = 1 THEN s.total_amount END), 0) AS arcade_total_sales,
-            COALESCE(SUM(CASE WHEN s.store_id = 1 THEN s.total_customers END), 0) AS arcade_customers,
-
-            /* DREAMCUBE (2) */
-            COALESCE(SUM(CASE WHEN s.store_id = 2 THEN s.cash_amount END), 0) AS dreamcube_cash,
-            COALESCE(SUM(CASE WHEN s.store_id = 2 THEN s.upi_amount END), 0) AS dreamcube_upi,
-            COALESCE(SUM(CASE WHEN s.store_id = 2 THEN s.card_amount END), 0) AS dreamcube_card,
-            COALESCE(SUM(CASE WHEN s.store_id = 2 THEN s.total_amount END), 0) AS dreamcube_total_sales,
-            COALESCE(SUM(CASE WHEN s.store_id = 2 THEN s.total_customers END), 0) AS dreamcube_customers,
-
-            /* TOYS (4) */
-            COALESCE(SUM(CASE WHEN s.store_id = 4 THEN s.cash_amount END), 0) AS toys_cash,
-            COALESCE(SUM(CASE WHEN s.store_id = 4 THEN s.upi_amount END), 0) AS toys_upi,
-            COALESCE(SUM(CASE WHEN s.store_id = 4 THEN s.card_amount END), 0) AS toys_card,
-            COALESCE(SUM(CASE WHEN s.store_id = 4 THEN s.total_amount END), 0) AS toys_total_sales,
-
-            /* BOOKING (3) */
-            COALESCE(SUM(CASE WHEN s.store_id = 3 THEN s.booking_amount END), 0) AS booking_total_amount,
+            ${storeColumns.map(columns => `${columns},`).join('\n\n            ')}
 
             /* FINAL TOTALS */
             COALESCE(SUM(s.cash_amount), 0) AS total_cash,
@@ -276,16 +314,23 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
 
         FROM calendar c
         LEFT JOIN sales s 
-            ON s.sale_date = c.sale_date
+            ON s.sale_date = c.sale_date${salesScope.sql}
         GROUP BY c.sale_date
         ORDER BY c.sale_date;
         `;
 
-        const rows = await db.query(query, [date, date]);
+        const rows = await db.query(query, [date, date, ...salesScope.params]);
 
         res.json({
             success: true,
             month: date.substring(0, 7),
+            stores: stores.map(store => ({
+                store_id: store.store_id,
+                store_code: store.store_code,
+                store_name: store.store_name,
+                store_type: store.store_type,
+                payment_channels: acceptedChannels(store)
+            })),
             days: rows   // ← THIS WILL NOW BE AN ARRAY (31 days)
         });
 
@@ -300,11 +345,10 @@ router.get('/monthly', authorize('staff', 'manager', 'admin'), async (req, res)
 
 // @route   GET /api/sales
 // @desc    Get sales with filters
-// @access  Private (Staff, Manager, Admin)
-router.get('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @access  Private (sales.view)
+router.get('/', requirePermission('sales.view'), async (req, res) => {
     try {
         const { store_id, start_date, end_date } = req.query;
-        const user = req.user;
 
         let query = `
         SELECT 
@@ -338,22 +382,10 @@ router.get('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
             params.push(Number(store_id));
         }
 
-        // 🔹 Staff restriction (important)
-        if (user.user_type === 'staff' && user.assigned_store !== 'all') {
-            const stores = await db.query(
-                'SELECT store_id FROM stores WHERE store_type = ?',
-                [user.assigned_store]
-            );
-
-            if (stores.length > 0) {
-                const storeIds = stores.map(s => s.store_id);
-                query += ` AND s.store_id IN (${storeIds.map(() => '?').join(',')})`;
-                params.push(...storeIds);
-            } else {
-                // Staff has no stores → return empty result safely
-                return res.json({ success: true, data: [] });
-            }
-        }
+        // 🔹 Store restriction (important)
+        const scope = storeScope(req.user, 's.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
 
         // 🔹 Date filters
         if (start_date) {
@@ -392,18 +424,16 @@ router.get('/', authorize('staff', 'manager', 'admin'), async (req, res) => {
 
 // @route   GET /api/sales/today
 // @desc    Get today's sales summary
-// @access  Private (Staff, Manager, Admin)
-router.get('/today', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @access  Private (sales.view)
+router.get('/today', requirePermission('sales.view'), async (req, res) => {
     try {
-        const user = req.user;
         const today = new Date().toISOString().split('T')[0];
-        console.log(today);
         let query = `
       SELECT 
         st.store_id,
         st.store_name,
         st.store_type,
-        COUNT(s.sale_id) as total_transactions,
+        CAST(COALESCE(SUM(s.transaction_count), 0) AS UNSIGNED) as total_transactions,
         SUM(s.cash_amount) as total_cash,
         SUM(s.upi_amount) as total_upi,
         SUM(s.card_amount) as total_card,
@@ -412,14 +442,14 @@ router.get('/today', authorize('staff', 'manager', 'admin'), async (req, res) =>
         SUM(s.total_customers) as total_customers
       FROM stores st
       LEFT JOIN sales s ON st.store_id = s.store_id AND s.sale_date = ?
+      WHERE st.is_active = 1
     `;
 
         const params = [today];
 
-        if (user.user_type === 'staff' && user.assigned_store !== 'all') {
-            query += ' WHERE st.store_type = ?';
-            params.push(user.assigned_store);
-        }
+        const scope = storeScope(req.user, 'st.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
 
         query += ' GROUP BY st.store_id, st.store_name, st.store_type ORDER BY st.store_name';
 
@@ -459,10 +489,206 @@ router.get('/today', authorize('staff', 'manager', 'admin'), async (req, res) =>
     }
 });
 
+// @route   GET /api/sales/transactions
+// @desc    List individual sale transactions with filters
+// @access  Private (sales.view)
+router.get('/transactions', requirePermission('sales.view'), async (req, res) => {
+    try {
+        const { store_id, date, start_date, end_date, status } = req.query;
+
+        let query = `
+        SELECT
+            t.*,
+            DATE_FORMAT(t.sale_date, '%Y-%m-%d') AS sale_date,
+            st.store_name,
+            st.store_type,
+            u.full_name AS staff_name,
+            (SELECT COUNT(*) FROM sale_items si WHERE si.transaction_id = t.transaction_id) AS item_count
+        FROM sale_transactions t
+        JOIN stores st ON t.store_id = st.store_id
+        JOIN users u ON t.user_id = u.user_id
+        WHERE 1=1
+        `;
+
+        const params = [];
+
+        if (store_id) {
+            query += ' AND t.store_id = ?';
+            params.push(Number(store_id));
+        }
+
+        // 🔹 Store restriction
+        const scope = storeScope(req.user, 't.store_id');
+        query += scope.sql;
+        params.push(...scope.params);
+
+        if (date) {
+            query += ' AND t.sale_date = ?';
+            params.push(date);
+        }
+
+        if (start_date) {
+            query += ' AND t.sale_date >= ?';
+            params.push(start_date);
+        }
+
+        if (end_date) {
+            query += ' AND t.sale_date <= ?';
+            params.push(end_date);
+        }
+
+        if (status) {
+            query += ' AND t.status = ?';
+            params.push(status);
+        }
+
+        query += ' ORDER BY t.sale_date DESC, t.sale_time DESC, t.transaction_id DESC';
+
+        const transactions = await db.query(query, params);
+
+        res.json({
+            success: true,
+            count: transactions.length,
+            data: transactions
+        });
+    } catch (error) {
+        console.error('Get sale transactions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching sale transactions'
+        });
+    }
+});
+
+// @route   GET /api/sales/transactions/:id
+// @desc    Get a single sale transaction with its line items
+// @access  Private (sales.view)
+router.get('/transactions/:id', requirePermission('sales.view'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const transactions = await db.query(
+            `SELECT
+                t.*,
+                DATE_FORMAT(t.sale_date, '%Y-%m-%d') AS sale_date,
+                st.store_name,
+                st.store_type,
+                u.full_name AS staff_name,
+                vu.full_name AS voided_by_name
+             FROM sale_transactions t
+             JOIN stores st ON t.store_id = st.store_id
+             JOIN users u ON t.user_id = u.user_id
+             LEFT JOIN users vu ON t.voided_by = vu.user_id
+             WHERE t.transaction_id = ?`,
+            [id]
+        );
+
+        if (transactions.length === 0 || !canAccessStore(req.user, transactions[0].store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sale transaction not found'
+            });
+        }
+
+        const items = await db.query(
+            'SELECT * FROM sale_items WHERE transaction_id = ? ORDER BY item_id',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                ...transactions[0],
+                items
+            }
+        });
+    } catch (error) {
+        console.error('Get sale transaction error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching sale transaction'
+        });
+    }
+});
+
+// @route   POST /api/sales/transactions/:id/void
+// @desc    Void a sale transaction and refresh the store's daily totals
+// @access  Private (sales.void)
+router.post('/transactions/:id/void', requirePermission('sales.void'), async (req, res) => {
+    let conn;
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'reason is required to void a sale'
+            });
+        }
+
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        const [transactions] = await conn.execute(
+            `SELECT transaction_id, store_id, user_id, status,
+                    DATE_FORMAT(sale_date, '%Y-%m-%d') AS sale_date
+             FROM sale_transactions WHERE transaction_id = ? FOR UPDATE`,
+            [id]
+        );
+
+        if (transactions.length === 0 || !canAccessStore(req.user, transactions[0].store_id)) {
+            await conn.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Sale transaction not found'
+            });
+        }
+
+        const transaction = transactions[0];
+
+        if (transaction.status === 'voided') {
+            await conn.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Sale transaction is already voided'
+            });
+        }
+
+        await conn.execute(
+            `UPDATE sale_transactions SET
+                status = 'voided',
+                voided_by = ?,
+                voided_at = NOW(),
+                void_reason = ?
+             WHERE transaction_id = ?`,
+            [req.user.user_id, reason, id]
+        );
+
+        await refreshDailySale(conn, transaction.store_id, transaction.sale_date, transaction.user_id);
+
+        await conn.commit();
+
+        res.json({
+            success: true,
+            message: 'Sale transaction voided'
+        });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Void sale error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error voiding sale'
+        });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
 // @route   GET /api/sales/:id
 // @desc    Get single sale by ID
-// @access  Private (Staff, Manager, Admin)
-router.get('/:id', authorize('staff', 'manager', 'admin'), async (req, res) => {
+// @access  Private (sales.view)
+router.get('/:id', requirePermission('sales.view'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -479,16 +705,39 @@ router.get('/:id', authorize('staff', 'manager', 'admin'), async (req, res) => {
             [id]
         );
 
-        if (sales.length === 0) {
+        if (sales.length === 0 || !canAccessStore(req.user, sales[0].store_id)) {
             return res.status(404).json({
                 success: false,
                 message: 'Sale not found'
             });
         }
 
+        const transactions = await db.query(
+            `SELECT
+                t.transaction_id,
+                t.sale_time,
+                t.cash_amount,
+                t.upi_amount,
+                t.card_amount,
+                t.booking_amount,
+                t.discount_amount,
+                t.total_amount,
+                t.total_customers,
+                t.status,
+                u.full_name AS staff_name
+             FROM sale_transactions t
+             JOIN users u ON t.user_id = u.user_id
+             WHERE t.store_id = ? AND t.sale_date = ?
+             ORDER BY t.sale_time, t.transaction_id`,
+            [sales[0].store_id, sales[0].sale_date]
+        );
+
         res.json({
             success: true,
-            data: sales[0]
+            data: {
+                ...sales[0],
+                transactions
+            }
         });
     } catch (error) {
         console.error('Get sale error:', error);
@@ -507,28 +756,31 @@ router.get('/:id', authorize('staff', 'manager', 'admin'), async (req, res) => {
 
 
 // @route   PUT /api/sales/:id
-// @desc    Update a sale
-// @access  Private (Manager, Admin only)
-router.put('/:id', authorize('manager', 'admin'), async (req, res) => {
+// @desc    Update the notes on a daily sale. Amounts are derived from transactions
+//          and change only by recording or voiding a transaction.
+// @access  Private (sales.edit)
+router.put('/:id', requirePermission('sales.edit'), async (req, res) => {
     try {
         const { id } = req.params;
-        const {
-            cash_amount,
-            upi_amount,
-            card_amount,
-            booking_amount,
-            product_description,
-            total_customers,
-            notes
-        } = req.body;
+        const { product_description, notes } = req.body;
+
+        const derivedFields = [...PAYMENT_FIELDS, 'total_amount', 'total_customers']
+            .filter(field => req.body[field] !== undefined);
+
+        if (derivedFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${derivedFields.join(', ')} are calculated from sale transactions; void and re-record the transaction instead`
+            });
+        }
 
         // Check if sale exists
-        const [existingSales] = await db.query(
+        const existingSales = await db.query(
             'SELECT * FROM sales WHERE sale_id = ?',
             [id]
         );
 
-        if (existingSales.length === 0) {
+        if (existingSales.length === 0 || !canAccessStore(req.user, existingSales[0].store_id)) {
             return res.status(404).json({
                 success: false,
                 message: 'Sale not found'
@@ -538,34 +790,15 @@ router.put('/:id', authorize('manager', 'admin'), async (req, res) => {
         const existingSale = existingSales[0];
 
         // Use existing values if not provided
-        const updatedCash = cash_amount !== undefined ? cash_amount : existingSale.cash_amount;
-        const updatedUpi = upi_amount !== undefined ? upi_amount : existingSale.upi_amount;
-        const updatedCard = card_amount !== undefined ? card_amount : existingSale.card_amount;
-        const updatedBooking = booking_amount !== undefined ? booking_amount : existingSale.booking_amount;
         const updatedProductDesc = product_description !== undefined ? product_description : existingSale.product_description;
-        const updatedCustomers = total_customers !== undefined ? total_customers : existingSale.total_customers;
         const updatedNotes = notes !== undefined ? notes : existingSale.notes;
 
-        // Calculate new total
-        const total_amount = parseFloat(updatedCash) + parseFloat(updatedUpi) +
-            parseFloat(updatedCard) + parseFloat(updatedBooking);
-
-        // Update sale
         await db.query(
             `UPDATE sales SET
-        cash_amount = ?,
-        upi_amount = ?,
-        card_amount = ?,
-        booking_amount = ?,
         product_description = ?,
-        total_customers = ?,
-        total_amount = ?,
         notes = ?
       WHERE sale_id = ?`,
-            [
-                updatedCash, updatedUpi, updatedCard, updatedBooking,
-                updatedProductDesc, updatedCustomers, total_amount, updatedNotes, id
-            ]
+            [updatedProductDesc, updatedNotes, id]
         );
 
         res.json({
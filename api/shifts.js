@@ -0,0 +1,675 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/database');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { getStore } = require('../utils/stores');
+const { STORE_ACCESS_DENIED, canAccessStore, storeScope } = require('../utils/access');
+const {
+    TIME_REGEX,
+    DATE_REGEX,
+    addDays,
+    weekStart,
+    shiftMinutes,
+    getShift,
+    getShiftTemplate
+} = require('../utils/roster');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// @route   GET /api/shifts/templates
+// @desc    List shift templates (active only unless include_inactive=true)
+// @access  Private (shifts.manage)
+router.get('/templates', requirePermission('shifts.manage'), async (req, res) => {
+    try {
+        const { store_id } = req.query;
+        const includeInactive = req.query.include_inactive === 'true';
+
+        let query = `
+            SELECT t.*, s.store_name
+            FROM shift_templates t
+            LEFT JOIN stores s ON t.store_id = s.store_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (!includeInactive) {
+            query += ' AND t.is_active = 1';
+        }
+
+        // Store-specific templates plus the ones shared by all stores
+        if (store_id) {
+            query += ' AND (t.store_id = ? OR t.store_id IS NULL)';
+            params.push(store_id);
+        }
+
+        query += ' ORDER BY t.start_time, t.template_name';
+
+        const templates = await db.query(query, params);
+
+        res.json({
+            success: true,
+            count: templates.length,
+            data: templates
+        });
+    } catch (error) {
+        console.error('Get shift templates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching shift templates'
+        });
+    }
+});
+
+// @route   POST /api/shifts/templates
+// @desc    Create a shift template such as "Morning 10:00-18:00"
+// @access  Private (shifts.manage)
+router.post('/templates', requirePermission('shifts.manage'), async (req, res) => {
+    try {
+        const { template_name, start_time, end_time, store_id = null } = req.body;
+
+        if (!template_name || !start_time || !end_time) {
+            return res.status(400).json({
+                success: false,
+                message: 'template_name, start_time and end_time are required'
+            });
+        }
+
+        if (!TIME_REGEX.test(start_time) || !TIME_REGEX.test(end_time)) {
+            return res.status(400).json({
+                success: false,
+                message: 'start_time and end_time must be in HH:MM format'
+            });
+        }
+
+        if (store_id) {
+            const store = await getStore(store_id);
+            if (!store || !store.is_active) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Store not found or inactive'
+                });
+            }
+        }
+
+        const result = await db.query(
+            `INSERT INTO shift_templates (template_name, store_id, start_time, end_time, created_by)
+             VALUES (?, ?, ?, ?, ?)`,
+            [template_name, store_id, start_time, end_time, req.user.user_id]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Shift template created successfully',
+            data: await getShiftTemplate(result.insertId)
+        });
+    } catch (error) {
+        console.error('Create shift template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating shift template'
+        });
+    }
+});
+
+// @route   PUT /api/shifts/templates/:id
+// @desc    Update or (de)activate a shift template. Existing shifts keep their times.
+// @access  Private (shifts.manage)
+router.put('/templates/:id', requirePermission('shifts.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { template_name, start_time, end_time, is_active } = req.body;
+
+        const template = await getShiftTemplate(id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift template not found'
+            });
+        }
+
+        for (const [field, value] of [['start_time', start_time], ['end_time', end_time]]) {
+            if (value !== undefined && !TIME_REGEX.test(value)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${field} must be in HH:MM format`
+                });
+            }
+        }
+
+        const updates = [];
+        const values = [];
+
+        for (const [field, value] of Object.entries({ template_name, start_time, end_time })) {
+            if (value !== undefined) {
+                updates.push(`${field} = ?`);
+                values.push(value);
+            }
+        }
+
+        if (is_active !== undefined) {
+            updates.push('is_active = ?');
+            values.push(is_active ? 1 : 0);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        values.push(id);
+
+        await db.query(
+            `UPDATE shift_templates SET ${updates.join(', ')} WHERE template_id = ?`,
+            values
+        );
+
+        res.json({
+            success: true,
+            message: 'Shift template updated successfully',
+            data: await getShiftTemplate(id)
+        });
+    } catch (error) {
+        console.error('Update shift template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating shift template'
+        });
+    }
+});
+
+// @route   GET /api/shifts/mine
+// @desc    The logged-in user's published shifts from today onwards (days=14 by default)
+// @access  Private (shifts.view_own)
+router.get('/mine', requirePermission('shifts.view_own'), async (req, res) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const days = Math.min(parseInt(req.query.days) || 14, 90);
+
+        const shifts = await db.query(
+            `SELECT
+                sh.shift_id,
+                sh.store_id,
+                s.store_name,
+                DATE_FORMAT(sh.shift_date, '%Y-%m-%d') as shift_date,
+                sh.start_time,
+                sh.end_time,
+                sh.notes
+             FROM shifts sh
+             JOIN stores s ON sh.store_id = s.store_id
+             WHERE sh.user_id = ? AND sh.status = 'published'
+               AND sh.shift_date BETWEEN ? AND ?
+             ORDER BY sh.shift_date, sh.start_time`,
+            [req.user.user_id, today, addDays(today, days - 1)]
+        );
+
+        res.json({
+            success: true,
+            count: shifts.length,
+            data: shifts.map(shift => ({
+                ...shift,
+                scheduled_hours: parseFloat((shiftMinutes(shift) / 60).toFixed(2))
+            }))
+        });
+    } catch (error) {
+        console.error('Get my shifts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching shifts'
+        });
+    }
+});
+
+// @route   GET /api/shifts
+// @desc    Roster for a week (week_start, any day of the week works) or a
+//          date range (start_date/end_date), including drafts
+// @access  Private (shifts.manage)
+router.get('/', requirePermission('shifts.manage'), async (req, res) => {
+    try {
+        const { store_id, user_id, status } = req.query;
+        let { start_date, end_date } = req.query;
+
+        if (req.query.week_start) {
+            if (!DATE_REGEX.test(req.query.week_start)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid week_start format. Please use YYYY-MM-DD'
+                });
+            }
+            start_date = weekStart(req.query.week_start);
+            end_date = addDays(start_date, 6);
+        }
+
+        if (!start_date || !end_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'week_start, or start_date and end_date, are required'
+            });
+        }
+
+        if (store_id && !canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        const scope = storeScope(req.user, 'sh.store_id');
+
+        let query = `
+            SELECT
+                sh.*,
+                DATE_FORMAT(sh.shift_date, '%Y-%m-%d') as shift_date,
+                s.store_name,
+                u.full_name,
+                u.username,
+                t.template_name
+            FROM shifts sh
+            JOIN stores s ON sh.store_id = s.store_id
+            JOIN users u ON sh.user_id = u.user_id
+            LEFT JOIN shift_templates t ON sh.template_id = t.template_id
+            WHERE sh.shift_date BETWEEN ? AND ?${scope.sql}
+        `;
+        const params = [start_date, end_date, ...scope.params];
+
+        if (store_id) {
+            query += ' AND sh.store_id = ?';
+            params.push(store_id);
+        }
+
+        if (user_id) {
+            query += ' AND sh.user_id = ?';
+            params.push(user_id);
+        }
+
+        if (status) {
+            query += ' AND sh.status = ?';
+            params.push(status);
+        }
+
+        query += ' ORDER BY sh.shift_date, sh.start_time, u.full_name';
+
+        const shifts = await db.query(query, params);
+
+        res.json({
+            success: true,
+            count: shifts.length,
+            data: shifts,
+            summary: {
+                draft: shifts.filter(s => s.status === 'draft').length,
+                published: shifts.filter(s => s.status === 'published').length,
+                scheduled_hours: parseFloat(
+                    (shifts.reduce((acc, s) => acc + shiftMinutes(s), 0) / 60).toFixed(2)
+                )
+            },
+            filters: {
+                start_date,
+                end_date,
+                store_id: store_id || 'all',
+                user_id: user_id || 'all'
+            }
+        });
+    } catch (error) {
+        console.error('Get shifts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching shifts'
+        });
+    }
+});
+
+// @route   POST /api/shifts
+// @desc    Add a draft shift, from a template (template_id) or explicit times
+// @access  Private (shifts.manage)
+router.post('/', requirePermission('shifts.manage'), async (req, res) => {
+    try {
+        const { store_id, user_id, shift_date, template_id = null, notes = null } = req.body;
+        let { start_time, end_time } = req.body;
+
+        if (!store_id || !user_id || !shift_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_id, user_id and shift_date are required'
+            });
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        if (!DATE_REGEX.test(shift_date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid shift_date format. Please use YYYY-MM-DD'
+            });
+        }
+
+        if (template_id) {
+            const template = await getShiftTemplate(template_id);
+            if (!template || !template.is_active) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Shift template not found or inactive'
+                });
+            }
+            start_time = start_time || template.start_time;
+            end_time = end_time || template.end_time;
+        }
+
+        if (!start_time || !end_time || !TIME_REGEX.test(start_time) || !TIME_REGEX.test(end_time)) {
+            return res.status(400).json({
+                success: false,
+                message: 'template_id or start_time and end_time (HH:MM) are required'
+            });
+        }
+
+        const store = await getStore(store_id);
+        if (!store || !store.is_active) {
+            return res.status(404).json({
+                success: false,
+                message: 'Store not found or inactive'
+            });
+        }
+
+        const users = await db.query(
+            'SELECT user_id FROM users WHERE user_id = ? AND is_active = 1',
+            [user_id]
+        );
+        if (users.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found or inactive'
+            });
+        }
+
+        const existing = await db.query(
+            'SELECT shift_id FROM shifts WHERE user_id = ? AND shift_date = ?',
+            [user_id, shift_date]
+        );
+        if (existing.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'This staff member already has a shift on that date',
+                shift_id: existing[0].shift_id
+            });
+        }
+
+        const result = await db.query(
+            `INSERT INTO shifts (
+                store_id, user_id, shift_date, start_time, end_time, template_id, notes, created_by
+             ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [store_id, user_id, shift_date, start_time, end_time, template_id, notes, req.user.user_id]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Shift added successfully',
+            data: await getShift(result.insertId)
+        });
+    } catch (error) {
+        console.error('Create shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error adding shift'
+        });
+    }
+});
+
+// @route   POST /api/shifts/publish
+// @desc    Publish all draft shifts of a store for the week containing week_start
+// @access  Private (shifts.manage)
+router.post('/publish', requirePermission('shifts.manage'), async (req, res) => {
+    try {
+        const { store_id, week_start } = req.body;
+
+        if (!store_id || !week_start || !DATE_REGEX.test(week_start)) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_id and week_start (YYYY-MM-DD) are required'
+            });
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        const start = weekStart(week_start);
+        const end = addDays(start, 6);
+
+        const result = await db.query(
+            `UPDATE shifts SET status = 'published', published_at = NOW(), published_by = ?
+             WHERE store_id = ? AND status = 'draft' AND shift_date BETWEEN ? AND ?`,
+            [req.user.user_id, store_id, start, end]
+        );
+
+        res.json({
+            success: true,
+            message: `${result.affectedRows} shift(s) published`,
+            published: result.affectedRows,
+            week: { start_date: start, end_date: end }
+        });
+    } catch (error) {
+        console.error('Publish shifts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error publishing shifts'
+        });
+    }
+});
+
+// @route   POST /api/shifts/copy-week
+// @desc    Copy a store's shifts from one week to another as drafts. Staff who
+//          already have a shift on a target day are skipped.
+// @access  Private (shifts.manage)
+router.post('/copy-week', requirePermission('shifts.manage'), async (req, res) => {
+    try {
+        const { store_id, from_week_start, to_week_start } = req.body;
+
+        if (!store_id || !DATE_REGEX.test(from_week_start || '') || !DATE_REGEX.test(to_week_start || '')) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_id, from_week_start and to_week_start (YYYY-MM-DD) are required'
+            });
+        }
+
+        if (!canAccessStore(req.user, store_id)) {
+            return res.status(403).json({
+                success: false,
+                message: STORE_ACCESS_DENIED
+            });
+        }
+
+        const fromStart = weekStart(from_week_start);
+        const toStart = weekStart(to_week_start);
+
+        if (fromStart === toStart) {
+            return res.status(400).json({
+                success: false,
+                message: 'Source and target weeks must be different'
+            });
+        }
+
+        const offsetDays = Math.round((new Date(toStart) - new Date(fromStart)) / 86400000);
+
+        // INSERT IGNORE skips users who already have a shift on the target date
+        const result = await db.query(
+            `INSERT IGNORE INTO shifts (
+                store_id, user_id, shift_date, start_time, end_time, template_id, notes, created_by
+             )
+             SELECT sh.store_id, sh.user_id, DATE_ADD(sh.shift_date, INTERVAL ? DAY),
+                    sh.start_time, sh.end_time, sh.template_id, sh.notes, ?
+             FROM shifts sh
+             JOIN users u ON sh.user_id = u.user_id AND u.is_active = 1
+             WHERE sh.store_id = ? AND sh.shift_date BETWEEN ? AND ?`,
+            [offsetDays, req.user.user_id, store_id, fromStart, addDays(fromStart, 6)]
+        );
+
+        res.json({
+            success: true,
+            message: `${result.affectedRows} shift(s) copied as drafts`,
+            copied: result.affectedRows,
+            week: { start_date: toStart, end_date: addDays(toStart, 6) }
+        });
+    } catch (error) {
+        console.error('Copy week error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error copying shifts'
+        });
+    }
+});
+
+// @route   PUT /api/shifts/:id
+// @desc    Change a shift's times, store, staff member or notes
+// @access  Private (shifts.manage)
+router.put('/:id', requirePermission('shifts.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { store_id, user_id, shift_date, start_time, end_time, notes } = req.body;
+
+        const shift = await getShift(id);
+
+        if (!shift || !canAccessStore(req.user, shift.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found'
+            });
+        }
+
+        for (const [field, value] of [['start_time', start_time], ['end_time', end_time]]) {
+            if (value !== undefined && !TIME_REGEX.test(value)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${field} must be in HH:MM format`
+                });
+            }
+        }
+
+        if (shift_date !== undefined && !DATE_REGEX.test(shift_date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid shift_date format. Please use YYYY-MM-DD'
+            });
+        }
+
+        if (store_id !== undefined) {
+            if (!canAccessStore(req.user, store_id)) {
+                return res.status(403).json({
+                    success: false,
+                    message: STORE_ACCESS_DENIED
+                });
+            }
+
+            const store = await getStore(store_id);
+            if (!store || !store.is_active) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Store not found or inactive'
+                });
+            }
+        }
+
+        if (user_id !== undefined) {
+            const users = await db.query(
+                'SELECT user_id FROM users WHERE user_id = ? AND is_active = 1',
+                [user_id]
+            );
+            if (users.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found or inactive'
+                });
+            }
+        }
+
+        if (user_id !== undefined || shift_date !== undefined) {
+            const clash = await db.query(
+                'SELECT shift_id FROM shifts WHERE user_id = ? AND shift_date = ? AND shift_id <> ?',
+                [user_id ?? shift.user_id, shift_date ?? shift.shift_date, id]
+            );
+            if (clash.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This staff member already has a shift on that date',
+                    shift_id: clash[0].shift_id
+                });
+            }
+        }
+
+        const updates = [];
+        const values = [];
+
+        for (const [field, value] of Object.entries({ store_id, user_id, shift_date, start_time, end_time, notes })) {
+            if (value !== undefined) {
+                updates.push(`${field} = ?`);
+                values.push(value);
+            }
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        values.push(id);
+
+        await db.query(
+            `UPDATE shifts SET ${updates.join(', ')} WHERE shift_id = ?`,
+            values
+        );
+
+        res.json({
+            success: true,
+            message: 'Shift updated successfully',
+            data: await getShift(id)
+        });
+    } catch (error) {
+        console.error('Update shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating shift'
+        });
+    }
+});
+
+// @route   DELETE /api/shifts/:id
+// @desc    Remove a shift from the roster
+// @access  Private (shifts.manage)
+router.delete('/:id', requirePermission('shifts.manage'), async (req, res) => {
+    try {
+        const shift = await getShift(req.params.id);
+
+        if (!shift || !canAccessStore(req.user, shift.store_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found'
+            });
+        }
+
+        await db.query('DELETE FROM shifts WHERE shift_id = ?', [shift.shift_id]);
+
+        res.json({
+            success: true,
+            message: 'Shift removed successfully'
+        });
+    } catch (error) {
+        console.error('Delete shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error removing shift'
+        });
+    }
+});
+
+module.exports = router;
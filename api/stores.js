@@ -0,0 +1,389 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/database');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { PAYMENT_CHANNELS, STORE_CODE_REGEX, GEOFENCE_MODES, formatStore, getStore } = require('../utils/stores');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Validate the writable store fields present in body.
+// Returns an error message, or null when everything is valid.
+function validateStoreFields(body) {
+    const {
+        store_code,
+        opening_time,
+        closing_time,
+        payment_channels,
+        cash_variance_tolerance,
+        geofence_latitude,
+        geofence_longitude,
+        geofence_radius_m,
+        geofence_mode
+    } = body;
+
+    if (store_code !== undefined && !STORE_CODE_REGEX.test(store_code)) {
+        return 'store_code must be 2-30 lowercase letters, digits or underscores, starting with a letter';
+    }
+
+    for (const [field, value] of [['opening_time', opening_time], ['closing_time', closing_time]]) {
+        if (value !== undefined && value !== null && !TIME_REGEX.test(value)) {
+            return `${field} must be in HH:MM format`;
+        }
+    }
+
+    if (cash_variance_tolerance !== undefined &&
+        (isNaN(cash_variance_tolerance) || parseFloat(cash_variance_tolerance) < 0)) {
+        return 'cash_variance_tolerance must be a non-negative amount';
+    }
+
+    if (geofence_latitude !== undefined && geofence_latitude !== null &&
+        (isNaN(geofence_latitude) || Math.abs(geofence_latitude) > 90)) {
+        return 'geofence_latitude must be between -90 and 90';
+    }
+
+    if (geofence_longitude !== undefined && geofence_longitude !== null &&
+        (isNaN(geofence_longitude) || Math.abs(geofence_longitude) > 180)) {
+        return 'geofence_longitude must be between -180 and 180';
+    }
+
+    if (geofence_radius_m !== undefined && geofence_radius_m !== null &&
+        (!Number.isInteger(Number(geofence_radius_m)) || Number(geofence_radius_m) <= 0)) {
+        return 'geofence_radius_m must be a positive whole number of metres';
+    }
+
+    if (geofence_mode !== undefined && !GEOFENCE_MODES.includes(geofence_mode)) {
+        return `geofence_mode must be one of: ${GEOFENCE_MODES.join(', ')}`;
+    }
+
+    if (payment_channels !== undefined) {
+        if (!Array.isArray(payment_channels) || payment_channels.length === 0) {
+            return 'payment_channels must be a non-empty array';
+        }
+        const invalid = payment_channels.filter(c => !PAYMENT_CHANNELS.includes(c));
+        if (invalid.length > 0) {
+            return `payment_channels must only contain: ${PAYMENT_CHANNELS.join(', ')}`;
+        }
+    }
+
+    return null;
+}
+
+// @route   GET /api/stores
+// @desc    List stores (active only unless include_inactive=true)
+// @access  Private (stores.view)
+router.get('/', requirePermission('stores.view'), async (req, res) => {
+    try {
+        const includeInactive = req.query.include_inactive === 'true';
+
+        const stores = await db.query(
+            `SELECT * FROM stores
+             ${includeInactive ? '' : 'WHERE is_active = 1'}
+             ORDER BY store_id`
+        );
+
+        res.json({
+            success: true,
+            count: stores.length,
+            stores: stores.map(formatStore)
+        });
+    } catch (error) {
+        console.error('Get stores error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching stores'
+        });
+    }
+});
+
+// @route   GET /api/stores/:id
+// @desc    Get a single store
+// @access  Private (stores.view)
+router.get('/:id', requirePermission('stores.view'), async (req, res) => {
+    try {
+        const store = await getStore(req.params.id);
+
+        if (!store) {
+            return res.status(404).json({
+                success: false,
+                message: 'Store not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            store: formatStore(store)
+        });
+    } catch (error) {
+        console.error('Get store error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching store'
+        });
+    }
+});
+
+// @route   POST /api/stores
+// @desc    Create a store
+// @access  Private (stores.manage)
+router.post('/', requirePermission('stores.manage'), async (req, res) => {
+    try {
+        const {
+            store_name,
+            store_code,
+            store_type,
+            opening_time = null,
+            closing_time = null,
+            payment_channels = ['cash', 'upi', 'card'],
+            cash_variance_tolerance = 0,
+            geofence_latitude = null,
+            geofence_longitude = null,
+            geofence_radius_m = null,
+            geofence_mode = 'off',
+            is_active = true
+        } = req.body;
+
+        if (!store_name || !store_code || !store_type) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_name, store_code and store_type are required'
+            });
+        }
+
+        const validationError = validateStoreFields({ ...req.body, payment_channels });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (geofence_mode !== 'off' &&
+            (geofence_latitude === null || geofence_longitude === null || !geofence_radius_m)) {
+            return res.status(400).json({
+                success: false,
+                message: 'geofence_latitude, geofence_longitude and geofence_radius_m are required to enable the geofence'
+            });
+        }
+
+        const existing = await db.query(
+            'SELECT store_id FROM stores WHERE store_code = ?',
+            [store_code]
+        );
+
+        if (existing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'store_code already exists'
+            });
+        }
+
+        const result = await db.query(
+            `INSERT INTO stores (
+                store_name, store_code, store_type, is_active, opening_time, closing_time,
+                cash_variance_tolerance, geofence_latitude, geofence_longitude, geofence_radius_m,
+                geofence_mode, accepts_cash, accepts_upi, accepts_card, accepts_booking
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                store_name,
+                store_code,
+                store_type,
+                is_active ? 1 : 0,
+                opening_time,
+                closing_time,
+                parseFloat(cash_variance_tolerance),
+                geofence_latitude,
+                geofence_longitude,
+                geofence_radius_m,
+                geofence_mode,
+                ...PAYMENT_CHANNELS.map(c => (payment_channels.includes(c) ? 1 : 0))
+            ]
+        );
+
+        const store = await getStore(result.insertId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Store created successfully',
+            store: formatStore(store)
+        });
+    } catch (error) {
+        console.error('Create store error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating store'
+        });
+    }
+});
+
+// @route   PUT /api/stores/:id
+// @desc    Update a store
+// @access  Private (stores.manage)
+router.put('/:id', requirePermission('stores.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const {
+            store_name,
+            store_code,
+            store_type,
+            opening_time,
+            closing_time,
+            payment_channels,
+            cash_variance_tolerance,
+            geofence_latitude,
+            geofence_longitude,
+            geofence_radius_m,
+            geofence_mode,
+            is_active
+        } = req.body;
+
+        const existingStore = await getStore(id);
+
+        if (!existingStore) {
+            return res.status(404).json({
+                success: false,
+                message: 'Store not found'
+            });
+        }
+
+        const validationError = validateStoreFields(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        // The geofence can only be enabled once it has a center and radius
+        const geofence = {
+            geofence_latitude: existingStore.geofence_latitude,
+            geofence_longitude: existingStore.geofence_longitude,
+            geofence_radius_m: existingStore.geofence_radius_m,
+            geofence_mode: existingStore.geofence_mode,
+            ...Object.fromEntries(Object.entries({
+                geofence_latitude, geofence_longitude, geofence_radius_m, geofence_mode
+            }).filter(([, value]) => value !== undefined))
+        };
+        if (geofence.geofence_mode !== 'off' &&
+            (geofence.geofence_latitude === null || geofence.geofence_longitude === null ||
+                !geofence.geofence_radius_m)) {
+            return res.status(400).json({
+                success: false,
+                message: 'geofence_latitude, geofence_longitude and geofence_radius_m are required to enable the geofence'
+            });
+        }
+
+        // Build update query dynamically
+        const updates = [];
+        const values = [];
+
+        const simpleFields = {
+            store_name,
+            store_code,
+            store_type,
+            opening_time,
+            closing_time,
+            cash_variance_tolerance,
+            geofence_latitude,
+            geofence_longitude,
+            geofence_radius_m,
+            geofence_mode
+        };
+        for (const [field, value] of Object.entries(simpleFields)) {
+            if (value !== undefined) {
+                updates.push(`${field} = ?`);
+                values.push(value);
+            }
+        }
+
+        if (is_active !== undefined) {
+            updates.push('is_active = ?');
+            values.push(is_active ? 1 : 0);
+        }
+
+        if (payment_channels !== undefined) {
+            PAYMENT_CHANNELS.forEach(channel => {
+                updates.push(`accepts_${channel} = ?`);
+                values.push(payment_channels.includes(channel) ? 1 : 0);
+            });
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        if (store_code !== undefined && store_code !== existingStore.store_code) {
+            const duplicate = await db.query(
+                'SELECT store_id FROM stores WHERE store_code = ? AND store_id <> ?',
+                [store_code, id]
+            );
+
+            if (duplicate.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'store_code already exists'
+                });
+            }
+        }
+
+        values.push(id);
+
+        await db.query(
+            `UPDATE stores SET ${updates.join(', ')} WHERE store_id = ?`,
+            values
+        );
+
+        const store = await getStore(id);
+
+        res.json({
+            success: true,
+            message: 'Store updated successfully',
+            store: formatStore(store)
+        });
+    } catch (error) {
+        console.error('Update store error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating store'
+        });
+    }
+});
+
+// @route   DELETE /api/stores/:id
+// @desc    Deactivate a store. Stores are never hard-deleted because sales,
+//          cash and attendance history reference them.
+// @access  Private (stores.manage)
+router.delete('/:id', requirePermission('stores.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const store = await getStore(id);
+
+        if (!store) {
+            return res.status(404).json({
+                success: false,
+                message: 'Store not found'
+            });
+        }
+
+        await db.query('UPDATE stores SET is_active = 0 WHERE store_id = ?', [id]);
+
+        res.json({
+            success: true,
+            message: 'Store deactivated successfully'
+        });
+    } catch (error) {
+        console.error('Deactivate store error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deactivating store'
+        });
+    }
+});
+
+module.exports = router;
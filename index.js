@@ -12,9 +12,22 @@ const expensesRoutes = require('./api/expenses');
 const problemsRoutes = require('./api/problems');
 const reportsRoutes = require('./api/reports');
 const mosquesRoutes = require('./api/mosques');
+const storesRoutes = require('./api/stores');
+const assetsRoutes = require('./api/assets');
+const maintenanceRoutes = require('./api/maintenance');
+const attachmentsRoutes = require('./api/attachments');
+const shiftsRoutes = require('./api/shifts');
+const leaveRoutes = require('./api/leave');
+const payrollRoutes = require('./api/payroll');
+const rolesRoutes = require('./api/roles');
+const jobsRoutes = require('./api/jobs');
 
 const app = express();
 
+// Deployed behind Vercel's proxy: take the client IP from X-Forwarded-For so
+// per-IP login limits apply to the caller, not the proxy
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -42,6 +55,15 @@ app.use('/api/expenses', expensesRoutes);
 app.use('/api/problems', problemsRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/mosques', mosquesRoutes);
+app.use('/api/stores', storesRoutes);
+app.use('/api/assets', assetsRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/attachments', attachmentsRoutes);
+app.use('/api/shifts', shiftsRoutes);
+app.use('/api/leave', leaveRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/roles', rolesRoutes);
+app.use('/api/jobs', jobsRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
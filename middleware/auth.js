@@ -1,5 +1,7 @@
 ﻿const jwt = require('jsonwebtoken');
 const db = require('../utils/database');
+const { getUserPermissions } = require('../utils/permissions');
+const { loadStoreScope } = require('../utils/access');
 
 const authMiddleware = async (req, res, next) => {
     try {
@@ -21,10 +23,22 @@ const authMiddleware = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         console.log('Token decoded:', { userId: decoded.userId, userType: decoded.userType });
 
-        // Check if user still exists - FIXED: removed [] from db.query()
+        // Tokens issued before sessions existed carry no session id and can't be revoked
+        if (!decoded.sid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired, please log in again'
+            });
+        }
+
+        // Check if user still exists and the session has not been revoked
         const users = await db.query(
-            'SELECT user_id, username, full_name, user_type, assigned_store FROM users WHERE user_id = ? AND is_active = 1',
-            [decoded.userId]
+            `SELECT u.user_id, u.username, u.full_name, u.user_type
+             FROM users u
+             JOIN auth_sessions s ON s.user_id = u.user_id
+             WHERE u.user_id = ? AND u.is_active = 1
+               AND s.session_id = ? AND s.revoked_at IS NULL`,
+            [decoded.userId, decoded.sid]
         );
 
         console.log('Users found in DB:', users ? users.length : 0);
@@ -32,12 +46,15 @@ const authMiddleware = async (req, res, next) => {
         if (!users || users.length === 0) {
             return res.status(401).json({
                 success: false,
-                message: 'User not found or inactive'
+                message: 'Session revoked or user inactive'
             });
         }
 
-        // Add user to request
+        // Add user, their effective permissions and their stores to request
         req.user = users[0];
+        req.user.permissions = await getUserPermissions(req.user.user_id);
+        req.user.store_ids = await loadStoreScope(req.user);
+        req.sessionId = decoded.sid;
         console.log('✅ Authentication successful for user:', req.user.username);
         next();
     } catch (error) {
@@ -63,9 +80,10 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
-const authorize = (...roles) => {
+// Routes declare the permission they need; any one of several will do
+const requirePermission = (...permissions) => {
     return (req, res, next) => {
-        console.log('🔑 Authorization check - User:', req.user?.username, 'Type:', req.user?.user_type);
+        console.log('🔑 Permission check - User:', req.user?.username, 'Needs:', permissions);
 
         if (!req.user) {
             console.log('❌ No user in request');
@@ -75,9 +93,7 @@ const authorize = (...roles) => {
             });
         }
 
-        console.log('Allowed roles:', roles);
-
-        if (!roles.includes(req.user.user_type)) {
+        if (!permissions.some(permission => req.user.permissions.includes(permission))) {
             console.log('❌ User not authorized for this action');
             return res.status(403).json({
                 success: false,
@@ -90,4 +106,19 @@ const authorize = (...roles) => {
     };
 };
 
-module.exports = { authMiddleware, authorize };
\ No newline at end of file
+// Scheduled jobs are called by the platform scheduler with
+// `Authorization: Bearer <CRON_SECRET>` instead of a user token
+const cronAuth = (req, res, next) => {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!process.env.CRON_SECRET || token !== process.env.CRON_SECRET) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid job credentials'
+        });
+    }
+
+    next();
+};
+
+module.exports = { authMiddleware, requirePermission, cronAuth };
\ No newline at end of file
@@ -0,0 +1,57 @@
+-- Itemized sales ledger. Every sale is its own transaction with line items;
+-- the `sales` table becomes a per-store/per-day aggregate rebuilt from it.
+
+CREATE TABLE IF NOT EXISTS sale_transactions (
+    transaction_id INT AUTO_INCREMENT PRIMARY KEY,
+    store_id INT NOT NULL,
+    user_id INT NOT NULL,
+    sale_date DATE NOT NULL,
+    sale_time TIME NULL,
+    sale_datetime DATETIME NULL,
+    cash_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    upi_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    card_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    booking_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_customers INT NOT NULL DEFAULT 1,
+    product_description VARCHAR(255) NULL,
+    notes TEXT NULL,
+    status ENUM('completed', 'voided') NOT NULL DEFAULT 'completed',
+    voided_by INT NULL,
+    voided_at DATETIME NULL,
+    void_reason VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_sale_transactions_store_date (store_id, sale_date),
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+CREATE TABLE IF NOT EXISTS sale_items (
+    item_id INT AUTO_INCREMENT PRIMARY KEY,
+    transaction_id INT NOT NULL,
+    item_type ENUM('game', 'product', 'booking', 'other') NOT NULL DEFAULT 'game',
+    item_name VARCHAR(150) NOT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    unit_price DECIMAL(10,2) NOT NULL,
+    discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    line_total DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (transaction_id) REFERENCES sale_transactions(transaction_id) ON DELETE CASCADE
+);
+
+ALTER TABLE sales ADD COLUMN transaction_count INT NOT NULL DEFAULT 0;
+
+-- Carry every existing daily row over as a single transaction so that
+-- rebuilding the aggregate never loses historical amounts.
+INSERT INTO sale_transactions (
+    store_id, user_id, sale_date, sale_time, sale_datetime,
+    cash_amount, upi_amount, card_amount, booking_amount,
+    total_amount, total_customers, product_description, notes, created_at
+)
+SELECT
+    store_id, user_id, sale_date, sale_time, sale_datetime,
+    cash_amount, upi_amount, card_amount, booking_amount,
+    total_amount, total_customers, product_description, notes, created_at
+FROM sales;
+
+UPDATE sales SET transaction_count = 1;
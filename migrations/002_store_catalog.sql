@@ -0,0 +1,28 @@
+-- Store catalog: stores are managed through /api/stores instead of being
+-- hard-coded as ids 1-4 in reports and validation.
+
+ALTER TABLE stores
+    ADD COLUMN store_code VARCHAR(30) NULL AFTER store_name,
+    ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+    ADD COLUMN opening_time TIME NULL,
+    ADD COLUMN closing_time TIME NULL,
+    ADD COLUMN accepts_cash TINYINT(1) NOT NULL DEFAULT 1,
+    ADD COLUMN accepts_upi TINYINT(1) NOT NULL DEFAULT 1,
+    ADD COLUMN accepts_card TINYINT(1) NOT NULL DEFAULT 1,
+    ADD COLUMN accepts_booking TINYINT(1) NOT NULL DEFAULT 0;
+
+-- Codes keep the column prefixes the monthly pivot already returned. Every
+-- store now gets the same column set (<code>_total_sales, <code>_customers and
+-- one column per accepted channel, e.g. booking_booking); booking stores also
+-- keep the old <code>_total_amount column.
+UPDATE stores SET store_code = 'arcade' WHERE store_id = 1;
+UPDATE stores SET store_code = 'dreamcube' WHERE store_id = 2;
+UPDATE stores SET store_code = 'booking',
+    accepts_cash = 0, accepts_upi = 0, accepts_card = 0, accepts_booking = 1
+    WHERE store_id = 3;
+UPDATE stores SET store_code = 'toys' WHERE store_id = 4;
+UPDATE stores SET store_code = CONCAT('store_', store_id) WHERE store_code IS NULL;
+
+ALTER TABLE stores
+    MODIFY store_code VARCHAR(30) NOT NULL,
+    ADD UNIQUE KEY uq_stores_store_code (store_code);
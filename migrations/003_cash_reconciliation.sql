@@ -0,0 +1,23 @@
+-- Per-store register reconciliation: expected cash accounts for drawer-paid
+-- expenses and mid-day cash movements, and the breakdown is stored on close.
+
+ALTER TABLE expenses
+    ADD COLUMN payment_source ENUM('drawer_cash', 'upi', 'company_card', 'petty_cash')
+        NOT NULL DEFAULT 'drawer_cash';
+
+CREATE TABLE IF NOT EXISTS cash_movements (
+    movement_id INT AUTO_INCREMENT PRIMARY KEY,
+    register_id INT NOT NULL,
+    store_id INT NOT NULL,
+    movement_type ENUM('drop', 'float_topup') NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    notes VARCHAR(255) NULL,
+    user_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_cash_movements_register (register_id),
+    FOREIGN KEY (register_id) REFERENCES cash_register(register_id),
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+ALTER TABLE cash_register ADD COLUMN calculation_breakdown JSON NULL;
@@ -0,0 +1,4 @@
+-- Note-by-note drawer counts captured at register open and close
+ALTER TABLE cash_register
+    ADD COLUMN opening_denominations JSON NULL,
+    ADD COLUMN closing_denominations JSON NULL;
@@ -0,0 +1,15 @@
+-- Full cash movement sub-ledger: drops to the safe, pay-ins, vendor pay-outs
+-- and float transfers between store registers. Float top-ups become pay-ins.
+
+ALTER TABLE cash_movements
+    MODIFY movement_type ENUM('drop', 'float_topup', 'pay_in', 'pay_out', 'transfer_out', 'transfer_in') NOT NULL;
+
+UPDATE cash_movements SET movement_type = 'pay_in' WHERE movement_type = 'float_topup';
+UPDATE cash_movements SET notes = 'Float top-up' WHERE notes IS NULL;
+
+ALTER TABLE cash_movements
+    MODIFY movement_type ENUM('drop', 'pay_in', 'pay_out', 'transfer_out', 'transfer_in') NOT NULL,
+    CHANGE notes reason VARCHAR(255) NOT NULL,
+    ADD COLUMN counterpart_store_id INT NULL AFTER store_id,
+    ADD COLUMN linked_movement_id INT NULL,
+    ADD FOREIGN KEY (counterpart_store_id) REFERENCES stores(store_id);
@@ -0,0 +1,25 @@
+-- Register closes outside a store's variance tolerance wait for manager review
+ALTER TABLE stores
+    ADD COLUMN cash_variance_tolerance DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE cash_register
+    ADD COLUMN close_status ENUM('open', 'pending_review', 'recount_requested', 'closed')
+        NOT NULL DEFAULT 'open';
+
+UPDATE cash_register SET close_status = 'closed' WHERE closing_cash IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS cash_register_reviews (
+    review_id INT AUTO_INCREMENT PRIMARY KEY,
+    register_id INT NOT NULL,
+    decision ENUM('auto_approved', 'submitted_for_review', 'approved', 'recount_requested') NOT NULL,
+    reason VARCHAR(255) NULL,
+    closing_cash DECIMAL(10,2) NULL,
+    calculated_cash DECIMAL(10,2) NULL,
+    cash_difference DECIMAL(10,2) NULL,
+    variance_tolerance DECIMAL(10,2) NOT NULL,
+    user_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_cash_register_reviews_register (register_id),
+    FOREIGN KEY (register_id) REFERENCES cash_register(register_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
@@ -0,0 +1,13 @@
+-- Every reopen or correction of a register keeps the row as it was before
+CREATE TABLE IF NOT EXISTS cash_register_versions (
+    version_id INT AUTO_INCREMENT PRIMARY KEY,
+    register_id INT NOT NULL,
+    action ENUM('reopen', 'correction') NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    snapshot JSON NOT NULL,
+    user_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_cash_register_versions_register (register_id),
+    FOREIGN KEY (register_id) REFERENCES cash_register(register_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
@@ -0,0 +1,22 @@
+-- Managed expense categories plus vendor and receipt details on each expense
+CREATE TABLE IF NOT EXISTS expense_categories (
+    category_id INT AUTO_INCREMENT PRIMARY KEY,
+    category_name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO expense_categories (category_name) VALUES
+    ('Maintenance'),
+    ('Prizes / Redemption Stock'),
+    ('Cleaning'),
+    ('Utilities'),
+    ('Staff Food'),
+    ('Other');
+
+ALTER TABLE expenses
+    ADD COLUMN category_id INT NULL AFTER store_id,
+    ADD COLUMN vendor_name VARCHAR(150) NULL,
+    ADD COLUMN receipt_number VARCHAR(100) NULL,
+    ADD FOREIGN KEY (category_id) REFERENCES expense_categories(category_id);
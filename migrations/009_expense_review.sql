@@ -0,0 +1,15 @@
+-- Expense approval status and soft delete. Expenses recorded before review
+-- existed were already counted in reports, so they start out approved.
+ALTER TABLE expenses
+    ADD COLUMN status ENUM('submitted', 'approved', 'rejected') NOT NULL DEFAULT 'submitted',
+    ADD COLUMN reviewed_by INT NULL,
+    ADD COLUMN reviewed_at DATETIME NULL,
+    ADD COLUMN review_notes VARCHAR(255) NULL,
+    ADD COLUMN updated_at DATETIME NULL,
+    ADD COLUMN deleted_at DATETIME NULL,
+    ADD COLUMN deleted_by INT NULL,
+    ADD COLUMN delete_reason VARCHAR(255) NULL,
+    ADD FOREIGN KEY (reviewed_by) REFERENCES users(user_id),
+    ADD FOREIGN KEY (deleted_by) REFERENCES users(user_id);
+
+UPDATE expenses SET status = 'approved';
@@ -0,0 +1,40 @@
+-- Recurring expense templates posted by the scheduled job, and monthly
+-- budgets per store and category
+CREATE TABLE IF NOT EXISTS recurring_expenses (
+    template_id INT AUTO_INCREMENT PRIMARY KEY,
+    store_id INT NOT NULL,
+    category_id INT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    description VARCHAR(255) NOT NULL,
+    vendor_name VARCHAR(150) NULL,
+    payment_source ENUM('drawer_cash', 'upi', 'company_card', 'petty_cash') NOT NULL DEFAULT 'company_card',
+    frequency ENUM('weekly', 'monthly', 'quarterly', 'yearly') NOT NULL DEFAULT 'monthly',
+    start_date DATE NOT NULL,
+    end_date DATE NULL,
+    next_run_date DATE NOT NULL,
+    posted_count INT NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (category_id) REFERENCES expense_categories(category_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id)
+);
+
+ALTER TABLE expenses
+    ADD COLUMN recurring_template_id INT NULL,
+    ADD FOREIGN KEY (recurring_template_id) REFERENCES recurring_expenses(template_id);
+
+CREATE TABLE IF NOT EXISTS expense_budgets (
+    budget_id INT AUTO_INCREMENT PRIMARY KEY,
+    store_id INT NOT NULL,
+    category_id INT NOT NULL,
+    budget_month DATE NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    set_by INT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_expense_budgets (store_id, category_id, budget_month),
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (category_id) REFERENCES expense_categories(category_id),
+    FOREIGN KEY (set_by) REFERENCES users(user_id)
+);
@@ -0,0 +1,23 @@
+-- Registry of games/machines per store so problem reports point at a real asset
+CREATE TABLE IF NOT EXISTS assets (
+    asset_id INT AUTO_INCREMENT PRIMARY KEY,
+    store_id INT NOT NULL,
+    asset_name VARCHAR(150) NOT NULL,
+    asset_tag VARCHAR(50) NOT NULL UNIQUE,
+    vendor_name VARCHAR(150) NULL,
+    purchase_date DATE NULL,
+    warranty_expiry DATE NULL,
+    notes TEXT NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id),
+    INDEX idx_assets_store (store_id)
+);
+
+-- Older reports keep their free-text game_description and have no asset
+ALTER TABLE game_problems
+    ADD COLUMN asset_id INT NULL AFTER store_id,
+    ADD FOREIGN KEY (asset_id) REFERENCES assets(asset_id);
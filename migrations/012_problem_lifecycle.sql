@@ -0,0 +1,44 @@
+-- Configurable problem statuses, priority, assignee and a comment log per problem
+CREATE TABLE IF NOT EXISTS problem_statuses (
+    status_code VARCHAR(30) PRIMARY KEY,
+    status_name VARCHAR(100) NOT NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    -- Terminal statuses close the ticket (fixed_datetime is set on entry)
+    is_terminal TINYINT(1) NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO problem_statuses (status_code, status_name, sort_order, is_terminal) VALUES
+    ('reported', 'Reported', 10, 0),
+    ('triaged', 'Triaged', 20, 0),
+    ('assigned', 'Assigned', 30, 0),
+    ('in_progress', 'In Progress', 40, 0),
+    ('awaiting_parts', 'Awaiting Parts', 50, 0),
+    ('fixed', 'Fixed', 90, 1),
+    ('wont_fix', 'Won''t Fix', 100, 1);
+
+ALTER TABLE game_problems
+    MODIFY COLUMN status VARCHAR(30) NOT NULL DEFAULT 'reported',
+    ADD COLUMN priority ENUM('low', 'medium', 'high', 'critical') NOT NULL DEFAULT 'medium' AFTER status,
+    ADD COLUMN assigned_to INT NULL AFTER priority,
+    ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    ADD FOREIGN KEY (status) REFERENCES problem_statuses(status_code),
+    ADD FOREIGN KEY (assigned_to) REFERENCES users(user_id),
+    ADD INDEX idx_game_problems_status (status);
+
+-- Replies thread under parent_comment_id. Status, priority and assignee
+-- changes are logged here too so the ticket has a single timeline.
+CREATE TABLE IF NOT EXISTS problem_comments (
+    comment_id INT AUTO_INCREMENT PRIMARY KEY,
+    problem_id INT NOT NULL,
+    parent_comment_id INT NULL,
+    user_id INT NOT NULL,
+    comment_type ENUM('comment', 'status_change', 'assignment', 'priority_change') NOT NULL DEFAULT 'comment',
+    comment TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (problem_id) REFERENCES game_problems(problem_id),
+    FOREIGN KEY (parent_comment_id) REFERENCES problem_comments(comment_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    INDEX idx_problem_comments_problem (problem_id)
+);
@@ -0,0 +1,44 @@
+-- Out-of-service tracking and resolution SLAs for problems
+ALTER TABLE game_problems
+    ADD COLUMN out_of_service TINYINT(1) NOT NULL DEFAULT 0 AFTER priority;
+
+ALTER TABLE problem_comments
+    MODIFY COLUMN comment_type ENUM(
+        'comment', 'status_change', 'assignment', 'priority_change', 'service_change'
+    ) NOT NULL DEFAULT 'comment';
+
+-- One row per period a machine was out of service because of a problem.
+-- ended_at stays NULL while the machine is still down.
+CREATE TABLE IF NOT EXISTS problem_downtime (
+    downtime_id INT AUTO_INCREMENT PRIMARY KEY,
+    problem_id INT NOT NULL,
+    store_id INT NOT NULL,
+    asset_id INT NULL,
+    started_at DATETIME NOT NULL,
+    ended_at DATETIME NULL,
+    started_by INT NOT NULL,
+    ended_by INT NULL,
+    FOREIGN KEY (problem_id) REFERENCES game_problems(problem_id),
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (asset_id) REFERENCES assets(asset_id),
+    FOREIGN KEY (started_by) REFERENCES users(user_id),
+    FOREIGN KEY (ended_by) REFERENCES users(user_id),
+    INDEX idx_problem_downtime_period (started_at, ended_at)
+);
+
+-- Hours allowed from report to resolution, per priority. A ticket is at
+-- risk once at_risk_percent of that time has passed.
+CREATE TABLE IF NOT EXISTS problem_sla (
+    priority ENUM('low', 'medium', 'high', 'critical') PRIMARY KEY,
+    resolution_hours INT NOT NULL,
+    at_risk_percent INT NOT NULL DEFAULT 75,
+    updated_by INT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(user_id)
+);
+
+INSERT INTO problem_sla (priority, resolution_hours) VALUES
+    ('critical', 4),
+    ('high', 24),
+    ('medium', 72),
+    ('low', 168);
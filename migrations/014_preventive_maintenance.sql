@@ -0,0 +1,43 @@
+-- Preventive maintenance plans and the tasks generated from them
+ALTER TABLE assets
+    ADD COLUMN asset_type VARCHAR(50) NULL AFTER asset_tag,
+    ADD INDEX idx_assets_type (asset_type);
+
+-- A plan covers one asset, or every active asset of an asset_type
+-- (optionally limited to one store)
+CREATE TABLE IF NOT EXISTS maintenance_plans (
+    plan_id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_name VARCHAR(150) NOT NULL,
+    description TEXT NULL,
+    asset_id INT NULL,
+    asset_type VARCHAR(50) NULL,
+    store_id INT NULL,
+    frequency ENUM('weekly', 'monthly', 'quarterly', 'yearly') NOT NULL,
+    start_date DATE NOT NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (asset_id) REFERENCES assets(asset_id),
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id)
+);
+
+CREATE TABLE IF NOT EXISTS maintenance_tasks (
+    task_id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_id INT NOT NULL,
+    asset_id INT NOT NULL,
+    store_id INT NOT NULL,
+    due_date DATE NOT NULL,
+    status ENUM('pending', 'done', 'skipped') NOT NULL DEFAULT 'pending',
+    completed_at DATETIME NULL,
+    completed_by INT NULL,
+    notes TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (plan_id) REFERENCES maintenance_plans(plan_id),
+    FOREIGN KEY (asset_id) REFERENCES assets(asset_id),
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (completed_by) REFERENCES users(user_id),
+    UNIQUE KEY uniq_plan_asset_due (plan_id, asset_id, due_date),
+    INDEX idx_maintenance_tasks_due (status, due_date)
+);
@@ -0,0 +1,20 @@
+-- Files (photos, bill scans) attached to a problem or an expense.
+-- Exactly one of problem_id / expense_id is set. The file itself lives in
+-- the storage backend under storage_key.
+CREATE TABLE IF NOT EXISTS attachments (
+    attachment_id INT AUTO_INCREMENT PRIMARY KEY,
+    problem_id INT NULL,
+    expense_id INT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INT NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255) NULL,
+    uploaded_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (problem_id) REFERENCES game_problems(problem_id),
+    FOREIGN KEY (expense_id) REFERENCES expenses(expense_id),
+    FOREIGN KEY (uploaded_by) REFERENCES users(user_id),
+    INDEX idx_attachments_problem (problem_id),
+    INDEX idx_attachments_expense (expense_id)
+);
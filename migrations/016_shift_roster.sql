@@ -0,0 +1,41 @@
+-- Planned shifts (roster) to compare attendance against
+CREATE TABLE IF NOT EXISTS shift_templates (
+    template_id INT AUTO_INCREMENT PRIMARY KEY,
+    template_name VARCHAR(100) NOT NULL,
+    -- NULL means the template can be used at any store
+    store_id INT NULL,
+    start_time TIME NOT NULL,
+    -- An end_time at or before start_time ends on the next day
+    end_time TIME NOT NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id)
+);
+
+-- One shift per staff member per day. Drafts are only visible to managers
+-- until the week is published.
+CREATE TABLE IF NOT EXISTS shifts (
+    shift_id INT AUTO_INCREMENT PRIMARY KEY,
+    store_id INT NOT NULL,
+    user_id INT NOT NULL,
+    shift_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    template_id INT NULL,
+    notes VARCHAR(255) NULL,
+    status ENUM('draft', 'published') NOT NULL DEFAULT 'draft',
+    published_at DATETIME NULL,
+    published_by INT NULL,
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (template_id) REFERENCES shift_templates(template_id),
+    FOREIGN KEY (published_by) REFERENCES users(user_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id),
+    UNIQUE KEY uniq_shift_user_date (user_id, shift_date),
+    INDEX idx_shifts_store_date (store_id, shift_date)
+);
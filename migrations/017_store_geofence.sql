@@ -0,0 +1,13 @@
+-- Geofence per store for clock-in/out, and the distance recorded on each punch
+ALTER TABLE stores
+    ADD COLUMN geofence_latitude DECIMAL(10, 7) NULL,
+    ADD COLUMN geofence_longitude DECIMAL(10, 7) NULL,
+    ADD COLUMN geofence_radius_m INT NULL,
+    -- off: no check; flag: accept but mark for review; reject: refuse the punch
+    ADD COLUMN geofence_mode ENUM('off', 'flag', 'reject') NOT NULL DEFAULT 'off';
+
+ALTER TABLE staff_attendance
+    ADD COLUMN login_distance_m INT NULL,
+    ADD COLUMN login_outside_geofence TINYINT(1) NOT NULL DEFAULT 0,
+    ADD COLUMN logout_distance_m INT NULL,
+    ADD COLUMN logout_outside_geofence TINYINT(1) NOT NULL DEFAULT 0;
@@ -0,0 +1,23 @@
+-- Breaks within an attendance session and the worked time computed at clock-out
+CREATE TABLE IF NOT EXISTS attendance_breaks (
+    break_id INT AUTO_INCREMENT PRIMARY KEY,
+    attendance_id INT NOT NULL,
+    break_start DATETIME NOT NULL,
+    break_end DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (attendance_id) REFERENCES staff_attendance(attendance_id),
+    INDEX idx_attendance_breaks_attendance (attendance_id)
+);
+
+-- work_duration_minutes is clock-in to clock-out; net_work_minutes excludes
+-- breaks; overtime_minutes is net time above the daily threshold
+ALTER TABLE staff_attendance
+    ADD COLUMN break_minutes INT NOT NULL DEFAULT 0,
+    ADD COLUMN net_work_minutes INT NULL,
+    ADD COLUMN overtime_minutes INT NOT NULL DEFAULT 0;
+
+-- Backfill sessions that were already closed
+UPDATE staff_attendance SET
+    work_duration_minutes = TIMESTAMPDIFF(MINUTE, login_time, logout_time),
+    net_work_minutes = TIMESTAMPDIFF(MINUTE, login_time, logout_time)
+WHERE logout_time IS NOT NULL;
@@ -0,0 +1,35 @@
+-- Staff requests to fix missed or wrong punches, and auto-closed sessions
+CREATE TABLE IF NOT EXISTS attendance_regularizations (
+    request_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    -- NULL for a missed clock-in with no attendance row at all
+    attendance_id INT NULL,
+    store_id INT NOT NULL,
+    request_type ENUM('missed_clock_in', 'missed_clock_out', 'wrong_time') NOT NULL,
+    requested_login_time DATETIME NOT NULL,
+    requested_logout_time DATETIME NULL,
+    reason TEXT NOT NULL,
+    status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+    -- Punches as they were when the request was approved
+    original_login_time DATETIME NULL,
+    original_logout_time DATETIME NULL,
+    reviewed_by INT NULL,
+    reviewed_at DATETIME NULL,
+    review_notes VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (attendance_id) REFERENCES staff_attendance(attendance_id),
+    FOREIGN KEY (store_id) REFERENCES stores(store_id),
+    FOREIGN KEY (reviewed_by) REFERENCES users(user_id),
+    INDEX idx_regularizations_status (status)
+);
+
+-- original_* keep the first recorded punches once a record is regularized.
+-- Auto-closed sessions get logout_time = login_time, so no time is credited
+-- until the real clock-out is regularized.
+ALTER TABLE staff_attendance
+    ADD COLUMN auto_closed TINYINT(1) NOT NULL DEFAULT 0,
+    ADD COLUMN auto_closed_at DATETIME NULL,
+    ADD COLUMN regularized TINYINT(1) NOT NULL DEFAULT 0,
+    ADD COLUMN original_login_time DATETIME NULL,
+    ADD COLUMN original_logout_time DATETIME NULL;
@@ -0,0 +1,58 @@
+-- Leave types, yearly allowances per user and leave requests
+CREATE TABLE IF NOT EXISTS leave_types (
+    leave_type_id INT AUTO_INCREMENT PRIMARY KEY,
+    leave_code VARCHAR(30) NOT NULL UNIQUE,
+    leave_name VARCHAR(100) NOT NULL,
+    is_paid TINYINT(1) NOT NULL DEFAULT 1,
+    -- Days per year given to everyone unless overridden in leave_balances.
+    -- NULL means the type is not limited (weekly offs, unpaid leave).
+    annual_quota DECIMAL(5,1) NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO leave_types (leave_code, leave_name, is_paid, annual_quota) VALUES
+    ('annual', 'Annual Leave', 1, 12.0),
+    ('casual', 'Casual Leave', 1, 6.0),
+    ('sick', 'Sick Leave', 1, 6.0),
+    ('weekly_off', 'Weekly Off', 1, NULL),
+    ('unpaid', 'Unpaid Leave', 0, NULL);
+
+-- Per-user allowance for a year. Used days are worked out from approved
+-- requests rather than stored.
+CREATE TABLE IF NOT EXISTS leave_balances (
+    balance_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    leave_type_id INT NOT NULL,
+    leave_year SMALLINT NOT NULL,
+    allotted_days DECIMAL(5,1) NOT NULL,
+    updated_by INT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (leave_type_id) REFERENCES leave_types(leave_type_id),
+    FOREIGN KEY (updated_by) REFERENCES users(user_id),
+    UNIQUE KEY uniq_leave_balance (user_id, leave_type_id, leave_year)
+);
+
+-- A request covers start_date to end_date inclusive, within one calendar year.
+-- half_day is only allowed on single-day requests.
+CREATE TABLE IF NOT EXISTS leave_requests (
+    leave_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    leave_type_id INT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    half_day TINYINT(1) NOT NULL DEFAULT 0,
+    days DECIMAL(5,1) NOT NULL,
+    reason TEXT NULL,
+    status ENUM('pending', 'approved', 'rejected', 'cancelled') NOT NULL DEFAULT 'pending',
+    reviewed_by INT NULL,
+    reviewed_at DATETIME NULL,
+    review_notes VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (leave_type_id) REFERENCES leave_types(leave_type_id),
+    FOREIGN KEY (reviewed_by) REFERENCES users(user_id),
+    INDEX idx_leave_requests_user_dates (user_id, start_date, end_date),
+    INDEX idx_leave_requests_status (status)
+);
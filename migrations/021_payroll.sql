@@ -0,0 +1,30 @@
+-- Pay rates per employee. The latest rate effective on or before the end of a
+-- pay period is used for that period's timesheet.
+CREATE TABLE IF NOT EXISTS pay_rates (
+    rate_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    rate_type ENUM('hourly', 'monthly') NOT NULL,
+    rate DECIMAL(10,2) NOT NULL,
+    overtime_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.50,
+    effective_from DATE NOT NULL,
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id),
+    UNIQUE KEY uniq_pay_rate_user_date (user_id, effective_from)
+);
+
+-- Once a period is locked no attendance inside it can be created or changed
+CREATE TABLE IF NOT EXISTS payroll_periods (
+    period_id INT AUTO_INCREMENT PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status ENUM('open', 'locked') NOT NULL DEFAULT 'open',
+    locked_by INT NULL,
+    locked_at DATETIME NULL,
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (locked_by) REFERENCES users(user_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id),
+    UNIQUE KEY uniq_payroll_period (start_date, end_date)
+);
@@ -0,0 +1,18 @@
+-- One row per login. Access tokens carry the session_id and are rejected once
+-- the session is revoked; the refresh token is rotated on every use and only
+-- its hash is stored.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    session_id CHAR(36) PRIMARY KEY,
+    user_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL,
+    user_agent VARCHAR(255) NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    -- logout, revoked_by_user, revoked_by_admin, password_changed, token_reuse
+    revoked_reason VARCHAR(30) NULL,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    INDEX idx_auth_sessions_user (user_id, revoked_at)
+);
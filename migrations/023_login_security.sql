@@ -0,0 +1,30 @@
+-- Every login attempt, successful or not. Doubles as the login history.
+CREATE TABLE IF NOT EXISTS login_attempts (
+    attempt_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(100) NOT NULL,
+    -- NULL when the username does not match any user
+    user_id INT NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    success TINYINT(1) NOT NULL,
+    -- unknown_user, bad_password, locked
+    failure_reason VARCHAR(30) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    INDEX idx_login_attempts_username (username, created_at),
+    INDEX idx_login_attempts_ip (ip_address, created_at),
+    INDEX idx_login_attempts_created (created_at)
+);
+
+-- Consecutive failures per username and per IP. Reaching the limit locks the
+-- key for a period that doubles with each lockout until a successful login
+-- or an admin unlock resets it.
+CREATE TABLE IF NOT EXISTS login_lockouts (
+    key_type ENUM('username', 'ip') NOT NULL,
+    key_value VARCHAR(100) NOT NULL,
+    failed_count INT NOT NULL DEFAULT 0,
+    lockout_count INT NOT NULL DEFAULT 0,
+    locked_until DATETIME NULL,
+    last_failed_at DATETIME NULL,
+    PRIMARY KEY (key_type, key_value)
+);
@@ -0,0 +1,135 @@
+-- Named permissions grouped into editable roles, with per-user overrides.
+-- A user's role is users.role_code, falling back to users.user_type.
+CREATE TABLE IF NOT EXISTS permissions (
+    permission_code VARCHAR(50) PRIMARY KEY,
+    description VARCHAR(255) NOT NULL
+);
+
+INSERT INTO permissions (permission_code, description) VALUES
+    ('assets.view', 'View assets and their problem history'),
+    ('assets.manage', 'Create, edit and retire assets'),
+    ('attachments.view', 'Download attachments and thumbnails'),
+    ('attachments.delete', 'Delete attachments on records you may edit'),
+    ('attendance.clock', 'Clock in and out and record breaks'),
+    ('attendance.regularize', 'Request corrections to your own attendance'),
+    ('attendance.view', 'View attendance records and summaries'),
+    ('attendance.approve', 'Approve or reject attendance regularizations'),
+    ('cash.operate', 'Open a register and record cash movements'),
+    ('cash.close', 'Close a register with a drawer count'),
+    ('cash.view', 'View registers and cash movements'),
+    ('cash.review', 'Review register closes, recounts and register history'),
+    ('cash.correct', 'Reopen and correct closed registers'),
+    ('expenses.view', 'View expenses and expense categories'),
+    ('expenses.create', 'Record expenses and attach receipts'),
+    ('expenses.edit', 'Edit expenses'),
+    ('expenses.delete', 'Delete expenses'),
+    ('expenses.approve', 'Approve or reject expenses'),
+    ('expenses.categories', 'Manage expense categories'),
+    ('expenses.recurring', 'Manage recurring expenses'),
+    ('expenses.run_recurring', 'Post due recurring expenses on demand'),
+    ('expenses.budgets', 'View and set expense budgets'),
+    ('expenses.audit', 'View the expense audit log'),
+    ('leave.view', 'View leave types, balances and requests'),
+    ('leave.apply', 'Apply for and cancel leave'),
+    ('leave.approve', 'Approve or reject leave requests'),
+    ('leave.balances', 'Set leave allowances'),
+    ('leave.types', 'Manage leave types'),
+    ('maintenance.view', 'View maintenance plans and tasks'),
+    ('maintenance.complete', 'Complete maintenance tasks'),
+    ('maintenance.skip', 'Skip maintenance tasks'),
+    ('maintenance.plan', 'Manage maintenance plans'),
+    ('maintenance.generate', 'Generate due maintenance tasks on demand'),
+    ('mosques.import', 'Import mosque data'),
+    ('payroll.view', 'View pay periods and timesheets'),
+    ('payroll.periods', 'Create, lock and unlock pay periods'),
+    ('payroll.rates', 'View and set pay rates'),
+    ('problems.view', 'View problems, statuses, SLAs and comments'),
+    ('problems.report', 'Report problems and attach files'),
+    ('problems.comment', 'Comment on problems'),
+    ('problems.update_status', 'Move problems between statuses'),
+    ('problems.fix', 'Mark problems as fixed'),
+    ('problems.edit', 'Edit problem details'),
+    ('problems.delete', 'Delete problems'),
+    ('problems.configure', 'Manage problem statuses and SLA targets'),
+    ('reports.view', 'View management reports'),
+    ('sales.view', 'View sales and transactions'),
+    ('sales.create', 'Record sales'),
+    ('sales.edit', 'Edit recorded sales'),
+    ('sales.void', 'Void sale transactions'),
+    ('shifts.view_own', 'View your own published shifts'),
+    ('shifts.manage', 'Plan, publish and edit the shift roster'),
+    ('stores.view', 'View stores'),
+    ('stores.manage', 'Create, edit and close stores'),
+    ('users.manage', 'Manage users, their passwords and sessions'),
+    ('users.security', 'View login history and clear lockouts'),
+    ('roles.manage', 'Edit roles and per-user permission overrides');
+
+CREATE TABLE IF NOT EXISTS roles (
+    role_code VARCHAR(30) PRIMARY KEY,
+    role_name VARCHAR(100) NOT NULL,
+    -- The built-in roles can be edited but not deleted
+    is_system TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO roles (role_code, role_name, is_system) VALUES
+    ('staff', 'Staff', 1),
+    ('manager', 'Manager', 1),
+    ('admin', 'Admin', 1);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_code VARCHAR(30) NOT NULL,
+    permission_code VARCHAR(50) NOT NULL,
+    PRIMARY KEY (role_code, permission_code),
+    FOREIGN KEY (role_code) REFERENCES roles(role_code) ON DELETE CASCADE,
+    FOREIGN KEY (permission_code) REFERENCES permissions(permission_code) ON DELETE CASCADE
+);
+
+-- The built-in roles start with exactly the access the old role lists gave
+INSERT INTO role_permissions (role_code, permission_code)
+SELECT 'staff', permission_code FROM permissions
+WHERE permission_code IN (
+    'assets.view', 'attachments.view', 'attachments.delete',
+    'attendance.clock', 'attendance.regularize', 'attendance.view',
+    'cash.operate', 'cash.close', 'cash.view',
+    'expenses.view', 'expenses.create', 'expenses.edit', 'expenses.delete',
+    'leave.view', 'leave.apply',
+    'maintenance.view', 'maintenance.complete',
+    'problems.view', 'problems.report', 'problems.comment', 'problems.update_status',
+    'sales.view', 'sales.create',
+    'shifts.view_own', 'stores.view'
+);
+
+INSERT INTO role_permissions (role_code, permission_code)
+SELECT 'manager', permission_code FROM role_permissions WHERE role_code = 'staff'
+UNION
+SELECT 'manager', permission_code FROM permissions
+WHERE permission_code IN (
+    'assets.manage', 'attendance.approve', 'cash.review', 'cash.correct',
+    'expenses.approve', 'expenses.categories', 'expenses.recurring', 'expenses.budgets', 'expenses.audit',
+    'leave.approve', 'leave.balances',
+    'maintenance.skip', 'maintenance.plan',
+    'payroll.view',
+    'problems.fix', 'problems.edit',
+    'reports.view', 'sales.edit', 'sales.void', 'shifts.manage'
+);
+
+INSERT INTO role_permissions (role_code, permission_code)
+SELECT 'admin', permission_code FROM permissions;
+
+-- is_granted = 1 adds a permission the role lacks, 0 takes one away
+CREATE TABLE IF NOT EXISTS user_permission_overrides (
+    user_id INT NOT NULL,
+    permission_code VARCHAR(50) NOT NULL,
+    is_granted TINYINT(1) NOT NULL,
+    granted_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, permission_code),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (permission_code) REFERENCES permissions(permission_code) ON DELETE CASCADE,
+    FOREIGN KEY (granted_by) REFERENCES users(user_id)
+);
+
+ALTER TABLE users
+    ADD COLUMN role_code VARCHAR(30) NULL AFTER user_type,
+    ADD FOREIGN KEY (role_code) REFERENCES roles(role_code);
@@ -0,0 +1,26 @@
+-- Users are assigned to one or more stores; sales, cash, expenses, problems
+-- and attendance are scoped to those stores. Holders of stores.all_access
+-- work across every store without being assigned.
+CREATE TABLE IF NOT EXISTS user_stores (
+    user_id INT NOT NULL,
+    store_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, store_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (store_id) REFERENCES stores(store_id)
+);
+
+-- Carry over the old assigned_store: a store type, or 'all' for every store
+INSERT IGNORE INTO user_stores (user_id, store_id)
+SELECT u.user_id, s.store_id
+FROM users u
+JOIN stores s ON u.assigned_store = 'all' OR s.store_type = u.assigned_store;
+
+ALTER TABLE users DROP COLUMN assigned_store;
+
+INSERT INTO permissions (permission_code, description) VALUES
+    ('stores.all_access', 'Work with every store without being assigned to it');
+
+INSERT INTO role_permissions (role_code, permission_code) VALUES
+    ('manager', 'stores.all_access'),
+    ('admin', 'stores.all_access');
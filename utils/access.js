@@ -0,0 +1,103 @@
+const db = require('./database');
+
+// Users with stores.all_access work across every store; everyone else only
+// in the stores assigned to them in user_stores.
+const ALL_STORES_PERMISSION = 'stores.all_access';
+
+const STORE_ACCESS_DENIED = 'You do not have access to this store';
+
+async function getUserStoreIds(userId) {
+    const rows = await db.query(
+        'SELECT store_id FROM user_stores WHERE user_id = ? ORDER BY store_id',
+        [userId]
+    );
+    return rows.map(row => row.store_id);
+}
+
+// Assigned store ids keyed by user_id, for listing users
+async function getStoreAssignments() {
+    const rows = await db.query('SELECT user_id, store_id FROM user_stores ORDER BY store_id');
+    return rows.reduce((acc, row) => {
+        (acc[row.user_id] = acc[row.user_id] || []).push(row.store_id);
+        return acc;
+    }, {});
+}
+
+// Ids from storeIds that are not stores at all
+async function findUnknownStores(storeIds) {
+    const known = (await db.query('SELECT store_id FROM stores')).map(row => row.store_id);
+    return storeIds.filter(id => !known.includes(Number(id)));
+}
+
+async function replaceUserStores(conn, userId, storeIds) {
+    await conn.execute('DELETE FROM user_stores WHERE user_id = ?', [userId]);
+    for (const storeId of new Set(storeIds.map(Number))) {
+        await conn.execute(
+            'INSERT INTO user_stores (user_id, store_id) VALUES (?, ?)',
+            [userId, storeId]
+        );
+    }
+}
+
+// Replace a user's store assignments inside a transaction. Pass conn to use
+// the caller's transaction instead of opening one.
+async function setUserStores(userId, storeIds, conn = null) {
+    if (conn) {
+        return replaceUserStores(conn, userId, storeIds);
+    }
+
+    try {
+        conn = await db.getConnection();
+        await conn.beginTransaction();
+
+        await replaceUserStores(conn, userId, storeIds);
+
+        await conn.commit();
+    } catch (error) {
+        if (conn) await conn.rollback();
+        throw error;
+    } finally {
+        if (conn) conn.release();
+    }
+}
+
+// Store ids a user may work with, or null for every store. Needs
+// user.permissions (set by authMiddleware).
+async function loadStoreScope(user) {
+    return user.permissions.includes(ALL_STORES_PERMISSION)
+        ? null
+        : getUserStoreIds(user.user_id);
+}
+
+function canAccessStore(user, storeId) {
+    return user.store_ids === null || user.store_ids.includes(Number(storeId));
+}
+
+// SQL restricting `column` to the user's stores, to append to a WHERE clause.
+// Placeholders are expanded because pool.execute can't bind an array to IN (?).
+function storeScope(user, column) {
+    if (user.store_ids === null) {
+        return { sql: '', params: [] };
+    }
+
+    if (user.store_ids.length === 0) {
+        return { sql: ' AND 1 = 0', params: [] };
+    }
+
+    return {
+        sql: ` AND ${column} IN (${user.store_ids.map(() => '?').join(', ')})`,
+        params: [...user.store_ids]
+    };
+}
+
+module.exports = {
+    ALL_STORES_PERMISSION,
+    STORE_ACCESS_DENIED,
+    getUserStoreIds,
+    getStoreAssignments,
+    findUnknownStores,
+    setUserStores,
+    loadStoreScope,
+    canAccessStore,
+    storeScope
+};
@@ -0,0 +1,31 @@
+const db = require('./database');
+
+// Shape an assets row for API responses
+function formatAsset(asset) {
+    const today = new Date().toISOString().split('T')[0];
+    const expiry = asset.warranty_expiry instanceof Date
+        ? asset.warranty_expiry.toISOString().split('T')[0]
+        : asset.warranty_expiry;
+
+    return {
+        ...asset,
+        is_active: !!asset.is_active,
+        under_warranty: !!expiry && expiry >= today
+    };
+}
+
+async function getAsset(assetId) {
+    const assets = await db.query(
+        `SELECT a.*, s.store_name
+         FROM assets a
+         JOIN stores s ON a.store_id = s.store_id
+         WHERE a.asset_id = ?`,
+        [assetId]
+    );
+    return assets[0] || null;
+}
+
+module.exports = {
+    formatAsset,
+    getAsset
+};
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const db = require('./database');
+
+// Limits and storage location are configured through the environment:
+//   ATTACHMENT_STORAGE        storage backend ('local' is the only one for now)
+//   ATTACHMENT_DIR            directory for the local backend. It must be writable
+//                             and persistent: on serverless hosts such as Vercel
+//                             the app directory is read-only and /tmp is discarded
+//                             between invocations. Without it the rest of the API
+//                             works and file uploads and downloads answer 503.
+//   ATTACHMENT_MAX_MB         maximum size of a single file
+//   ATTACHMENT_MAX_FILES      maximum files per upload request
+//   ATTACHMENT_ALLOWED_TYPES  comma-separated MIME types
+const MAX_FILE_BYTES = (parseFloat(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+const MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES) || 5;
+const ALLOWED_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES ||
+    'image/jpeg,image/png,image/webp,image/heic,application/pdf')
+    .split(',').map(type => type.trim()).filter(Boolean);
+
+const THUMBNAIL_SIZE = 320;
+
+// Stores files as plain files under a base directory. Keys are relative paths.
+function localDiskStorage(baseDir) {
+    const resolve = (key) => {
+        const fullPath = path.resolve(baseDir, key);
+        if (!fullPath.startsWith(path.resolve(baseDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return fullPath;
+    };
+
+    return {
+        async save(key, buffer) {
+            const fullPath = resolve(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.promises.writeFile(fullPath, buffer);
+        },
+        createReadStream(key) {
+            return fs.createReadStream(resolve(key));
+        },
+        async remove(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+}
+
+const STORAGE_BACKENDS = {
+    local: () => {
+        const baseDir = process.env.ATTACHMENT_DIR;
+        if (!baseDir) {
+            throw new Error('ATTACHMENT_DIR is not set');
+        }
+
+        fs.mkdirSync(baseDir, { recursive: true });
+        fs.accessSync(baseDir, fs.constants.W_OK);
+        return localDiskStorage(baseDir);
+    }
+};
+
+const STORAGE_UNAVAILABLE = 'File storage is not configured on this server';
+
+let storage = null;
+
+// The configured backend, built on first use so a missing or read-only
+// storage location only disables attachments. Returns null if unavailable.
+function getStorage() {
+    if (storage) return storage;
+
+    const backendName = process.env.ATTACHMENT_STORAGE || 'local';
+    try {
+        if (!STORAGE_BACKENDS[backendName]) {
+            throw new Error(`Unknown ATTACHMENT_STORAGE "${backendName}". Available: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+        }
+        storage = STORAGE_BACKENDS[backendName]();
+    } catch (error) {
+        console.error('Attachment storage unavailable:', error.message);
+    }
+    return storage;
+}
+
+// Answer 503 when there is nowhere to read or write files
+function requireStorage(req, res, next) {
+    if (!getStorage()) {
+        return res.status(503).json({
+            success: false,
+            message: STORAGE_UNAVAILABLE
+        });
+    }
+    next();
+}
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_BYTES, files: MAX_FILES },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_TYPES.includes(file.mimetype)) {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = `File type ${file.mimetype} is not allowed. Allowed: ${ALLOWED_TYPES.join(', ')}`;
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+// Accept up to MAX_FILES files in the multipart field "files". JSON requests
+// pass straight through. Upload problems are answered with a 400, and
+// multipart requests with a 503 when file storage is not configured.
+function acceptFiles(req, res, next) {
+    if (req.is('multipart/form-data')) {
+        return requireStorage(req, res, () => receiveFiles(req, res, next));
+    }
+    next();
+}
+
+function receiveFiles(req, res, next) {
+    upload.array('files', MAX_FILES)(req, res, (error) => {
+        if (!error) return next();
+
+        if (error instanceof multer.MulterError) {
+            const messages = {
+                LIMIT_FILE_SIZE: `Files must be at most ${MAX_FILE_BYTES / 1024 / 1024} MB`,
+                LIMIT_FILE_COUNT: `At most ${MAX_FILES} files can be uploaded at once`
+            };
+            return res.status(400).json({
+                success: false,
+                message: messages[error.code] || error.message
+            });
+        }
+        next(error);
+    });
+}
+
+// Store uploaded files (from acceptFiles) against a problem or an expense.
+// `parent` is { problemId } or { expenseId }. Returns the new attachment ids.
+// If any file fails, the files and rows this call already saved are removed.
+async function saveAttachments(files = [], parent, userId) {
+    const parentDir = parent.problemId ? `problems/${parent.problemId}` : `expenses/${parent.expenseId}`;
+    const saved = [];
+
+    if (files.length > 0 && !getStorage()) {
+        throw new Error(STORAGE_UNAVAILABLE);
+    }
+
+    try {
+        for (const file of files) {
+            const name = crypto.randomUUID();
+            const attachment = {
+                attachment_id: null,
+                storage_key: `${parentDir}/${name}${path.extname(file.originalname).toLowerCase()}`,
+                thumbnail_key: null
+            };
+            saved.push(attachment);
+            await getStorage().save(attachment.storage_key, file.buffer);
+
+            if (file.mimetype.startsWith('image/')) {
+                try {
+                    const thumbnail = await sharp(file.buffer)
+                        .rotate()
+                        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                        .jpeg({ quality: 80 })
+                        .toBuffer();
+                    attachment.thumbnail_key = `${parentDir}/${name}_thumb.jpg`;
+                    await getStorage().save(attachment.thumbnail_key, thumbnail);
+                } catch (error) {
+                    // Keep the original even if it cannot be decoded (e.g. HEIC without codec support)
+                    console.error('Thumbnail error:', error.message);
+                }
+            }
+
+            const result = await db.query(
+                `INSERT INTO attachments (
+                    problem_id, expense_id, original_name, mime_type, size_bytes,
+                    storage_key, thumbnail_key, uploaded_by
+                 ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    parent.problemId || null,
+                    parent.expenseId || null,
+                    file.originalname,
+                    file.mimetype,
+                    file.size,
+                    attachment.storage_key,
+                    attachment.thumbnail_key,
+                    userId
+                ]
+            );
+            attachment.attachment_id = result.insertId;
+        }
+    } catch (error) {
+        for (const attachment of saved) {
+            try {
+                if (attachment.attachment_id) {
+                    await db.query('DELETE FROM attachments WHERE attachment_id = ?', [attachment.attachment_id]);
+                }
+                await removeAttachmentFiles(attachment);
+            } catch (cleanupError) {
+                console.error('Attachment cleanup error:', cleanupError.message);
+            }
+        }
+        throw error;
+    }
+
+    return saved.map(attachment => attachment.attachment_id);
+}
+
+// Attachment metadata for API responses, with download links
+function formatAttachment(attachment) {
+    const { storage_key, thumbnail_key, ...rest } = attachment;
+    return {
+        ...rest,
+        download_url: `/api/attachments/${attachment.attachment_id}/download`,
+        thumbnail_url: thumbnail_key ? `/api/attachments/${attachment.attachment_id}/thumbnail` : null
+    };
+}
+
+async function listAttachments({ problemId, expenseId }) {
+    const attachments = await db.query(
+        `SELECT at.*, u.full_name as uploaded_by_name
+         FROM attachments at
+         JOIN users u ON at.uploaded_by = u.user_id
+         WHERE ${problemId ? 'at.problem_id = ?' : 'at.expense_id = ?'}
+         ORDER BY at.created_at, at.attachment_id`,
+        [problemId || expenseId]
+    );
+    return attachments.map(formatAttachment);
+}
+
+// Attachment with the store of the problem or expense it belongs to
+async function getAttachment(attachmentId) {
+    const attachments = await db.query(
+        `SELECT at.*, COALESCE(p.store_id, e.store_id) AS store_id
+         FROM attachments at
+         LEFT JOIN game_problems p ON at.problem_id = p.problem_id
+         LEFT JOIN expenses e ON at.expense_id = e.expense_id
+         WHERE at.attachment_id = ?`,
+        [attachmentId]
+    );
+    return attachments[0] || null;
+}
+
+async function removeAttachmentFiles(attachment) {
+    const store = getStorage();
+    if (!store) {
+        console.error('Attachment files not removed, storage unavailable:', attachment.storage_key);
+        return;
+    }
+
+    await store.remove(attachment.storage_key);
+    if (attachment.thumbnail_key) {
+        await store.remove(attachment.thumbnail_key);
+    }
+}
+
+async function deleteAttachment(attachment) {
+    await db.query('DELETE FROM attachments WHERE attachment_id = ?', [attachment.attachment_id]);
+    await removeAttachmentFiles(attachment);
+}
+
+// Delete the attachment rows of a problem or expense inside the caller's
+// transaction (conn) when the parent is deleted. Returns the deleted rows so
+// their files can be removed with removeAttachmentFiles once it commits.
+async function deleteAttachmentRowsFor(conn, { problemId, expenseId }) {
+    const column = problemId ? 'problem_id' : 'expense_id';
+    const [attachments] = await conn.execute(
+        `SELECT * FROM attachments WHERE ${column} = ?`,
+        [problemId || expenseId]
+    );
+    await conn.execute(`DELETE FROM attachments WHERE ${column} = ?`, [problemId || expenseId]);
+    return attachments;
+}
+
+module.exports = {
+    getStorage,
+    requireStorage,
+    acceptFiles,
+    saveAttachments,
+    formatAttachment,
+    listAttachments,
+    getAttachment,
+    deleteAttachment,
+    deleteAttachmentRowsFor,
+    removeAttachmentFiles
+};
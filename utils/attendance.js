@@ -0,0 +1,137 @@
+const db = require('./database');
+
+// Net worked minutes per day above which time counts as overtime
+const OVERTIME_THRESHOLD_MINUTES = parseInt(process.env.OVERTIME_THRESHOLD_MINUTES) || 540;
+
+// Open sessions older than this are closed by the auto-close job
+const STALE_SESSION_HOURS = parseInt(process.env.STALE_SESSION_HOURS) || 16;
+
+const REGULARIZATION_TYPES = ['missed_clock_in', 'missed_clock_out', 'wrong_time'];
+
+async function getOpenBreak(attendanceId) {
+    const breaks = await db.query(
+        'SELECT * FROM attendance_breaks WHERE attendance_id = ? AND break_end IS NULL',
+        [attendanceId]
+    );
+    return breaks[0] || null;
+}
+
+// Recompute worked time for a closed session from its clock times and breaks.
+// A break still open at clock-out is ended at the clock-out time.
+// Pass conn to run inside the caller's transaction.
+async function finalizeAttendance(attendanceId, conn = null) {
+    const query = conn
+        ? async (sql, params) => (await conn.execute(sql, params))[0]
+        : (sql, params) => db.query(sql, params);
+
+    await query(
+        `UPDATE attendance_breaks b
+         JOIN staff_attendance a ON b.attendance_id = a.attendance_id
+         SET b.break_end = a.logout_time
+         WHERE b.attendance_id = ? AND b.break_end IS NULL AND a.logout_time IS NOT NULL`,
+        [attendanceId]
+    );
+
+    // MySQL applies single-table SET assignments left to right, so later
+    // columns see the values computed before them
+    await query(
+        `UPDATE staff_attendance SET
+            work_duration_minutes = TIMESTAMPDIFF(MINUTE, login_time, logout_time),
+            break_minutes = (
+                SELECT COALESCE(SUM(TIMESTAMPDIFF(MINUTE,
+                    GREATEST(b.break_start, login_time), LEAST(b.break_end, logout_time))), 0)
+                FROM attendance_breaks b
+                WHERE b.attendance_id = staff_attendance.attendance_id
+                  AND b.break_end > b.break_start
+            ),
+            net_work_minutes = GREATEST(work_duration_minutes - break_minutes, 0)
+         WHERE attendance_id = ? AND logout_time IS NOT NULL`,
+        [attendanceId]
+    );
+
+    // The threshold applies to the whole day, so overtime is spread over the
+    // day's closed sessions in clock-in order: each session carries the part of
+    // its net time past the threshold, and the day's rows sum to its overtime.
+    const daySessions = await query(
+        `SELECT d.attendance_id, d.net_work_minutes
+         FROM staff_attendance a
+         JOIN staff_attendance d ON d.user_id = a.user_id AND d.attendance_date = a.attendance_date
+         WHERE a.attendance_id = ? AND d.logout_time IS NOT NULL
+         ORDER BY d.login_time, d.attendance_id`,
+        [attendanceId]
+    );
+
+    let workedSoFar = 0;
+    for (const session of daySessions) {
+        const net = session.net_work_minutes || 0;
+        const overtime = Math.min(Math.max(workedSoFar + net - OVERTIME_THRESHOLD_MINUTES, 0), net);
+        workedSoFar += net;
+
+        await query(
+            'UPDATE staff_attendance SET overtime_minutes = ? WHERE attendance_id = ?',
+            [overtime, session.attendance_id]
+        );
+    }
+
+    const rows = await query(
+        `SELECT work_duration_minutes, break_minutes, net_work_minutes, overtime_minutes
+         FROM staff_attendance WHERE attendance_id = ?`,
+        [attendanceId]
+    );
+    return rows[0] || null;
+}
+
+// Close sessions left open for more than STALE_SESSION_HOURS. They are closed
+// at their clock-in time (no worked time credited) and flagged auto_closed so
+// the staff member can submit a regularization with the real clock-out.
+// Returns the number of sessions closed.
+async function autoCloseStaleSessions() {
+    const stale = await db.query(
+        `SELECT attendance_id FROM staff_attendance
+         WHERE logout_time IS NULL AND login_time < NOW() - INTERVAL ? HOUR`,
+        [STALE_SESSION_HOURS]
+    );
+
+    for (const { attendance_id } of stale) {
+        await db.query(
+            `UPDATE staff_attendance SET
+                logout_time = login_time, auto_closed = 1, auto_closed_at = NOW()
+             WHERE attendance_id = ? AND logout_time IS NULL`,
+            [attendance_id]
+        );
+        await finalizeAttendance(attendance_id);
+    }
+
+    return stale.length;
+}
+
+async function getRegularization(requestId) {
+    const requests = await db.query(
+        `SELECT
+            r.*,
+            DATE_FORMAT(r.requested_login_time, '%Y-%m-%d %H:%i:%s') as requested_login_time,
+            DATE_FORMAT(r.requested_logout_time, '%Y-%m-%d %H:%i:%s') as requested_logout_time,
+            DATE_FORMAT(r.original_login_time, '%Y-%m-%d %H:%i:%s') as original_login_time,
+            DATE_FORMAT(r.original_logout_time, '%Y-%m-%d %H:%i:%s') as original_logout_time,
+            u.full_name,
+            s.store_name,
+            rv.full_name as reviewed_by_name
+         FROM attendance_regularizations r
+         JOIN users u ON r.user_id = u.user_id
+         JOIN stores s ON r.store_id = s.store_id
+         LEFT JOIN users rv ON r.reviewed_by = rv.user_id
+         WHERE r.request_id = ?`,
+        [requestId]
+    );
+    return requests[0] || null;
+}
+
+module.exports = {
+    OVERTIME_THRESHOLD_MINUTES,
+    STALE_SESSION_HOURS,
+    REGULARIZATION_TYPES,
+    getOpenBreak,
+    finalizeAttendance,
+    autoCloseStaleSessions,
+    getRegularization
+};
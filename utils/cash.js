@@ -0,0 +1,172 @@
+const db = require('./database');
+
+// transfer_in entries are only created as the other side of a transfer_out
+const MOVEMENT_TYPES = ['drop', 'pay_in', 'pay_out', 'transfer_out', 'transfer_in'];
+const RECORDABLE_MOVEMENT_TYPES = ['drop', 'pay_in', 'pay_out', 'transfer_out'];
+
+// Rupee notes are counted by quantity; coins are entered as a single amount
+const NOTE_DENOMINATIONS = ['2000', '500', '200', '100', '50', '20', '10'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Validate a drawer count such as { "500": 4, "100": 12, "coins": 37 } and
+// check it against the declared total when one is given.
+// Returns { error } or { denominations, total }
+function parseDenominations(denominations, declaredTotal) {
+    if (typeof denominations !== 'object' || denominations === null || Array.isArray(denominations)) {
+        return { error: 'Denominations must be an object of note counts' };
+    }
+
+    const allowed = [...NOTE_DENOMINATIONS, 'coins'];
+    const unknown = Object.keys(denominations).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        return { error: `Unknown denominations: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}` };
+    }
+
+    const normalized = {};
+    let total = 0;
+
+    for (const note of NOTE_DENOMINATIONS) {
+        const count = Number(denominations[note] ?? 0);
+        if (!Number.isInteger(count) || count < 0) {
+            return { error: `Count for ₹${note} notes must be a whole number` };
+        }
+        normalized[note] = count;
+        total += Number(note) * count;
+    }
+
+    const coins = round2(Number(denominations.coins ?? 0));
+    if (isNaN(coins) || coins < 0) {
+        return { error: 'coins must be a non-negative amount' };
+    }
+    normalized.coins = coins;
+    total = round2(total + coins);
+
+    if (declaredTotal !== undefined && declaredTotal !== null &&
+        Math.abs(round2(parseFloat(declaredTotal)) - total) > 0.009) {
+        return { error: `Denominations add up to ${total}, which does not match the declared ${declaredTotal}` };
+    }
+
+    return { denominations: normalized, total };
+}
+
+// Work out how much cash should be in a register's drawer.
+// `register` needs register_id, store_id, opening_cash and register_date (YYYY-MM-DD).
+// Returns the breakdown that is stored on the register at close.
+async function calculateExpectedCash(register) {
+    const { register_id, store_id, register_date } = register;
+
+    const [sales] = await db.query(
+        `SELECT COALESCE(SUM(cash_amount), 0) AS cash_sales
+         FROM sales WHERE store_id = ? AND sale_date = ?`,
+        [store_id, register_date]
+    );
+
+    // Expenses still awaiting approval count too: the cash has already left the drawer
+    const [expenses] = await db.query(
+        `SELECT COALESCE(SUM(amount), 0) AS cash_expenses, COUNT(*) AS expense_count
+         FROM expenses
+         WHERE store_id = ? AND expense_date = ? AND payment_source = 'drawer_cash'
+           AND deleted_at IS NULL AND status <> 'rejected'`,
+        [store_id, register_date]
+    );
+
+    const movements = await db.query(
+        `SELECT movement_type, COALESCE(SUM(amount), 0) AS total
+         FROM cash_movements WHERE register_id = ?
+         GROUP BY movement_type`,
+        [register_id]
+    );
+    const movementTotal = (type) =>
+        parseFloat(movements.find(m => m.movement_type === type)?.total || 0);
+
+    const opening_cash = parseFloat(register.opening_cash) || 0;
+    const cash_sales = parseFloat(sales.cash_sales);
+    const cash_expenses = parseFloat(expenses.cash_expenses);
+    const cash_drops = movementTotal('drop');
+    const pay_ins = movementTotal('pay_in');
+    const pay_outs = movementTotal('pay_out');
+    const transfers_out = movementTotal('transfer_out');
+    const transfers_in = movementTotal('transfer_in');
+
+    return {
+        opening_cash,
+        cash_sales,
+        cash_expenses,
+        cash_expense_count: expenses.expense_count,
+        cash_drops,
+        pay_ins,
+        pay_outs,
+        transfers_out,
+        transfers_in,
+        expected_cash: round2(
+            opening_cash + cash_sales - cash_expenses
+            - cash_drops + pay_ins - pay_outs
+            - transfers_out + transfers_in
+        )
+    };
+}
+
+// Append a decision to a register's close review trail
+// Pass conn to write the review inside the caller's transaction
+async function recordCloseReview(register, decision, { reason = null, userId, tolerance }, conn = null) {
+    const sql = `INSERT INTO cash_register_reviews (
+            register_id, decision, reason, closing_cash, calculated_cash,
+            cash_difference, variance_tolerance, user_id
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+    const params = [
+        register.register_id,
+        decision,
+        reason,
+        register.closing_cash,
+        register.calculated_cash,
+        register.cash_difference,
+        tolerance,
+        userId
+    ];
+
+    if (conn) {
+        await conn.execute(sql, params);
+    } else {
+        await db.query(sql, params);
+    }
+}
+
+// The user who submitted the close that is waiting for review
+async function getPendingCloser(registerId) {
+    const reviews = await db.query(
+        `SELECT user_id FROM cash_register_reviews
+         WHERE register_id = ? AND decision = 'submitted_for_review'
+         ORDER BY created_at DESC, review_id DESC
+         LIMIT 1`,
+        [registerId]
+    );
+    return reviews[0]?.user_id ?? null;
+}
+
+// Keep a copy of a register row before a manager reopens or corrects it.
+// Pass conn to write the version inside the caller's transaction.
+async function saveRegisterVersion(register, action, { reason, userId }, conn = null) {
+    const { cash_variance_tolerance, register_day, ...row } = register;
+    const sql = `INSERT INTO cash_register_versions (register_id, action, reason, snapshot, user_id)
+         VALUES (?, ?, ?, ?, ?)`;
+    const params = [register.register_id, action, reason, JSON.stringify(row), userId];
+
+    if (conn) {
+        await conn.execute(sql, params);
+    } else {
+        await db.query(sql, params);
+    }
+}
+
+module.exports = {
+    MOVEMENT_TYPES,
+    RECORDABLE_MOVEMENT_TYPES,
+    NOTE_DENOMINATIONS,
+    round2,
+    parseDenominations,
+    calculateExpectedCash,
+    recordCloseReview,
+    getPendingCloser,
+    saveRegisterVersion
+};
@@ -0,0 +1,294 @@
+const db = require('./database');
+const { storeScope } = require('./access');
+
+const PAYMENT_SOURCES = ['drawer_cash', 'upi', 'company_card', 'petty_cash'];
+const EXPENSE_STATUSES = ['submitted', 'approved', 'rejected'];
+const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+async function getCategory(categoryId) {
+    const categories = await db.query(
+        'SELECT * FROM expense_categories WHERE category_id = ?',
+        [categoryId]
+    );
+    return categories[0] || null;
+}
+
+// Expense row joined with its store, category and submitter names
+async function getExpense(expenseId) {
+    const expenses = await db.query(
+        `SELECT
+            e.*,
+            s.store_name,
+            c.category_name,
+            u.full_name,
+            ru.full_name AS reviewed_by_name,
+            du.full_name AS deleted_by_name
+         FROM expenses e
+         JOIN stores s ON e.store_id = s.store_id
+         JOIN users u ON e.user_id = u.user_id
+         LEFT JOIN expense_categories c ON e.category_id = c.category_id
+         LEFT JOIN users ru ON e.reviewed_by = ru.user_id
+         LEFT JOIN users du ON e.deleted_by = du.user_id
+         WHERE e.expense_id = ?`,
+        [expenseId]
+    );
+    return expenses[0] || null;
+}
+
+// Users who can't approve expenses may only change their own while they are
+// still awaiting review (or were rejected); approvers may change any expense.
+function canModifyExpense(user, expense) {
+    if (user.permissions.includes('expenses.approve')) return true;
+    return expense.user_id === user.user_id && expense.status !== 'approved';
+}
+
+async function getRecurringTemplate(templateId) {
+    const templates = await db.query(
+        `SELECT
+            r.*,
+            s.store_name,
+            c.category_name,
+            u.full_name AS created_by_name
+         FROM recurring_expenses r
+         JOIN stores s ON r.store_id = s.store_id
+         LEFT JOIN expense_categories c ON r.category_id = c.category_id
+         JOIN users u ON r.created_by = u.user_id
+         WHERE r.template_id = ?`,
+        [templateId]
+    );
+    return templates[0] || null;
+}
+
+// Post every recurring expense occurrence due on or before asOfDate (YYYY-MM-DD).
+// Missed runs are caught up one occurrence at a time. Returns the number posted.
+async function postDueRecurringExpenses(asOfDate) {
+    let posted = 0;
+
+    for (;;) {
+        const due = await db.query(
+            `SELECT template_id, DATE_FORMAT(next_run_date, '%Y-%m-%d') AS run_date
+             FROM recurring_expenses
+             WHERE is_active = 1
+               AND next_run_date <= ?
+               AND (end_date IS NULL OR next_run_date <= end_date)`,
+            [asOfDate]
+        );
+
+        if (due.length === 0) break;
+
+        for (const { template_id, run_date } of due) {
+            const conn = await db.getConnection();
+            try {
+                await conn.beginTransaction();
+
+                // Re-read under lock so overlapping job runs never double post
+                const [templates] = await conn.execute(
+                    `SELECT * FROM recurring_expenses
+                     WHERE template_id = ? AND next_run_date = ? FOR UPDATE`,
+                    [template_id, run_date]
+                );
+
+                if (templates.length === 0) {
+                    await conn.rollback();
+                    continue;
+                }
+
+                const template = templates[0];
+
+                await conn.execute(
+                    `INSERT INTO expenses (
+                        store_id, category_id, user_id, expense_date, amount, description,
+                        payment_source, vendor_name, recurring_template_id,
+                        status, reviewed_by, reviewed_at, review_notes
+                     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'approved', ?, NOW(), ?)`,
+                    [
+                        template.store_id,
+                        template.category_id,
+                        template.created_by,
+                        run_date,
+                        template.amount,
+                        template.description,
+                        template.payment_source,
+                        template.vendor_name,
+                        template.template_id,
+                        template.created_by,
+                        'Posted from recurring template'
+                    ]
+                );
+
+                // Dates are counted from start_date so month-end anchors don't drift
+                await conn.execute(
+                    `UPDATE recurring_expenses SET
+                        next_run_date = CASE frequency
+                            WHEN 'weekly' THEN DATE_ADD(start_date, INTERVAL (posted_count + 1) WEEK)
+                            WHEN 'monthly' THEN DATE_ADD(start_date, INTERVAL (posted_count + 1) MONTH)
+                            WHEN 'quarterly' THEN DATE_ADD(start_date, INTERVAL (posted_count + 1) * 3 MONTH)
+                            ELSE DATE_ADD(start_date, INTERVAL (posted_count + 1) YEAR)
+                        END,
+                        posted_count = posted_count + 1
+                     WHERE template_id = ?`,
+                    [template_id]
+                );
+
+                await conn.commit();
+                posted++;
+            } catch (error) {
+                await conn.rollback();
+                throw error;
+            } finally {
+                conn.release();
+            }
+        }
+    }
+
+    return posted;
+}
+
+// Budget vs. actual per store and category for a month.
+// Actual spend excludes rejected and deleted expenses. The month-end projection
+// extrapolates one-off spending at its daily run rate and adds recurring
+// expenses still scheduled for the rest of the month. Pass user to limit the
+// report to the stores they can access.
+async function buildBudgetReport({ year, month, storeId, user }) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const monthStart = `${year}-${pad(month)}-01`;
+    const monthEnd = `${year}-${pad(month)}-${pad(daysInMonth)}`;
+    const today = toDateString(new Date());
+
+    let daysElapsed = 0;
+    if (today > monthEnd) daysElapsed = daysInMonth;
+    else if (today >= monthStart) daysElapsed = Number(today.slice(8, 10));
+
+    const scope = user ? storeScope(user, 'x.store_id') : { sql: '', params: [] };
+    const storeFilter = (storeId ? ' AND x.store_id = ?' : '') + scope.sql;
+    const storeParams = [...(storeId ? [storeId] : []), ...scope.params];
+
+    const budgets = await db.query(
+        `SELECT x.store_id, x.category_id, x.amount, s.store_name, c.category_name
+         FROM expense_budgets x
+         JOIN stores s ON x.store_id = s.store_id
+         JOIN expense_categories c ON x.category_id = c.category_id
+         WHERE x.budget_month = ?${storeFilter}`,
+        [monthStart, ...storeParams]
+    );
+
+    const actuals = await db.query(
+        `SELECT
+            x.store_id,
+            x.category_id,
+            s.store_name,
+            c.category_name,
+            SUM(CASE WHEN x.recurring_template_id IS NULL THEN x.amount ELSE 0 END) AS variable_actual,
+            SUM(CASE WHEN x.recurring_template_id IS NOT NULL THEN x.amount ELSE 0 END) AS recurring_actual
+         FROM expenses x
+         JOIN stores s ON x.store_id = s.store_id
+         LEFT JOIN expense_categories c ON x.category_id = c.category_id
+         WHERE x.expense_date BETWEEN ? AND ?
+           AND x.deleted_at IS NULL AND x.status <> 'rejected'${storeFilter}
+         GROUP BY x.store_id, x.category_id, s.store_name, c.category_name`,
+        [monthStart, monthEnd, ...storeParams]
+    );
+
+    const upcoming = await db.query(
+        `SELECT
+            x.store_id,
+            x.category_id,
+            x.amount,
+            x.frequency,
+            s.store_name,
+            c.category_name,
+            DATE_FORMAT(x.next_run_date, '%Y-%m-%d') AS next_run_date,
+            DATE_FORMAT(LEAST(COALESCE(x.end_date, ?), ?), '%Y-%m-%d') AS last_date
+         FROM recurring_expenses x
+         JOIN stores s ON x.store_id = s.store_id
+         LEFT JOIN expense_categories c ON x.category_id = c.category_id
+         WHERE x.is_active = 1
+           AND x.next_run_date BETWEEN ? AND ?
+           AND (x.end_date IS NULL OR x.next_run_date <= x.end_date)${storeFilter}`,
+        [monthEnd, monthEnd, monthStart, monthEnd, ...storeParams]
+    );
+
+    const rows = {};
+    const rowFor = (record) => {
+        const key = `${record.store_id}:${record.category_id ?? 'none'}`;
+        if (!rows[key]) {
+            rows[key] = {
+                store_id: record.store_id,
+                store_name: record.store_name,
+                category_id: record.category_id,
+                category_name: record.category_name || 'Uncategorized',
+                budget: null,
+                variable_actual: 0,
+                recurring_actual: 0,
+                upcoming_recurring: 0
+            };
+        }
+        return rows[key];
+    };
+
+    budgets.forEach(b => { rowFor(b).budget = parseFloat(b.amount); });
+    actuals.forEach(a => {
+        const row = rowFor(a);
+        row.variable_actual = parseFloat(a.variable_actual);
+        row.recurring_actual = parseFloat(a.recurring_actual);
+    });
+    upcoming.forEach(u => {
+        const occurrences = u.frequency === 'weekly'
+            ? Math.floor((new Date(u.last_date) - new Date(u.next_run_date)) / (7 * 86400000)) + 1
+            : 1;
+        rowFor(u).upcoming_recurring += parseFloat(u.amount) * occurrences;
+    });
+
+    const report = Object.values(rows).map(row => {
+        const actual = round2(row.variable_actual + row.recurring_actual);
+        const runRate = daysElapsed > 0 ? row.variable_actual / daysElapsed : 0;
+        const projected = round2(
+            row.recurring_actual + row.upcoming_recurring +
+            (daysElapsed > 0 ? runRate * daysInMonth : 0)
+        );
+
+        return {
+            store_id: row.store_id,
+            store_name: row.store_name,
+            category_id: row.category_id,
+            category_name: row.category_name,
+            budget: row.budget,
+            actual,
+            remaining: row.budget === null ? null : round2(row.budget - actual),
+            projected_month_end: projected,
+            projected_over_budget: row.budget !== null && projected > row.budget
+        };
+    }).sort((a, b) =>
+        a.store_name.localeCompare(b.store_name) || a.category_name.localeCompare(b.category_name)
+    );
+
+    const sum = (field) => round2(report.reduce((acc, row) => acc + (row[field] || 0), 0));
+
+    return {
+        days_in_month: daysInMonth,
+        days_elapsed: daysElapsed,
+        rows: report,
+        totals: {
+            budget: sum('budget'),
+            actual: sum('actual'),
+            remaining: round2(sum('budget') - sum('actual')),
+            projected_month_end: sum('projected_month_end')
+        }
+    };
+}
+
+module.exports = {
+    PAYMENT_SOURCES,
+    EXPENSE_STATUSES,
+    RECURRING_FREQUENCIES,
+    canModifyExpense,
+    getCategory,
+    getExpense,
+    getRecurringTemplate,
+    postDueRecurringExpenses,
+    buildBudgetReport
+};
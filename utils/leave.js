@@ -0,0 +1,132 @@
+const db = require('./database');
+const { addDays } = require('./roster');
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Inclusive number of days a request takes off the balance
+function countLeaveDays(startDate, endDate, halfDay) {
+    if (halfDay) return 0.5;
+    const ms = new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`);
+    return ms / 86400000 + 1;
+}
+
+async function getLeaveType(leaveTypeId) {
+    const types = await db.query(
+        'SELECT * FROM leave_types WHERE leave_type_id = ?',
+        [leaveTypeId]
+    );
+    return types[0] || null;
+}
+
+async function getLeaveRequest(leaveId) {
+    const requests = await db.query(
+        `SELECT
+            l.*,
+            DATE_FORMAT(l.start_date, '%Y-%m-%d') as start_date,
+            DATE_FORMAT(l.end_date, '%Y-%m-%d') as end_date,
+            t.leave_code,
+            t.leave_name,
+            t.is_paid,
+            u.full_name,
+            rv.full_name as reviewed_by_name
+         FROM leave_requests l
+         JOIN leave_types t ON l.leave_type_id = t.leave_type_id
+         JOIN users u ON l.user_id = u.user_id
+         LEFT JOIN users rv ON l.reviewed_by = rv.user_id
+         WHERE l.leave_id = ?`,
+        [leaveId]
+    );
+    return requests[0] || null;
+}
+
+// Allowance, used and pending days for every active leave type in a year.
+// remaining_days is null for types without a quota.
+async function getLeaveBalances(userId, year) {
+    const rows = await db.query(
+        `SELECT
+            t.leave_type_id,
+            t.leave_code,
+            t.leave_name,
+            t.is_paid,
+            COALESCE(b.allotted_days, t.annual_quota) as allotted_days,
+            COALESCE(SUM(CASE WHEN l.status = 'approved' THEN l.days END), 0) as used_days,
+            COALESCE(SUM(CASE WHEN l.status = 'pending' THEN l.days END), 0) as pending_days
+         FROM leave_types t
+         LEFT JOIN leave_balances b ON b.leave_type_id = t.leave_type_id
+            AND b.user_id = ? AND b.leave_year = ?
+         LEFT JOIN leave_requests l ON l.leave_type_id = t.leave_type_id
+            AND l.user_id = ? AND YEAR(l.start_date) = ?
+         WHERE t.is_active = 1
+         GROUP BY t.leave_type_id, t.leave_code, t.leave_name, t.is_paid, b.allotted_days, t.annual_quota
+         ORDER BY t.leave_name`,
+        [userId, year, userId, year]
+    );
+
+    return rows.map(row => {
+        const allotted = row.allotted_days === null ? null : parseFloat(row.allotted_days);
+        const used = parseFloat(row.used_days);
+        const pending = parseFloat(row.pending_days);
+
+        return {
+            leave_type_id: row.leave_type_id,
+            leave_code: row.leave_code,
+            leave_name: row.leave_name,
+            is_paid: !!row.is_paid,
+            allotted_days: allotted,
+            used_days: used,
+            pending_days: pending,
+            remaining_days: allotted === null ? null : allotted - used
+        };
+    });
+}
+
+// Approved leave overlapping a period, keyed by `${user_id}:${date}` for each
+// day it covers
+async function getApprovedLeaveMap(startDate, endDate, { userId } = {}) {
+    let query = `
+        SELECT
+            l.leave_id,
+            l.user_id,
+            DATE_FORMAT(l.start_date, '%Y-%m-%d') as start_date,
+            DATE_FORMAT(l.end_date, '%Y-%m-%d') as end_date,
+            l.half_day,
+            t.leave_code,
+            t.leave_name,
+            t.is_paid
+        FROM leave_requests l
+        JOIN leave_types t ON l.leave_type_id = t.leave_type_id
+        WHERE l.status = 'approved' AND l.start_date <= ? AND l.end_date >= ?
+    `;
+    const params = [endDate, startDate];
+
+    if (userId) {
+        query += ' AND l.user_id = ?';
+        params.push(userId);
+    }
+
+    const leaves = await db.query(query, params);
+    const map = {};
+
+    for (const leave of leaves) {
+        for (let date = leave.start_date; date <= leave.end_date; date = addDays(date, 1)) {
+            map[`${leave.user_id}:${date}`] = {
+                leave_id: leave.leave_id,
+                leave_code: leave.leave_code,
+                leave_name: leave.leave_name,
+                is_paid: !!leave.is_paid,
+                half_day: !!leave.half_day
+            };
+        }
+    }
+
+    return map;
+}
+
+module.exports = {
+    LEAVE_STATUSES,
+    countLeaveDays,
+    getLeaveType,
+    getLeaveRequest,
+    getLeaveBalances,
+    getApprovedLeaveMap
+};
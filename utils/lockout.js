@@ -0,0 +1,129 @@
+const db = require('./database');
+
+// Consecutive failures allowed before a username or an IP is locked. The IP
+// limit is higher because several staff can share a store's connection.
+const MAX_FAILED_PER_USERNAME = parseInt(process.env.LOGIN_MAX_FAILED_PER_USERNAME) || 5;
+const MAX_FAILED_PER_IP = parseInt(process.env.LOGIN_MAX_FAILED_PER_IP) || 20;
+
+// First lockout length; each further lockout doubles it up to the maximum
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 1440;
+
+const LIMITS = {
+    username: MAX_FAILED_PER_USERNAME,
+    ip: MAX_FAILED_PER_IP
+};
+
+const normalizeUsername = (username) => String(username).trim().toLowerCase();
+
+const lockoutKeys = (username, ip) => [
+    ['username', normalizeUsername(username)],
+    ...(ip ? [['ip', ip]] : [])
+];
+
+// The lockout still in force for this username or IP, if any, with the
+// number of seconds until it ends
+async function getActiveLockout(username, ip) {
+    for (const [keyType, keyValue] of lockoutKeys(username, ip)) {
+        const rows = await db.query(
+            `SELECT key_type, key_value, locked_until,
+                TIMESTAMPDIFF(SECOND, NOW(), locked_until) as retry_after_seconds
+             FROM login_lockouts
+             WHERE key_type = ? AND key_value = ? AND locked_until > NOW()`,
+            [keyType, keyValue]
+        );
+
+        if (rows.length > 0) {
+            return rows[0];
+        }
+    }
+
+    return null;
+}
+
+// Count a failed attempt against the username and the IP, locking any key
+// that reaches its limit
+async function registerFailure(username, ip) {
+    for (const [keyType, keyValue] of lockoutKeys(username, ip)) {
+        await db.query(
+            `INSERT INTO login_lockouts (key_type, key_value, failed_count, last_failed_at)
+             VALUES (?, ?, 1, NOW())
+             ON DUPLICATE KEY UPDATE failed_count = failed_count + 1, last_failed_at = NOW()`,
+            [keyType, keyValue]
+        );
+
+        await db.query(
+            `UPDATE login_lockouts SET
+                locked_until = NOW() + INTERVAL LEAST(? * POW(2, lockout_count), ?) MINUTE,
+                lockout_count = lockout_count + 1,
+                failed_count = 0
+             WHERE key_type = ? AND key_value = ? AND failed_count >= ?`,
+            [LOCKOUT_BASE_MINUTES, LOCKOUT_MAX_MINUTES, keyType, keyValue, LIMITS[keyType]]
+        );
+    }
+}
+
+// A successful login wipes the username's record and the IP's failure streak
+async function clearFailures(username, ip) {
+    await db.query(
+        "DELETE FROM login_lockouts WHERE key_type = 'username' AND key_value = ?",
+        [normalizeUsername(username)]
+    );
+
+    if (ip) {
+        await db.query(
+            "UPDATE login_lockouts SET failed_count = 0 WHERE key_type = 'ip' AND key_value = ?",
+            [ip]
+        );
+    }
+}
+
+// Admin unlock. Returns the number of keys cleared.
+async function unlock({ username, ip }) {
+    let cleared = 0;
+
+    if (username) {
+        const result = await db.query(
+            "DELETE FROM login_lockouts WHERE key_type = 'username' AND key_value = ?",
+            [normalizeUsername(username)]
+        );
+        cleared += result.affectedRows;
+    }
+
+    if (ip) {
+        const result = await db.query(
+            "DELETE FROM login_lockouts WHERE key_type = 'ip' AND key_value = ?",
+            [ip]
+        );
+        cleared += result.affectedRows;
+    }
+
+    return cleared;
+}
+
+async function recordLoginAttempt({ username, userId = null, req, success, failureReason = null }) {
+    await db.query(
+        `INSERT INTO login_attempts (username, user_id, ip_address, user_agent, success, failure_reason)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+            String(username).slice(0, 100),
+            userId,
+            req.ip || null,
+            (req.get('User-Agent') || '').slice(0, 255) || null,
+            success ? 1 : 0,
+            failureReason
+        ]
+    );
+}
+
+module.exports = {
+    MAX_FAILED_PER_USERNAME,
+    MAX_FAILED_PER_IP,
+    LOCKOUT_BASE_MINUTES,
+    LOCKOUT_MAX_MINUTES,
+    getActiveLockout,
+    registerFailure,
+    clearFailures,
+    unlock,
+    recordLoginAttempt
+};
@@ -0,0 +1,140 @@
+const db = require('./database');
+
+const MAINTENANCE_FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+const TASK_STATUSES = ['pending', 'done', 'skipped'];
+
+const MONTHS_PER_PERIOD = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Date `count` periods after dateStr (YYYY-MM-DD). Month-based periods keep
+// the day of month, clamped to the last day of shorter months.
+function addPeriods(dateStr, frequency, count) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+
+    if (frequency === 'weekly') {
+        date.setUTCDate(date.getUTCDate() + 7 * count);
+        return date.toISOString().split('T')[0];
+    }
+
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + MONTHS_PER_PERIOD[frequency] * count);
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+
+    return date.toISOString().split('T')[0];
+}
+
+// Most recent occurrence of a plan on or before asOfDate, or null if the
+// plan has not started yet
+function latestOccurrence(startDate, frequency, asOfDate) {
+    if (startDate > asOfDate) return null;
+
+    let periods = 0;
+    while (addPeriods(startDate, frequency, periods + 1) <= asOfDate) {
+        periods++;
+    }
+    return addPeriods(startDate, frequency, periods);
+}
+
+async function getPlan(planId) {
+    const plans = await db.query(
+        `SELECT
+            mp.*,
+            DATE_FORMAT(mp.start_date, '%Y-%m-%d') as start_date,
+            a.asset_name,
+            a.asset_tag,
+            s.store_name,
+            u.full_name as created_by_name
+         FROM maintenance_plans mp
+         LEFT JOIN assets a ON mp.asset_id = a.asset_id
+         LEFT JOIN stores s ON mp.store_id = s.store_id
+         JOIN users u ON mp.created_by = u.user_id
+         WHERE mp.plan_id = ?`,
+        [planId]
+    );
+    return plans[0] || null;
+}
+
+// Create the task for the latest due occurrence of every active plan on each
+// asset it covers. Occurrences missed while the job was not running are not
+// back-filled; earlier pending tasks simply stay overdue.
+// Returns the number of tasks created.
+async function generateMaintenanceTasks(asOfDate) {
+    const plans = await db.query(
+        `SELECT plan_id, asset_id, asset_type, store_id, frequency,
+                DATE_FORMAT(start_date, '%Y-%m-%d') as start_date
+         FROM maintenance_plans
+         WHERE is_active = 1 AND start_date <= ?`,
+        [asOfDate]
+    );
+
+    let created = 0;
+
+    for (const plan of plans) {
+        const dueDate = latestOccurrence(plan.start_date, plan.frequency, asOfDate);
+
+        let assetQuery = 'SELECT asset_id, store_id FROM assets WHERE is_active = 1';
+        const assetParams = [];
+
+        if (plan.asset_id) {
+            assetQuery += ' AND asset_id = ?';
+            assetParams.push(plan.asset_id);
+        } else {
+            assetQuery += ' AND asset_type = ?';
+            assetParams.push(plan.asset_type);
+        }
+
+        if (plan.store_id) {
+            assetQuery += ' AND store_id = ?';
+            assetParams.push(plan.store_id);
+        }
+
+        const assets = await db.query(assetQuery, assetParams);
+
+        for (const asset of assets) {
+            const result = await db.query(
+                `INSERT IGNORE INTO maintenance_tasks (plan_id, asset_id, store_id, due_date)
+                 VALUES (?, ?, ?, ?)`,
+                [plan.plan_id, asset.asset_id, asset.store_id, dueDate]
+            );
+            created += result.affectedRows;
+        }
+    }
+
+    return created;
+}
+
+// Pending tasks due before asOfDate (YYYY-MM-DD)
+async function getOverdueTasks(asOfDate, { storeId } = {}) {
+    return db.query(
+        `SELECT
+            mt.task_id,
+            mt.plan_id,
+            mp.plan_name,
+            mt.asset_id,
+            a.asset_name,
+            a.asset_tag,
+            mt.store_id,
+            s.store_name,
+            DATE_FORMAT(mt.due_date, '%Y-%m-%d') as due_date,
+            DATEDIFF(?, mt.due_date) as days_overdue
+         FROM maintenance_tasks mt
+         JOIN maintenance_plans mp ON mt.plan_id = mp.plan_id
+         JOIN assets a ON mt.asset_id = a.asset_id
+         JOIN stores s ON mt.store_id = s.store_id
+         WHERE mt.status = 'pending' AND mt.due_date < ?
+         ${storeId ? 'AND mt.store_id = ?' : ''}
+         ORDER BY mt.due_date, s.store_name, a.asset_name`,
+        [asOfDate, asOfDate, ...(storeId ? [storeId] : [])]
+    );
+}
+
+module.exports = {
+    MAINTENANCE_FREQUENCIES,
+    TASK_STATUSES,
+    addPeriods,
+    latestOccurrence,
+    getPlan,
+    generateMaintenanceTasks,
+    getOverdueTasks
+};
@@ -0,0 +1,298 @@
+const ExcelJS = require('exceljs');
+const db = require('./database');
+const { round2 } = require('./cash');
+const { OVERTIME_THRESHOLD_MINUTES } = require('./attendance');
+const { addDays, compareWithShift, getPublishedShifts } = require('./roster');
+const { getApprovedLeaveMap } = require('./leave');
+
+const RATE_TYPES = ['hourly', 'monthly'];
+
+// Paid leave on an hourly rate is credited as one standard day: the overtime threshold
+const STANDARD_DAY_HOURS = OVERTIME_THRESHOLD_MINUTES / 60;
+
+async function getPayrollPeriod(periodId) {
+    const periods = await db.query(
+        `SELECT
+            p.*,
+            DATE_FORMAT(p.start_date, '%Y-%m-%d') as start_date,
+            DATE_FORMAT(p.end_date, '%Y-%m-%d') as end_date,
+            u.full_name as locked_by_name
+         FROM payroll_periods p
+         LEFT JOIN users u ON p.locked_by = u.user_id
+         WHERE p.period_id = ?`,
+        [periodId]
+    );
+    return periods[0] || null;
+}
+
+// The locked period covering a date ('YYYY-MM-DD'), or overlapping the range
+// up to endDate, if any. Attendance routes refuse to create or change records
+// on these dates.
+async function getLockedPeriod(date, endDate = date) {
+    const periods = await db.query(
+        `SELECT period_id,
+            DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+            DATE_FORMAT(end_date, '%Y-%m-%d') as end_date
+         FROM payroll_periods
+         WHERE status = 'locked' AND start_date <= ? AND end_date >= ?
+         ORDER BY start_date
+         LIMIT 1`,
+        [endDate, date]
+    );
+    return periods[0] || null;
+}
+
+const lockedPeriodMessage = (period) =>
+    `Attendance for ${period.start_date} to ${period.end_date} is locked for payroll`;
+
+// Latest rate per user effective on or before `asOfDate`, keyed by user_id
+async function getEffectiveRates(asOfDate) {
+    const rates = await db.query(
+        `SELECT r.*, DATE_FORMAT(r.effective_from, '%Y-%m-%d') as effective_from
+         FROM pay_rates r
+         WHERE r.effective_from = (
+            SELECT MAX(r2.effective_from) FROM pay_rates r2
+            WHERE r2.user_id = r.user_id AND r2.effective_from <= ?
+         )`,
+        [asOfDate]
+    );
+
+    return rates.reduce((map, rate) => {
+        map[rate.user_id] = rate;
+        return map;
+    }, {});
+}
+
+const payLine = (code, description, quantity, unit, rate) => ({
+    code,
+    description,
+    quantity: round2(quantity),
+    unit,
+    rate: round2(rate),
+    amount: round2(quantity * rate)
+});
+
+// Gross pay lines for one employee. Monthly rates are prorated over the
+// calendar days in the period by payable days (worked days plus paid leave).
+function buildPayLines(rate, totals, periodDays) {
+    if (!rate) return [];
+
+    const amount = parseFloat(rate.rate);
+    const multiplier = parseFloat(rate.overtime_multiplier);
+    const overtimeHours = totals.overtime_minutes / 60;
+
+    if (rate.rate_type === 'hourly') {
+        return [
+            payLine('regular', 'Regular hours', (totals.worked_minutes - totals.overtime_minutes) / 60, 'hours', amount),
+            payLine('overtime', `Overtime (x${multiplier})`, overtimeHours, 'hours', amount * multiplier),
+            payLine('paid_leave', 'Paid leave', totals.paid_leave_days * STANDARD_DAY_HOURS, 'hours', amount)
+        ].filter(line => line.quantity > 0);
+    }
+
+    const dailyRate = amount / periodDays;
+    const hourlyEquivalent = dailyRate / STANDARD_DAY_HOURS;
+
+    return [
+        payLine('base_salary', 'Salary for payable days', totals.payable_days, 'days', dailyRate),
+        payLine('overtime', `Overtime (x${multiplier})`, overtimeHours, 'hours', hourlyEquivalent * multiplier)
+    ].filter(line => line.quantity > 0);
+}
+
+// One row per employee for a pay period: worked hours, overtime, leave, late
+// marks against the published roster and gross pay lines
+async function buildTimesheet(period, { userId } = {}) {
+    const { start_date, end_date } = period;
+
+    const dates = [];
+    for (let date = start_date; date <= end_date; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+
+    let usersQuery = `
+        SELECT user_id, full_name, username
+        FROM users
+        WHERE user_type IN ('staff', 'manager')
+    `;
+    const usersParams = [];
+
+    if (userId) {
+        usersQuery += ' AND user_id = ?';
+        usersParams.push(userId);
+    }
+
+    usersQuery += ' ORDER BY full_name';
+
+    const users = await db.query(usersQuery, usersParams);
+
+    let attendanceQuery = `
+        SELECT
+            user_id,
+            DATE_FORMAT(attendance_date, '%Y-%m-%d') as attendance_date,
+            DATE_FORMAT(MIN(login_time), '%Y-%m-%d %H:%i:%s') as login_time,
+            DATE_FORMAT(MAX(logout_time), '%Y-%m-%d %H:%i:%s') as logout_time,
+            SUM(CASE
+                WHEN logout_time IS NOT NULL
+                THEN COALESCE(net_work_minutes, TIMESTAMPDIFF(MINUTE, login_time, logout_time))
+                ELSE 0
+            END) as worked_minutes,
+            SUM(COALESCE(overtime_minutes, 0)) as overtime_minutes
+        FROM staff_attendance
+        WHERE attendance_date BETWEEN ? AND ?
+    `;
+    const attendanceParams = [start_date, end_date];
+
+    if (userId) {
+        attendanceQuery += ' AND user_id = ?';
+        attendanceParams.push(userId);
+    }
+
+    attendanceQuery += ' GROUP BY user_id, attendance_date';
+
+    const attendance = await db.query(attendanceQuery, attendanceParams);
+    const attendanceMap = attendance.reduce((map, day) => {
+        map[`${day.user_id}:${day.attendance_date}`] = day;
+        return map;
+    }, {});
+
+    const shiftMap = await getPublishedShifts(start_date, end_date, { userId });
+    const leaveMap = await getApprovedLeaveMap(start_date, end_date, { userId });
+    const rates = await getEffectiveRates(end_date);
+    const [{ now }] = await db.query("SELECT DATE_FORMAT(NOW(), '%Y-%m-%d %H:%i:%s') as now");
+
+    return users.map(user => {
+        const totals = {
+            days_worked: 0,
+            worked_minutes: 0,
+            overtime_minutes: 0,
+            paid_leave_days: 0,
+            unpaid_leave_days: 0,
+            absent_days: 0,
+            payable_days: 0,
+            late_marks: 0,
+            late_minutes: 0
+        };
+
+        for (const date of dates) {
+            const key = `${user.user_id}:${date}`;
+            const day = attendanceMap[key];
+            const leave = leaveMap[key];
+            const shift = shiftMap[key];
+            const worked = day && parseInt(day.worked_minutes) > 0;
+            const leaveDays = leave ? (leave.half_day ? 0.5 : 1) : 0;
+
+            if (worked) {
+                totals.days_worked++;
+                totals.worked_minutes += parseInt(day.worked_minutes);
+                totals.overtime_minutes += parseInt(day.overtime_minutes);
+            }
+
+            if (leave) {
+                totals[leave.is_paid ? 'paid_leave_days' : 'unpaid_leave_days'] += leaveDays;
+            }
+
+            if (!worked && !leave) {
+                totals.absent_days++;
+            }
+
+            // A half day of paid leave tops a worked day up to a full one
+            totals.payable_days += worked ? 1 : (leave && leave.is_paid ? leaveDays : 0);
+
+            if (shift && day) {
+                const comparison = compareWithShift(shift, day, now);
+                if (comparison.is_late) {
+                    totals.late_marks++;
+                    totals.late_minutes += comparison.late_minutes;
+                }
+            }
+        }
+
+        const rate = rates[user.user_id] || null;
+        const lines = buildPayLines(rate, totals, dates.length);
+
+        return {
+            user_id: user.user_id,
+            full_name: user.full_name,
+            username: user.username,
+            ...totals,
+            worked_hours: round2(totals.worked_minutes / 60),
+            overtime_hours: round2(totals.overtime_minutes / 60),
+            rate_type: rate ? rate.rate_type : null,
+            rate: rate ? parseFloat(rate.rate) : null,
+            overtime_multiplier: rate ? parseFloat(rate.overtime_multiplier) : null,
+            pay_lines: lines,
+            gross_pay: round2(lines.reduce((acc, line) => acc + line.amount, 0))
+        };
+    });
+}
+
+// Flat columns for the CSV and XLSX exports
+const TIMESHEET_COLUMNS = [
+    { key: 'full_name', header: 'Employee' },
+    { key: 'username', header: 'Username' },
+    { key: 'days_worked', header: 'Days Worked' },
+    { key: 'worked_hours', header: 'Worked Hours' },
+    { key: 'overtime_hours', header: 'Overtime Hours' },
+    { key: 'paid_leave_days', header: 'Paid Leave Days' },
+    { key: 'unpaid_leave_days', header: 'Unpaid Leave Days' },
+    { key: 'absent_days', header: 'Absent Days' },
+    { key: 'payable_days', header: 'Payable Days' },
+    { key: 'late_marks', header: 'Late Marks' },
+    { key: 'late_minutes', header: 'Late Minutes' },
+    { key: 'rate_type', header: 'Rate Type' },
+    { key: 'rate', header: 'Rate' },
+    { key: 'regular_pay', header: 'Regular / Base Pay' },
+    { key: 'overtime_pay', header: 'Overtime Pay' },
+    { key: 'paid_leave_pay', header: 'Paid Leave Pay' },
+    { key: 'gross_pay', header: 'Gross Pay' }
+];
+
+function toExportRow(row) {
+    const lineAmount = (...codes) => round2(row.pay_lines
+        .filter(line => codes.includes(line.code))
+        .reduce((acc, line) => acc + line.amount, 0));
+
+    return {
+        ...row,
+        regular_pay: lineAmount('regular', 'base_salary'),
+        overtime_pay: lineAmount('overtime'),
+        paid_leave_pay: lineAmount('paid_leave')
+    };
+}
+
+function toCsv(rows) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        TIMESHEET_COLUMNS.map(column => escape(column.header)).join(','),
+        ...rows.map(row => {
+            const exportRow = toExportRow(row);
+            return TIMESHEET_COLUMNS.map(column => escape(exportRow[column.key])).join(',');
+        })
+    ].join('\n');
+}
+
+async function toXlsx(rows, period) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(`Timesheet ${period.start_date}`);
+
+    sheet.columns = TIMESHEET_COLUMNS.map(column => ({ ...column, width: Math.max(12, column.header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(toExportRow(row)));
+
+    return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+    RATE_TYPES,
+    STANDARD_DAY_HOURS,
+    getPayrollPeriod,
+    getLockedPeriod,
+    lockedPeriodMessage,
+    getEffectiveRates,
+    buildTimesheet,
+    toCsv,
+    toXlsx
+};
@@ -0,0 +1,104 @@
+const db = require('./database');
+
+// A user's role: the assigned role_code, or the built-in role named after user_type
+const ROLE_SQL = 'COALESCE(u.role_code, u.user_type)';
+
+// Effective permissions keyed by user_id: the role's permissions plus granted
+// overrides, minus revoked ones. Pass userId to load a single user.
+async function getEffectivePermissions(userId = null) {
+    const userFilter = userId ? 'WHERE u.user_id = ?' : '';
+    const params = userId ? [userId] : [];
+
+    const rolePermissions = await db.query(
+        `SELECT u.user_id, rp.permission_code
+         FROM users u
+         JOIN role_permissions rp ON rp.role_code = ${ROLE_SQL}
+         ${userFilter}`,
+        params
+    );
+
+    const overrides = await db.query(
+        `SELECT o.user_id, o.permission_code, o.is_granted
+         FROM user_permission_overrides o
+         JOIN users u ON o.user_id = u.user_id
+         ${userFilter}`,
+        params
+    );
+
+    const sets = {};
+    const setFor = (id) => (sets[id] = sets[id] || new Set());
+
+    rolePermissions.forEach(row => setFor(row.user_id).add(row.permission_code));
+    overrides.forEach(row => {
+        if (row.is_granted) {
+            setFor(row.user_id).add(row.permission_code);
+        } else {
+            setFor(row.user_id).delete(row.permission_code);
+        }
+    });
+
+    return Object.fromEntries(
+        Object.entries(sets).map(([id, set]) => [id, [...set].sort()])
+    );
+}
+
+async function getUserPermissions(userId) {
+    const map = await getEffectivePermissions(userId);
+    return map[userId] || [];
+}
+
+// Overrides keyed by user_id: { 'cash.close': true, 'sales.edit': false }
+async function getPermissionOverrides(userId = null) {
+    const overrides = await db.query(
+        `SELECT user_id, permission_code, is_granted FROM user_permission_overrides
+         ${userId ? 'WHERE user_id = ?' : ''}`,
+        userId ? [userId] : []
+    );
+
+    return overrides.reduce((map, row) => {
+        map[row.user_id] = map[row.user_id] || {};
+        map[row.user_id][row.permission_code] = !!row.is_granted;
+        return map;
+    }, {});
+}
+
+async function getPermissionCodes() {
+    const rows = await db.query('SELECT permission_code FROM permissions');
+    return rows.map(row => row.permission_code);
+}
+
+// Codes in `codes` that are not defined permissions
+async function findUnknownPermissions(codes) {
+    const known = await getPermissionCodes();
+    return codes.filter(code => !known.includes(code));
+}
+
+async function getRole(roleCode) {
+    const roles = await db.query(
+        `SELECT r.*, COUNT(u.user_id) as user_count
+         FROM roles r
+         LEFT JOIN users u ON r.role_code = ${ROLE_SQL}
+         WHERE r.role_code = ?
+         GROUP BY r.role_code`,
+        [roleCode]
+    );
+
+    if (roles.length === 0) return null;
+
+    const permissions = await db.query(
+        'SELECT permission_code FROM role_permissions WHERE role_code = ? ORDER BY permission_code',
+        [roleCode]
+    );
+
+    return { ...roles[0], permissions: permissions.map(row => row.permission_code) };
+}
+
+module.exports = {
+    ROLE_SQL,
+    getEffectivePermissions,
+    getUserPermissions,
+    getPermissionOverrides,
+    getPermissionCodes,
+    findUnknownPermissions,
+    getRole
+};
@@ -0,0 +1,181 @@
+const db = require('./database');
+
+const PROBLEM_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const STATUS_CODE_REGEX = /^[a-z][a-z0-9_]{1,29}$/;
+
+// SQL to order problems most urgent first
+const PRIORITY_ORDER_SQL = "FIELD(gp.priority, 'critical', 'high', 'medium', 'low')";
+
+async function getStatuses({ includeInactive = false } = {}) {
+    return db.query(
+        `SELECT * FROM problem_statuses
+         ${includeInactive ? '' : 'WHERE is_active = 1'}
+         ORDER BY sort_order, status_code`
+    );
+}
+
+async function getStatus(statusCode) {
+    const statuses = await db.query(
+        'SELECT * FROM problem_statuses WHERE status_code = ?',
+        [statusCode]
+    );
+    return statuses[0] || null;
+}
+
+async function getProblem(problemId) {
+    const problems = await db.query(
+        `SELECT
+            gp.*,
+            ps.status_name,
+            ps.is_terminal,
+            s.store_name,
+            s.store_type,
+            a.asset_name,
+            a.asset_tag,
+            a.warranty_expiry,
+            u.full_name as reported_by,
+            au.full_name as assigned_to_name,
+            fu.full_name as fixed_by_name,
+            DATE_ADD(gp.reported_datetime, INTERVAL sla.resolution_hours HOUR) as sla_due_at,
+            (SELECT COALESCE(SUM(TIMESTAMPDIFF(MINUTE, pd.started_at, COALESCE(pd.ended_at, NOW()))), 0)
+             FROM problem_downtime pd WHERE pd.problem_id = gp.problem_id) as downtime_minutes
+         FROM game_problems gp
+         JOIN problem_statuses ps ON gp.status = ps.status_code
+         LEFT JOIN problem_sla sla ON gp.priority = sla.priority
+         JOIN stores s ON gp.store_id = s.store_id
+         LEFT JOIN assets a ON gp.asset_id = a.asset_id
+         JOIN users u ON gp.user_id = u.user_id
+         LEFT JOIN users au ON gp.assigned_to = au.user_id
+         LEFT JOIN users fu ON gp.fixed_by = fu.user_id
+         WHERE gp.problem_id = ?`,
+        [problemId]
+    );
+    return problems[0] || null;
+}
+
+async function addProblemComment(problemId, userId, comment, { type = 'comment', parentId = null } = {}) {
+    const result = await db.query(
+        `INSERT INTO problem_comments (problem_id, parent_comment_id, user_id, comment_type, comment)
+         VALUES (?, ?, ?, ?, ?)`,
+        [problemId, parentId, userId, type, comment]
+    );
+    return result.insertId;
+}
+
+// Take a problem's machine out of service or put it back, keeping the
+// problem_downtime periods in step with the out_of_service flag
+async function setOutOfService(problem, outOfService, { userId }) {
+    if (outOfService === !!problem.out_of_service) return;
+
+    await db.query(
+        'UPDATE game_problems SET out_of_service = ? WHERE problem_id = ?',
+        [outOfService ? 1 : 0, problem.problem_id]
+    );
+
+    if (outOfService) {
+        await db.query(
+            `INSERT INTO problem_downtime (problem_id, store_id, asset_id, started_at, started_by)
+             VALUES (?, ?, ?, NOW(), ?)`,
+            [problem.problem_id, problem.store_id, problem.asset_id, userId]
+        );
+    } else {
+        await db.query(
+            `UPDATE problem_downtime SET ended_at = NOW(), ended_by = ?
+             WHERE problem_id = ? AND ended_at IS NULL`,
+            [userId, problem.problem_id]
+        );
+    }
+
+    await addProblemComment(
+        problem.problem_id,
+        userId,
+        outOfService ? 'Machine taken out of service' : 'Machine back in service',
+        { type: 'service_change' }
+    );
+}
+
+async function getSlaTargets() {
+    return db.query(
+        "SELECT * FROM problem_sla ORDER BY FIELD(priority, 'critical', 'high', 'medium', 'low')"
+    );
+}
+
+// Move a problem (as returned by getProblem) to another status and log it.
+// Entering a terminal status records who closed it; leaving one reopens it.
+async function changeProblemStatus(problem, status, { notes = null, userId }) {
+    if (status.is_terminal && !problem.is_terminal) {
+        await db.query(
+            `UPDATE game_problems SET
+                status = ?, fixed_datetime = NOW(), fixed_by = ?, fixed_notes = ?
+             WHERE problem_id = ?`,
+            [status.status_code, userId, notes, problem.problem_id]
+        );
+    } else if (!status.is_terminal && problem.is_terminal) {
+        await db.query(
+            `UPDATE game_problems SET
+                status = ?, fixed_datetime = NULL, fixed_by = NULL, fixed_notes = NULL
+             WHERE problem_id = ?`,
+            [status.status_code, problem.problem_id]
+        );
+    } else {
+        await db.query(
+            'UPDATE game_problems SET status = ? WHERE problem_id = ?',
+            [status.status_code, problem.problem_id]
+        );
+    }
+
+    // A resolved problem no longer keeps its machine down
+    if (status.is_terminal) {
+        await setOutOfService(problem, false, { userId });
+    }
+
+    const reopened = problem.is_terminal && !status.is_terminal;
+    await addProblemComment(
+        problem.problem_id,
+        userId,
+        `${reopened ? 'Reopened' : 'Status changed'}: ${problem.status_name} → ${status.status_name}` +
+            (notes ? `\n${notes}` : ''),
+        { type: 'status_change' }
+    );
+}
+
+// All comments on a problem as a tree: top-level entries in time order,
+// each with its replies nested under `replies`
+async function getCommentThread(problemId) {
+    const comments = await db.query(
+        `SELECT pc.*, u.full_name
+         FROM problem_comments pc
+         JOIN users u ON pc.user_id = u.user_id
+         WHERE pc.problem_id = ?
+         ORDER BY pc.created_at, pc.comment_id`,
+        [problemId]
+    );
+
+    const byId = {};
+    const thread = [];
+
+    comments.forEach(comment => {
+        byId[comment.comment_id] = { ...comment, replies: [] };
+    });
+    comments.forEach(comment => {
+        const node = byId[comment.comment_id];
+        const parent = byId[comment.parent_comment_id];
+        (parent ? parent.replies : thread).push(node);
+    });
+
+    return thread;
+}
+
+module.exports = {
+    PROBLEM_PRIORITIES,
+    STATUS_CODE_REGEX,
+    PRIORITY_ORDER_SQL,
+    getStatuses,
+    getStatus,
+    getProblem,
+    addProblemComment,
+    setOutOfService,
+    getSlaTargets,
+    changeProblemStatus,
+    getCommentThread
+};
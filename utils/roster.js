@@ -0,0 +1,150 @@
+const db = require('./database');
+
+// Minutes of slack before a clock-in counts as late or a clock-out as early
+const LATE_GRACE_MINUTES = parseInt(process.env.LATE_GRACE_MINUTES) || 10;
+const EARLY_LEAVE_GRACE_MINUTES = parseInt(process.env.EARLY_LEAVE_GRACE_MINUTES) || 10;
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates and times are wall-clock values; treat them as UTC so arithmetic
+// never shifts with the server's timezone
+const toMinutes = (dateTime) => new Date(`${dateTime.replace(' ', 'T')}Z`).getTime() / 60000;
+
+function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Monday of the week containing dateStr
+function weekStart(dateStr) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    const offset = (date.getUTCDay() + 6) % 7;
+    return addDays(dateStr, -offset);
+}
+
+// Start and end of a shift as 'YYYY-MM-DD HH:MM:SS'. Shifts whose end time is
+// not after the start time finish the next day.
+function shiftWindow(shift) {
+    const start = `${shift.shift_date} ${shift.start_time}`;
+    const endDate = shift.end_time <= shift.start_time ? addDays(shift.shift_date, 1) : shift.shift_date;
+    return { start, end: `${endDate} ${shift.end_time}` };
+}
+
+function shiftMinutes(shift) {
+    const { start, end } = shiftWindow(shift);
+    return toMinutes(end) - toMinutes(start);
+}
+
+// Compare a published shift with what was actually clocked.
+// `attendance` has login_time / logout_time as 'YYYY-MM-DD HH:MM:SS' (or null).
+// `now` is the current local time in the same format.
+function compareWithShift(shift, attendance, now) {
+    const { start, end } = shiftWindow(shift);
+    const result = {
+        shift_id: shift.shift_id,
+        scheduled_start: start,
+        scheduled_end: end,
+        scheduled_minutes: toMinutes(end) - toMinutes(start),
+        late_minutes: 0,
+        early_departure_minutes: 0,
+        is_late: false,
+        left_early: false,
+        no_show: false
+    };
+
+    if (!attendance || !attendance.login_time) {
+        // Only a no-show once the shift has started without a clock-in
+        result.no_show = now > start;
+        return result;
+    }
+
+    const lateBy = Math.round(toMinutes(attendance.login_time) - toMinutes(start));
+    if (lateBy > LATE_GRACE_MINUTES) {
+        result.is_late = true;
+        result.late_minutes = lateBy;
+    }
+
+    if (attendance.logout_time) {
+        const earlyBy = Math.round(toMinutes(end) - toMinutes(attendance.logout_time));
+        if (earlyBy > EARLY_LEAVE_GRACE_MINUTES) {
+            result.left_early = true;
+            result.early_departure_minutes = earlyBy;
+        }
+    }
+
+    return result;
+}
+
+async function getShift(shiftId) {
+    const shifts = await db.query(
+        `SELECT
+            sh.*,
+            DATE_FORMAT(sh.shift_date, '%Y-%m-%d') as shift_date,
+            s.store_name,
+            u.full_name
+         FROM shifts sh
+         JOIN stores s ON sh.store_id = s.store_id
+         JOIN users u ON sh.user_id = u.user_id
+         WHERE sh.shift_id = ?`,
+        [shiftId]
+    );
+    return shifts[0] || null;
+}
+
+async function getShiftTemplate(templateId) {
+    const templates = await db.query(
+        'SELECT * FROM shift_templates WHERE template_id = ?',
+        [templateId]
+    );
+    return templates[0] || null;
+}
+
+// Published shifts between two dates, keyed by `${user_id}:${shift_date}`
+async function getPublishedShifts(startDate, endDate, { storeId, userId } = {}) {
+    let query = `
+        SELECT
+            sh.shift_id,
+            sh.user_id,
+            sh.store_id,
+            DATE_FORMAT(sh.shift_date, '%Y-%m-%d') as shift_date,
+            sh.start_time,
+            sh.end_time
+        FROM shifts sh
+        WHERE sh.status = 'published' AND sh.shift_date BETWEEN ? AND ?
+    `;
+    const params = [startDate, endDate];
+
+    if (storeId) {
+        query += ' AND sh.store_id = ?';
+        params.push(storeId);
+    }
+
+    if (userId) {
+        query += ' AND sh.user_id = ?';
+        params.push(userId);
+    }
+
+    const shifts = await db.query(query, params);
+
+    return shifts.reduce((map, shift) => {
+        map[`${shift.user_id}:${shift.shift_date}`] = shift;
+        return map;
+    }, {});
+}
+
+module.exports = {
+    LATE_GRACE_MINUTES,
+    EARLY_LEAVE_GRACE_MINUTES,
+    TIME_REGEX,
+    DATE_REGEX,
+    addDays,
+    weekStart,
+    shiftWindow,
+    shiftMinutes,
+    compareWithShift,
+    getShift,
+    getShiftTemplate,
+    getPublishedShifts
+};
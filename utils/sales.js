@@ -0,0 +1,140 @@
+const PAYMENT_FIELDS = ['cash_amount', 'upi_amount', 'card_amount', 'booking_amount'];
+const ITEM_TYPES = ['game', 'product', 'booking', 'other'];
+
+const toAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Validate line items and work out their totals.
+// Returns { error } or { items, itemsTotal, discountTotal }
+function normalizeItems(items) {
+    if (!Array.isArray(items)) {
+        return { error: 'items must be an array' };
+    }
+
+    const normalized = [];
+    let itemsTotal = 0;
+    let discountTotal = 0;
+
+    for (const [index, item] of items.entries()) {
+        const quantity = parseInt(item.quantity ?? 1);
+        const unitPrice = toAmount(item.unit_price);
+        const discount = toAmount(item.discount);
+        const itemType = item.item_type || 'game';
+
+        if (!item.item_name) {
+            return { error: `items[${index}].item_name is required` };
+        }
+        if (!ITEM_TYPES.includes(itemType)) {
+            return { error: `items[${index}].item_type must be one of: ${ITEM_TYPES.join(', ')}` };
+        }
+        if (isNaN(quantity) || quantity < 1) {
+            return { error: `items[${index}].quantity must be a positive integer` };
+        }
+        if (unitPrice < 0 || discount < 0) {
+            return { error: `items[${index}] unit_price and discount cannot be negative` };
+        }
+
+        const lineTotal = toAmount(quantity * unitPrice - discount);
+        if (lineTotal < 0) {
+            return { error: `items[${index}].discount is larger than the line amount` };
+        }
+
+        itemsTotal += lineTotal;
+        discountTotal += discount;
+        normalized.push({
+            item_type: itemType,
+            item_name: item.item_name,
+            quantity,
+            unit_price: unitPrice,
+            discount,
+            line_total: lineTotal
+        });
+    }
+
+    return {
+        items: normalized,
+        itemsTotal: toAmount(itemsTotal),
+        discountTotal: toAmount(discountTotal)
+    };
+}
+
+// Rebuild the daily `sales` row for a store/date from its completed transactions.
+// Must be called with a connection inside the caller's DB transaction.
+async function refreshDailySale(conn, storeId, saleDate, userId) {
+    const [totals] = await conn.execute(
+        `SELECT
+            COUNT(*) AS transaction_count,
+            COALESCE(SUM(cash_amount), 0) AS cash_amount,
+            COALESCE(SUM(upi_amount), 0) AS upi_amount,
+            COALESCE(SUM(card_amount), 0) AS card_amount,
+            COALESCE(SUM(booking_amount), 0) AS booking_amount,
+            COALESCE(SUM(total_amount), 0) AS total_amount,
+            COALESCE(SUM(total_customers), 0) AS total_customers,
+            MIN(sale_time) AS first_sale_time,
+            MIN(sale_datetime) AS first_sale_datetime
+         FROM sale_transactions
+         WHERE store_id = ? AND sale_date = ? AND status = 'completed'`,
+        [storeId, saleDate]
+    );
+    const day = totals[0];
+
+    const [existing] = await conn.execute(
+        'SELECT sale_id FROM sales WHERE store_id = ? AND sale_date = ?',
+        [storeId, saleDate]
+    );
+
+    if (existing.length > 0) {
+        await conn.execute(
+            `UPDATE sales SET
+                cash_amount = ?,
+                upi_amount = ?,
+                card_amount = ?,
+                booking_amount = ?,
+                total_amount = ?,
+                total_customers = ?,
+                transaction_count = ?
+             WHERE sale_id = ?`,
+            [
+                day.cash_amount,
+                day.upi_amount,
+                day.card_amount,
+                day.booking_amount,
+                day.total_amount,
+                day.total_customers,
+                day.transaction_count,
+                existing[0].sale_id
+            ]
+        );
+        return existing[0].sale_id;
+    }
+
+    const [result] = await conn.execute(
+        `INSERT INTO sales (
+            store_id, user_id, sale_date, sale_time, sale_datetime,
+            cash_amount, upi_amount, card_amount, booking_amount,
+            total_amount, total_customers, transaction_count
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            storeId,
+            userId,
+            saleDate,
+            day.first_sale_time,
+            day.first_sale_datetime,
+            day.cash_amount,
+            day.upi_amount,
+            day.card_amount,
+            day.booking_amount,
+            day.total_amount,
+            day.total_customers,
+            day.transaction_count
+        ]
+    );
+    return result.insertId;
+}
+
+module.exports = {
+    PAYMENT_FIELDS,
+    ITEM_TYPES,
+    toAmount,
+    normalizeItems,
+    refreshDailySale
+};
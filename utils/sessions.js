@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./database');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { userId: user.user_id, userType: user.user_type, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+}
+
+// Refresh tokens are `<session_id>.<secret>` so the session can be found
+// without storing the secret itself
+function issueTokens(user, sessionId, secret) {
+    return {
+        token: signAccessToken(user, sessionId),
+        refresh_token: `${sessionId}.${secret}`,
+        expires_in: ACCESS_TOKEN_EXPIRES_IN
+    };
+}
+
+// Start a session for a user who has just logged in
+async function createSession(user, req) {
+    const sessionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(48).toString('hex');
+
+    await db.query(
+        `INSERT INTO auth_sessions (
+            session_id, user_id, refresh_token_hash, user_agent, ip_address, last_used_at, expires_at
+         ) VALUES (?, ?, ?, ?, ?, NOW(), NOW() + INTERVAL ? DAY)`,
+        [
+            sessionId,
+            user.user_id,
+            hashToken(secret),
+            (req.get('User-Agent') || '').slice(0, 255) || null,
+            req.ip || null,
+            REFRESH_TOKEN_DAYS
+        ]
+    );
+
+    return issueTokens(user, sessionId, secret);
+}
+
+async function revokeSession(sessionId, reason) {
+    const result = await db.query(
+        'UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE session_id = ? AND revoked_at IS NULL',
+        [reason, sessionId]
+    );
+    return result.affectedRows;
+}
+
+// Revoke every active session of a user, optionally keeping one (the caller's own)
+async function revokeUserSessions(userId, reason, { exceptSessionId = null } = {}) {
+    const result = await db.query(
+        `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ?
+         WHERE user_id = ? AND revoked_at IS NULL AND session_id <> COALESCE(?, '')`,
+        [reason, userId, exceptSessionId]
+    );
+    return result.affectedRows;
+}
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Presenting an already-rotated token means it was copied, so the whole
+// session is revoked. Returns { tokens } or { error }.
+async function rotateRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+
+    const sessions = await db.query(
+        `SELECT s.*, u.user_type, u.is_active
+         FROM auth_sessions s
+         JOIN users u ON s.user_id = u.user_id
+         WHERE s.session_id = ?`,
+        [sessionId]
+    );
+    const session = sessions[0];
+
+    if (!session || !secret || session.revoked_at || new Date(session.expires_at) <= new Date() || !session.is_active) {
+        return { error: 'Invalid or expired refresh token' };
+    }
+
+    if (hashToken(secret) !== session.refresh_token_hash) {
+        await revokeSession(sessionId, 'token_reuse');
+        return { error: 'Refresh token has already been used; the session has been revoked' };
+    }
+
+    const newSecret = crypto.randomBytes(48).toString('hex');
+
+    // Only the request that still holds the current hash wins a concurrent refresh
+    const result = await db.query(
+        `UPDATE auth_sessions SET refresh_token_hash = ?, last_used_at = NOW()
+         WHERE session_id = ? AND refresh_token_hash = ?`,
+        [hashToken(newSecret), sessionId, session.refresh_token_hash]
+    );
+
+    if (result.affectedRows === 0) {
+        return { error: 'Invalid or expired refresh token' };
+    }
+
+    return { tokens: issueTokens(session, sessionId, newSecret) };
+}
+
+async function listActiveSessions(userId) {
+    return db.query(
+        `SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM auth_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY COALESCE(last_used_at, created_at) DESC`,
+        [userId]
+    );
+}
+
+async function getSession(sessionId) {
+    const sessions = await db.query(
+        'SELECT * FROM auth_sessions WHERE session_id = ?',
+        [sessionId]
+    );
+    return sessions[0] || null;
+}
+
+module.exports = {
+    ACCESS_TOKEN_EXPIRES_IN,
+    REFRESH_TOKEN_DAYS,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions,
+    getSession
+};
@@ -0,0 +1,77 @@
+const db = require('./database');
+
+const PAYMENT_CHANNELS = ['cash', 'upi', 'card', 'booking'];
+const STORE_CODE_REGEX = /^[a-z][a-z0-9_]{1,29}$/;
+const GEOFENCE_MODES = ['off', 'flag', 'reject'];
+
+const EARTH_RADIUS_M = 6371000;
+
+// Shape a stores row for API responses
+function formatStore(store) {
+    return {
+        ...store,
+        is_active: !!store.is_active,
+        payment_channels: acceptedChannels(store)
+    };
+}
+
+// Payment channels ('cash', 'upi', ...) a store row accepts
+function acceptedChannels(store) {
+    return PAYMENT_CHANNELS.filter(channel => !!store[`accepts_${channel}`]);
+}
+
+// Great-circle (haversine) distance in metres between two coordinates
+function distanceMeters(lat1, lon1, lat2, lon2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+// Check a punch location against a store's geofence.
+// Returns { mode, distance_m, outside }. A punch without coordinates counts
+// as outside when the geofence is enabled.
+function checkGeofence(store, latitude, longitude) {
+    const mode = store.geofence_mode || 'off';
+    const configured = store.geofence_latitude !== null && store.geofence_latitude !== undefined &&
+        store.geofence_longitude !== null && store.geofence_longitude !== undefined &&
+        !!store.geofence_radius_m;
+    const hasLocation = latitude !== undefined && latitude !== null && latitude !== '' &&
+        longitude !== undefined && longitude !== null && longitude !== '' &&
+        !isNaN(latitude) && !isNaN(longitude);
+
+    const distance_m = configured && hasLocation
+        ? Math.round(distanceMeters(
+            parseFloat(store.geofence_latitude), parseFloat(store.geofence_longitude),
+            parseFloat(latitude), parseFloat(longitude)
+        ))
+        : null;
+
+    const outside = mode !== 'off' && configured &&
+        (distance_m === null || distance_m > store.geofence_radius_m);
+
+    return { mode, distance_m, outside };
+}
+
+async function getStore(storeId) {
+    const stores = await db.query('SELECT * FROM stores WHERE store_id = ?', [storeId]);
+    return stores[0] || null;
+}
+
+async function getActiveStores() {
+    return db.query('SELECT * FROM stores WHERE is_active = 1 ORDER BY store_id');
+}
+
+module.exports = {
+    PAYMENT_CHANNELS,
+    STORE_CODE_REGEX,
+    GEOFENCE_MODES,
+    formatStore,
+    distanceMeters,
+    checkGeofence,
+    acceptedChannels,
+    getStore,
+    getActiveStores
+};